@@ -2,23 +2,60 @@ const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
 
+// Load environment variables from .env file before any module reads its settings
+dotenv.config();
+
+const { UPLOAD_DIR, UPLOAD_URL_PREFIX } = require('./src/utils/avatarStorage.js');
+
 // Corrected paths to point inside the 'src' directory
 const connectDB = require('./src/config/db.js');
 const authRoutes = require('./src/routes/authRoutes.js');
 const userRoutes = require('./src/routes/userRoutes.js');
-
-// Load environment variables from .env file
-dotenv.config();
+const moodRoutes = require('./src/routes/moodRoutes.js');
+const journalRoutes = require('./src/routes/journalRoutes.js');
+const appointmentRoutes = require('./src/routes/appointmentRoutes.js');
+const counselorRoutes = require('./src/routes/counselorRoutes.js');
+const resourceRoutes = require('./src/routes/resourceRoutes.js');
+const aiRoutes = require('./src/routes/aiRoutes.js');
+const escalationRoutes = require('./src/routes/escalationRoutes.js');
+const screeningRoutes = require('./src/routes/screeningRoutes.js');
+const feedbackRoutes = require('./src/routes/feedbackRoutes.js');
+const invitationRoutes = require('./src/routes/invitationRoutes.js');
+const analyticsRoutes = require('./src/routes/analyticsRoutes.js');
+const exportRoutes = require('./src/routes/exportRoutes.js');
+const auditRoutes = require('./src/routes/auditRoutes.js');
+const sessionNoteRoutes = require('./src/routes/sessionNoteRoutes.js');
+const { startAccountPurgeSchedule } = require('./src/services/accountDeletion.js');
+const { startExportSweepSchedule } = require('./src/services/export/index.js');
+const { startAppointmentLifecycleSchedule } = require('./src/services/appointmentLifecycle.js');
+const { notFound, errorHandler } = require('./src/middleware/errorMiddleware.js');
+const { apiLimiter } = require('./src/middleware/rateLimitMiddleware.js');
 
 // Connect to the database
 connectDB();
 
+// Erase accounts whose deletion grace period has passed
+startAccountPurgeSchedule();
+// Finish exports interrupted by a restart and delete expired ones
+startExportSweepSchedule();
+// Complete sessions whose slot has ended and decline requests left unconfirmed
+startAppointmentLifecycleSchedule();
+
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's
+// address rather than the proxy's; per-IP rate limits depend on it
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Core Middleware
 app.use(cors());
 app.use(express.json());
 
+// User uploads such as avatars; every stored file has already been re-encoded
+app.use(UPLOAD_URL_PREFIX, express.static(UPLOAD_DIR, { index: false, maxAge: '7d' }));
+
 // --- API Routes ---
 
 // A simple test route
@@ -26,10 +63,32 @@ app.get('/', (req, res) => {
     res.send('MindWell API is running...');
 });
 
+// Caps overall traffic per client before any route does work
+app.use('/api', apiLimiter);
+
 // Mount the routes with correct paths
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/mood', moodRoutes);
+app.use('/api/journal', journalRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/counselors', counselorRoutes);
+app.use('/api/resources', resourceRoutes);
+app.use('/api/ai', aiRoutes);
+app.use('/api/escalations', escalationRoutes);
+app.use('/api/screenings', screeningRoutes);
+app.use('/api/feedback', feedbackRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/session-notes', sessionNoteRoutes);
 
+// --- Error Handling ---
+// Unknown API paths get a JSON 404 instead of Express's HTML page
+app.use('/api', notFound);
+// Must come last so errors from every router reach it
+app.use(errorHandler);
 
 // --- Server Initialization ---
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,12 @@
+// Shown to a student whenever the risk classifier flags something they wrote.
+// Keep these numbers current; they are the first thing a student in crisis sees.
+const crisisResources = {
+    message: "It sounds like you're going through something really painful. You don't have to face this alone. If you are in immediate danger, please call emergency services now. You can also reach a trained counselor any time, day or night:",
+    resources: [
+        { name: 'Emergency Services', contact: '112', tel: '112', available: '24/7' },
+        { name: 'Tele-MANAS (National Mental Health Helpline)', contact: '14416 or 1-800-891-4416', tel: '14416', available: '24/7' },
+        { name: 'KIRAN Mental Health Helpline', contact: '1800-599-0019', tel: '18005990019', available: '24/7' },
+    ],
+};
+
+module.exports = crisisResources;
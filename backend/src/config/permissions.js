@@ -0,0 +1,82 @@
+// Every role and what it may do. Routes check permissions, never role names,
+// so granting a role a new capability is a one-line change here.
+// 'admin' is the platform admin; the stored value predates university admins.
+
+const PERMISSIONS = {
+    USERS_READ: 'users:read',
+    USERS_SUSPEND: 'users:suspend',
+    USERS_CHANGE_ROLE: 'users:change-role',
+    COUNSELORS_MANAGE: 'counselors:manage',
+    RESOURCES_WRITE: 'resources:write',
+    FEEDBACK_TRIAGE: 'feedback:triage',
+    ANALYTICS_VIEW: 'analytics:view',
+    APPOINTMENTS_VIEW_ALL: 'appointments:view-all',
+    ESCALATIONS_HANDLE: 'escalations:handle',
+    SETTINGS_MANAGE: 'settings:manage',
+    INVITATIONS_MANAGE: 'invitations:manage',
+    AUDIT_VIEW: 'audit:view',
+};
+
+const ROLES = ['student', 'counselor', 'university-admin', 'admin'];
+
+const ROLE_LABELS = {
+    student: 'Student',
+    counselor: 'Counselor',
+    'university-admin': 'University Admin',
+    admin: 'Platform Admin',
+};
+
+const UNIVERSITY_ADMIN_PERMISSIONS = [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_SUSPEND,
+    PERMISSIONS.RESOURCES_WRITE,
+    PERMISSIONS.FEEDBACK_TRIAGE,
+    PERMISSIONS.ANALYTICS_VIEW,
+    PERMISSIONS.APPOINTMENTS_VIEW_ALL,
+    PERMISSIONS.ESCALATIONS_HANDLE,
+];
+
+const ROLE_PERMISSIONS = {
+    student: [],
+    counselor: [],
+    'university-admin': UNIVERSITY_ADMIN_PERMISSIONS,
+    admin: Object.values(PERMISSIONS),
+};
+
+/**
+ * Everything a user may do, including grants that depend on their current state.
+ * @param {{ role: string, counselorProfile?: { onDuty?: boolean } }} user
+ * @returns {string[]}
+ */
+const permissionsFor = (user) => {
+    const granted = [...(ROLE_PERMISSIONS[user.role] || [])];
+    // Counselors only take crisis escalations while on duty
+    if (user.role === 'counselor' && user.counselorProfile && user.counselorProfile.onDuty) {
+        granted.push(PERMISSIONS.ESCALATIONS_HANDLE);
+    }
+    return granted;
+};
+
+// Platform admins and counselors serve every university
+const PLATFORM_WIDE_ROLES = ['admin', 'counselor'];
+
+/**
+ * The university whose data a user is confined to: null for platform-wide access,
+ * undefined when the account should be confined but has no university on record.
+ * @param {{ role: string, university?: string }} user
+ * @returns {string|null|undefined}
+ */
+const universityScopeFor = (user) => (PLATFORM_WIDE_ROLES.includes(user.role) ? null : user.university || undefined);
+
+// Roles granted a permission outright, for queries such as "who can be assigned feedback"
+const rolesWithPermission = (permission) => ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission));
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_LABELS,
+    ROLE_PERMISSIONS,
+    permissionsFor,
+    universityScopeFor,
+    rolesWithPermission,
+};
@@ -0,0 +1,109 @@
+// Validated screening questionnaires. Wording, option weights and cut-offs follow
+// the published instruments; change them only by adding a new version so that
+// earlier submissions keep being interpreted against the questions they answered.
+
+const FREQUENCY_OPTIONS = [
+    { text: 'Not at all', value: 0 },
+    { text: 'Several days', value: 1 },
+    { text: 'More than half the days', value: 2 },
+    { text: 'Nearly every day', value: 3 },
+];
+
+const PSS_OPTIONS = [
+    { text: 'Never', value: 0 },
+    { text: 'Almost never', value: 1 },
+    { text: 'Sometimes', value: 2 },
+    { text: 'Fairly often', value: 3 },
+    { text: 'Very often', value: 4 },
+];
+
+const screeningInstruments = [
+    {
+        code: 'PHQ-9',
+        version: 1,
+        name: 'Mood Check (PHQ-9)',
+        category: 'depression',
+        description: 'A nine-question check on low mood and loss of interest, widely used by doctors and counselors.',
+        instructions: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+        options: FREQUENCY_OPTIONS,
+        questions: [
+            { text: 'Little interest or pleasure in doing things' },
+            { text: 'Feeling down, depressed, or hopeless' },
+            { text: 'Trouble falling or staying asleep, or sleeping too much' },
+            { text: 'Feeling tired or having little energy' },
+            { text: 'Poor appetite or overeating' },
+            { text: 'Feeling bad about yourself, or that you are a failure or have let yourself or your family down' },
+            { text: 'Trouble concentrating on things, such as reading or watching television' },
+            { text: 'Moving or speaking so slowly that other people could have noticed, or the opposite: being so fidgety or restless that you have been moving around a lot more than usual' },
+            { text: 'Thoughts that you would be better off dead, or of hurting yourself in some way' },
+        ],
+        // Any answer above "Not at all" on item 9 needs a person to follow up, whatever the total
+        criticalItems: [
+            { index: 8, minValue: 1, signal: 'phq9-item9' },
+        ],
+        bands: [
+            { min: 0, max: 4, severity: 'minimal', label: 'Minimal', description: 'Your answers suggest few or no symptoms of depression right now. Keep looking after the routines that help you feel well.' },
+            { min: 5, max: 9, severity: 'mild', label: 'Mild', description: 'Your answers suggest some low mood. This is common, especially during busy or stressful periods. Tracking your mood and checking in again in a couple of weeks can help.' },
+            { min: 10, max: 14, severity: 'moderate', label: 'Moderate', description: 'Your answers suggest a moderate level of depressive symptoms. Talking to a counselor could really help; you can book a session from the Appointments page.' },
+            { min: 15, max: 19, severity: 'moderately-severe', label: 'Moderately severe', description: 'Your answers suggest your mood is having a significant effect on your life. We encourage you to speak with a counselor or doctor soon.' },
+            { min: 20, max: 27, severity: 'severe', label: 'Severe', description: 'Your answers suggest you are going through a very difficult time. Please reach out to a counselor or doctor as soon as you can; you do not have to manage this alone.' },
+        ],
+    },
+    {
+        code: 'GAD-7',
+        version: 1,
+        name: 'Anxiety Check (GAD-7)',
+        category: 'anxiety',
+        description: 'A seven-question check on worry and anxiety, widely used by doctors and counselors.',
+        instructions: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+        options: FREQUENCY_OPTIONS,
+        questions: [
+            { text: 'Feeling nervous, anxious, or on edge' },
+            { text: 'Not being able to stop or control worrying' },
+            { text: 'Worrying too much about different things' },
+            { text: 'Trouble relaxing' },
+            { text: 'Being so restless that it is hard to sit still' },
+            { text: 'Becoming easily annoyed or irritable' },
+            { text: 'Feeling afraid, as if something awful might happen' },
+        ],
+        criticalItems: [],
+        bands: [
+            { min: 0, max: 4, severity: 'minimal', label: 'Minimal', description: 'Your answers suggest little or no anxiety right now.' },
+            { min: 5, max: 9, severity: 'mild', label: 'Mild', description: 'Your answers suggest some anxiety. Breathing exercises and meditation in the Resources section may help, and you can check in again in a couple of weeks.' },
+            { min: 10, max: 14, severity: 'moderate', label: 'Moderate', description: 'Your answers suggest a moderate level of anxiety. A counselor can help you find ways to manage it; you can book a session from the Appointments page.' },
+            { min: 15, max: 21, severity: 'severe', label: 'Severe', description: 'Your answers suggest anxiety is having a strong effect on your life. Please consider speaking with a counselor or doctor soon.' },
+        ],
+    },
+    {
+        code: 'PSS-10',
+        version: 1,
+        name: 'Stress Check (PSS-10)',
+        category: 'stress',
+        description: 'A ten-question check on how stressful you have found your life recently.',
+        instructions: 'In the last month, how often have you...',
+        options: PSS_OPTIONS,
+        questions: [
+            { text: 'been upset because of something that happened unexpectedly?' },
+            { text: 'felt that you were unable to control the important things in your life?' },
+            { text: 'felt nervous and stressed?' },
+            { text: 'felt confident about your ability to handle your personal problems?', reverse: true },
+            { text: 'felt that things were going your way?', reverse: true },
+            { text: 'found that you could not cope with all the things that you had to do?' },
+            { text: 'been able to control irritations in your life?', reverse: true },
+            { text: 'felt that you were on top of things?', reverse: true },
+            { text: 'been angered because of things that happened that were outside of your control?' },
+            { text: 'felt difficulties were piling up so high that you could not overcome them?' },
+        ],
+        criticalItems: [],
+        bands: [
+            { min: 0, max: 13, severity: 'low', label: 'Low stress', description: 'Your answers suggest you are coping well with the demands in your life right now.' },
+            { min: 14, max: 26, severity: 'moderate', label: 'Moderate stress', description: 'Your answers suggest a moderate level of stress, which is common among students. Small habits like regular sleep, breaks and the breathing exercises in Resources can make a difference.' },
+            { min: 27, max: 40, severity: 'high', label: 'High stress', description: 'Your answers suggest you are under a lot of stress. Talking it through with a counselor can help you find some relief.' },
+        ],
+    },
+];
+
+// Shown alongside every result
+const SCREENING_DISCLAIMER = 'This check-in is a screening tool, not a diagnosis. Only a qualified professional can assess your mental health. Your answers are private to you and are only shared with counselors if they suggest you may be at risk.';
+
+module.exports = { screeningInstruments, SCREENING_DISCLAIMER };
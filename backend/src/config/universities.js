@@ -0,0 +1,38 @@
+// Universities a student can pick on their profile. Where a university issues
+// registration numbers in a known format, profiles are checked against it.
+const UNIVERSITIES = {
+    'srm-ap': {
+        name: 'SRM-AP',
+        registrationNumber: {
+            required: true,
+            pattern: /^AP\d{11}$/,
+            example: 'AP21110010101',
+        },
+    },
+    other: {
+        name: 'Other',
+    },
+};
+
+/**
+ * Checks a registration number against its university's format.
+ * @param {string} university - A key of UNIVERSITIES.
+ * @param {string} [registrationNumber] - Already trimmed and upper-cased.
+ * @returns {string|null} What is wrong with it, or null when it is acceptable.
+ */
+const validateRegistrationNumber = (university, registrationNumber) => {
+    const rules = UNIVERSITIES[university] && UNIVERSITIES[university].registrationNumber;
+
+    if (!rules) {
+        return null;
+    }
+    if (!registrationNumber) {
+        return rules.required ? `A registration number is required for ${UNIVERSITIES[university].name}` : null;
+    }
+    if (!rules.pattern.test(registrationNumber)) {
+        return `${UNIVERSITIES[university].name} registration numbers look like ${rules.example}`;
+    }
+    return null;
+};
+
+module.exports = { UNIVERSITIES, validateRegistrationNumber };
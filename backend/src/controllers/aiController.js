@@ -0,0 +1,110 @@
+const ChatMessage = require('../models/ChatMessage.js');
+const { SYSTEM_PROMPT, getProvider } = require('../services/ai/index.js');
+const { screenForRisk } = require('../services/risk/index.js');
+const { sendError } = require('../utils/apiError.js');
+
+const MAX_MESSAGE_LENGTH = 2000;
+// How many earlier messages are sent to the model as context
+const HISTORY_CONTEXT_SIZE = 20;
+
+const FALLBACK_REPLY = "I'm sorry, I'm having a little trouble thinking right now. Please try again in a moment.";
+
+// A fixed, reviewed reply is safer than whatever the model would improvise
+const toCrisisReply = ({ message, resources }) => [
+    message,
+    ...resources.map(resource => `- ${resource.name}: ${resource.contact} (${resource.available})`),
+].join('\n');
+
+// @desc    Send a message to the AI assistant and get its reply
+// @route   POST /api/ai/chat
+// @access  Private
+const chat = async (req, res, next) => {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+    if (!message || message.length > MAX_MESSAGE_LENGTH) {
+        return sendError(res, 400, `Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    try {
+        const previous = await ChatMessage.find({ user: req.user._id })
+            .sort({ createdAt: -1 })
+            .limit(HISTORY_CONTEXT_SIZE);
+
+        const userMessage = await ChatMessage.create({ user: req.user._id, role: 'user', text: message });
+
+        const messages = previous.reverse()
+            .map(({ role, text }) => ({ role, text }))
+            .concat({ role: 'user', text: message });
+
+        const crisis = await screenForRisk({
+            userId: req.user._id,
+            source: 'ai-chat',
+            sourceId: userMessage._id,
+            texts: [message],
+        });
+
+        let reply;
+        let providerName;
+        if (crisis) {
+            reply = toCrisisReply(crisis);
+            providerName = 'crisis';
+        } else {
+            const provider = getProvider();
+            providerName = provider.name;
+            try {
+                reply = await provider.generateReply({ systemPrompt: SYSTEM_PROMPT, messages });
+            } catch (error) {
+                console.error(`AI provider "${provider.name}" failed: ${error.message}`);
+                return sendError(res, 502, FALLBACK_REPLY);
+            }
+        }
+
+        const assistantMessage = await ChatMessage.create({
+            user: req.user._id,
+            role: 'assistant',
+            text: reply,
+            provider: providerName,
+        });
+
+        res.json({
+            reply: assistantMessage.text,
+            messageId: userMessage._id,
+            createdAt: assistantMessage.createdAt,
+            crisis,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the user's recent conversation with the assistant
+// @route   GET /api/ai/history?limit=
+// @access  Private
+const getChatHistory = async (req, res, next) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const messages = await ChatMessage.find({ user: req.user._id })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('role text createdAt');
+
+        res.json(messages.reverse());
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete the user's conversation with the assistant
+// @route   DELETE /api/ai/history
+// @access  Private
+const clearChatHistory = async (req, res, next) => {
+    try {
+        await ChatMessage.deleteMany({ user: req.user._id });
+        res.json({ message: 'Conversation cleared' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { chat, getChatHistory, clearChatHistory };
@@ -0,0 +1,232 @@
+const User = require('../models/User.js');
+const Appointment = require('../models/Appointment.js');
+const MoodEntry = require('../models/MoodEntry.js');
+const { universityScopeFor } = require('../config/permissions.js');
+const { protectCount, protectAverage, privacySummary } = require('../utils/cohortPrivacy.js');
+const { sendError } = require('../utils/apiError.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SIGNUP_MONTHS = 6;
+const DEFAULT_MOOD_WEEKS = 8;
+const MOOD_RANGE = { min: 1, max: 5 };
+
+// Start of the ISO week (Monday, 00:00 UTC) containing `date`
+const startOfWeek = (date) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+};
+
+// The periods figures are released for. Ranges are widened to whole periods so two
+// requests a few minutes apart can't be compared to isolate one student's entry.
+const WEEK = {
+    start: startOfWeek,
+    next: (start) => new Date(start.getTime() + 7 * DAY_MS),
+};
+const MONTH = {
+    start: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    next: (start) => new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)),
+};
+
+const parseDate = (value) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Reads ?from=&to=&university= and applies the caller's university scope.
+ * The range is widened to whole periods: `from` becomes the start of its period
+ * and `to` the start of the period after its own, so `to` is exclusive.
+ * Sends a 400/403 and returns null when the filters can't be used.
+ * @param {{ start: Function, next: Function }} period - WEEK or MONTH.
+ */
+const resolveFilters = (req, res, period, defaultFrom) => {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === null || to === null) {
+        sendError(res, 400, 'Dates must be valid, e.g. 2025-01-31');
+        return null;
+    }
+
+    const scope = universityScopeFor(req.user);
+    if (scope === undefined) {
+        sendError(res, 403, 'Your account is not linked to a university');
+        return null;
+    }
+
+    const start = from || defaultFrom();
+    const end = to || new Date();
+    if (start > end) {
+        sendError(res, 400, 'The start date must be before the end date');
+        return null;
+    }
+
+    return {
+        from: period.start(start),
+        to: period.next(period.start(end)),
+        // University admins only ever see their own university
+        university: scope || (req.query.university && req.query.university !== 'all' ? req.query.university : null),
+    };
+};
+
+// Restricts a pipeline over per-student documents to one university
+const universityStages = (university, userField) => (university ? [
+    {
+        $lookup: {
+            from: 'users',
+            let: { ownerId: `$${userField}` },
+            pipeline: [
+                { $match: { $expr: { $eq: ['$_id', '$$ownerId'] } } },
+                { $project: { university: 1 } },
+            ],
+            as: 'owner',
+        },
+    },
+    { $match: { 'owner.university': university } },
+] : []);
+
+// @desc    Headline numbers for the admin dashboard
+// @route   GET /api/analytics/overview?from=&to=&university=
+// @access  Private (analytics:view)
+const getOverview = async (req, res, next) => {
+    // Without a range the cards show the current week
+    const filters = resolveFilters(req, res, WEEK, () => new Date());
+    if (!filters) return;
+    const { from, to, university } = filters;
+
+    try {
+        const studentQuery = { role: 'student', createdAt: { $lt: to } };
+        if (university) studentQuery.university = university;
+
+        const [totalStudents, activeCounselors, [appointments], [mood]] = await Promise.all([
+            User.countDocuments(studentQuery),
+            User.countDocuments({ role: 'counselor', suspended: { $ne: true } }),
+            Appointment.aggregate([
+                { $match: { date: { $gte: from, $lt: to }, status: { $nin: ['canceled', 'declined'] } } },
+                ...universityStages(university, 'student'),
+                { $group: { _id: null, count: { $sum: 1 }, students: { $addToSet: '$student' } } },
+                { $project: { count: 1, students: { $size: '$students' } } },
+            ]),
+            MoodEntry.aggregate([
+                { $match: { date: { $gte: from, $lt: to } } },
+                ...universityStages(university, 'user'),
+                { $group: { _id: null, average: { $avg: '$value' }, students: { $addToSet: '$user' } } },
+                { $project: { average: 1, students: { $size: '$students' } } },
+            ]),
+        ]);
+
+        const released = {
+            totalStudents: protectCount(totalStudents),
+            appointments: appointments ? protectCount(appointments.count, appointments.students) : { value: 0, suppressed: false },
+            averageMood: mood ? protectAverage(mood.average, mood.students, MOOD_RANGE, 1) : { value: null, suppressed: false },
+        };
+
+        res.json({
+            filters,
+            privacy: privacySummary(),
+            totalStudents: released.totalStudents.value,
+            activeCounselors,
+            appointments: released.appointments.value,
+            averageMood: released.averageMood.value,
+            // Which of the numbers above were withheld for covering too few students
+            suppressed: Object.keys(released).filter(key => released[key].suppressed),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    New student accounts per calendar month (UTC), empty months included
+// @route   GET /api/analytics/signups?from=&to=&university=
+// @access  Private (analytics:view)
+const getSignupsByMonth = async (req, res, next) => {
+    const filters = resolveFilters(req, res, MONTH, () => {
+        const now = new Date();
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (DEFAULT_SIGNUP_MONTHS - 1), 1));
+    });
+    if (!filters) return;
+    const { from, to, university } = filters;
+
+    try {
+        const match = { role: 'student', createdAt: { $gte: from, $lt: to } };
+        if (university) match.university = university;
+
+        const counts = await User.aggregate([
+            { $match: match },
+            { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+        ]);
+        const countByMonth = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+        const months = [];
+        for (let cursor = from; cursor < to; cursor = MONTH.next(cursor)) {
+            const month = cursor.toISOString().slice(0, 7);
+            const count = countByMonth.get(month) || 0;
+            // A month with no signups reveals nobody, so zero is released as is
+            const released = count === 0 ? { value: 0, suppressed: false } : protectCount(count);
+            months.push({ month, count: released.value, suppressed: released.suppressed });
+        }
+
+        res.json({ filters, privacy: privacySummary(), months });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Average mood rating per ISO week (weeks start on Monday, UTC)
+// @route   GET /api/analytics/mood-trends?from=&to=&university=
+// @access  Private (analytics:view)
+const getMoodTrends = async (req, res, next) => {
+    const filters = resolveFilters(req, res, WEEK, () => new Date(Date.now() - (DEFAULT_MOOD_WEEKS - 1) * 7 * DAY_MS));
+    if (!filters) return;
+    const { from, to, university } = filters;
+
+    try {
+        const averages = await MoodEntry.aggregate([
+            { $match: { date: { $gte: from, $lt: to } } },
+            ...universityStages(university, 'user'),
+            {
+                $group: {
+                    _id: {
+                        $dateFromParts: { isoWeekYear: { $isoWeekYear: '$date' }, isoWeek: { $isoWeek: '$date' }, isoDayOfWeek: 1 },
+                    },
+                    average: { $avg: '$value' },
+                    entries: { $sum: 1 },
+                    students: { $addToSet: '$user' },
+                },
+            },
+            { $project: { average: 1, entries: 1, students: { $size: '$students' } } },
+        ]);
+        const byWeek = new Map(averages.map(week => [week._id.getTime(), week]));
+
+        const weeks = [];
+        for (let cursor = from; cursor < to; cursor = WEEK.next(cursor)) {
+            const week = byWeek.get(cursor.getTime());
+            const weekStart = cursor.toISOString().slice(0, 10);
+
+            if (!week) {
+                weeks.push({ weekStart, average: null, entries: 0, suppressed: false });
+                continue;
+            }
+            const average = protectAverage(week.average, week.students, MOOD_RANGE);
+            const entries = protectCount(week.entries, week.students);
+            weeks.push({
+                weekStart,
+                average: average.value,
+                entries: entries.value,
+                suppressed: average.suppressed,
+            });
+        }
+
+        res.json({ filters, privacy: privacySummary(), weeks });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getOverview,
+    getSignupsByMonth,
+    getMoodTrends,
+};
@@ -0,0 +1,368 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment.js');
+const User = require('../models/User.js');
+const { sendError } = require('../utils/apiError.js');
+const { studentScopeFilter, NO_UNIVERSITY_MESSAGE } = require('../services/universityScope.js');
+const {
+    LATE_CANCELLATION_HOURS,
+    NO_SHOW_CORRECTION_DAYS,
+    sessionEnd,
+    isLateCancellation,
+} = require('../services/appointmentLifecycle.js');
+
+const { SLOT_HOLDING_STATUSES, SLOT_DURATION_MINUTES } = Appointment;
+
+// MongoDB duplicate key error, raised by the counselor/slot-block unique index
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// Returns an error message for a slot that cannot be booked, or null
+const validateSlot = (date) => {
+    if (isNaN(date.getTime())) {
+        return 'Invalid appointment date';
+    }
+    if (date <= new Date()) {
+        return 'Appointments must be booked in the future';
+    }
+    // Slots start on the hour in the student's local time, which is only a
+    // quarter-hour boundary in UTC for offsets such as +05:30 or +05:45
+    if (date.getUTCMinutes() % 15 !== 0 || date.getUTCSeconds() !== 0 || date.getUTCMilliseconds() !== 0) {
+        return 'Appointments must start at the beginning of a time slot';
+    }
+    return null;
+};
+
+const populateAppointment = (query) => query
+    .populate('counselor', 'name email')
+    .populate('student', 'name email')
+    .populate('canceledBy statusHistory.by', 'name role');
+
+// Finds an appointment the current user takes part in
+const findOwnAppointment = (id, user) => Appointment.findOne({
+    _id: id,
+    $or: [{ student: user._id }, { counselor: user._id }],
+});
+
+const isCounselorFor = (appointment, user) => appointment.counselor.equals(user._id);
+
+/**
+ * Loads an appointment for a status change and checks the move is allowed.
+ * Sends the error response and returns null when it isn't.
+ * @param {{ to: string, counselorOnly?: boolean }} rules
+ */
+const findForTransition = async (req, res, { to, counselorOnly = false }) => {
+    const appointment = await findOwnAppointment(req.params.id, req.user);
+
+    if (!appointment) {
+        sendError(res, 404, 'Appointment not found');
+        return null;
+    }
+    if (counselorOnly && !isCounselorFor(appointment, req.user)) {
+        sendError(res, 403, 'Only the counselor can do this');
+        return null;
+    }
+    if (!Appointment.canTransition(appointment.status, to)) {
+        sendError(res, 409, `A ${appointment.status} appointment cannot be changed to ${to}`, { code: 'INVALID_TRANSITION' });
+        return null;
+    }
+    return appointment;
+};
+
+const sendAppointment = async (res, appointment) => {
+    res.json(await populateAppointment(Appointment.findById(appointment._id)));
+};
+
+// @desc    Book an appointment with a counselor
+// @route   POST /api/appointments
+// @access  Private
+const createAppointment = async (req, res, next) => {
+    const { counselorId, sessionType } = req.body;
+    const date = new Date(req.body.date);
+
+    if (!mongoose.Types.ObjectId.isValid(counselorId)) {
+        return sendError(res, 400, 'Invalid counselor');
+    }
+
+    const slotError = validateSlot(date);
+    if (slotError) {
+        return sendError(res, 400, slotError);
+    }
+
+    try {
+        const counselor = await User.findOne({ _id: counselorId, role: 'counselor' });
+        if (!counselor) {
+            return sendError(res, 404, 'Counselor not found');
+        }
+
+        const appointment = await Appointment.create({
+            student: req.user._id,
+            counselor: counselor._id,
+            date,
+            sessionType,
+            statusHistory: [{ to: 'pending', by: req.user._id }],
+        });
+
+        res.status(201).json(await populateAppointment(Appointment.findById(appointment._id)));
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            return sendError(res, 409, 'This time overlaps another booking with this counselor. Please choose another.');
+        }
+        next(error);
+    }
+};
+
+// @desc    List the current user's appointments
+// @route   GET /api/appointments?scope=upcoming|past
+// @access  Private
+const getMyAppointments = async (req, res, next) => {
+    const query = { $or: [{ student: req.user._id }, { counselor: req.user._id }] };
+    const now = new Date();
+    let sort = { date: 1 };
+
+    if (req.query.scope === 'upcoming') {
+        query.date = { $gte: now };
+    } else if (req.query.scope === 'past') {
+        query.date = { $lt: now };
+        sort = { date: -1 };
+    }
+
+    try {
+        const appointments = await populateAppointment(Appointment.find(query).sort(sort));
+        res.json(appointments);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List every appointment, newest first; university admins see only their own students'
+// @route   GET /api/appointments/all?status=&scope=upcoming|past&page=&limit=
+// @access  Private (appointments:view-all)
+const getAllAppointments = async (req, res, next) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = {};
+    const now = new Date();
+
+    if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+    if (req.query.scope === 'upcoming') query.date = { $gte: now };
+    if (req.query.scope === 'past') query.date = { $lt: now };
+
+    try {
+        const scope = await studentScopeFilter(req.user, 'student');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+        Object.assign(query, scope);
+
+        const [entries, total] = await Promise.all([
+            populateAppointment(Appointment.find(query)
+                .sort({ date: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)),
+            Appointment.countDocuments(query),
+        ]);
+
+        res.json({
+            entries,
+            page,
+            totalPages: Math.ceil(total / limit),
+            total,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List a counselor's booked slots in a date range, for the booking calendar
+// @route   GET /api/appointments/availability?counselor=&from=&to=
+// @access  Private
+const getCounselorAvailability = async (req, res, next) => {
+    const { counselor } = req.query;
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    if (!mongoose.Types.ObjectId.isValid(counselor) || isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return sendError(res, 400, 'A counselor and a valid date range are required');
+    }
+
+    try {
+        // Includes bookings that start just before the range but run into it
+        const booked = await Appointment.find({
+            counselor,
+            date: { $gt: new Date(from.getTime() - SLOT_DURATION_MINUTES * 60 * 1000), $lt: to },
+            status: { $in: SLOT_HOLDING_STATUSES },
+        }).select('date -_id');
+
+        res.json({
+            slotDurationMinutes: SLOT_DURATION_MINUTES,
+            bookedSlots: booked.map(appointment => appointment.date),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    The booking rules the frontend explains to students
+// @route   GET /api/appointments/policy
+// @access  Private
+const getAppointmentPolicy = (req, res) => {
+    res.json({
+        slotDurationMinutes: SLOT_DURATION_MINUTES,
+        lateCancellationHours: LATE_CANCELLATION_HOURS,
+    });
+};
+
+// @desc    Accept a pending request
+// @route   PUT /api/appointments/:id/confirm
+// @access  Private (the appointment's counselor)
+const confirmAppointment = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    try {
+        const appointment = await findForTransition(req, res, { to: 'confirmed', counselorOnly: true });
+        if (!appointment) return;
+
+        if (appointment.date <= new Date()) {
+            return sendError(res, 409, 'This session has already started', { code: 'INVALID_TRANSITION' });
+        }
+
+        appointment.recordTransition('confirmed', { by: req.user._id });
+        await appointment.save();
+
+        await sendAppointment(res, appointment);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Turn down a pending request, freeing the slot
+// @route   PUT /api/appointments/:id/decline
+// @access  Private (the appointment's counselor)
+const declineAppointment = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    try {
+        const appointment = await findForTransition(req, res, { to: 'declined', counselorOnly: true });
+        if (!appointment) return;
+
+        appointment.recordTransition('declined', { by: req.user._id, reason: req.body.reason || undefined });
+        await appointment.save();
+
+        await sendAppointment(res, appointment);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Cancel an upcoming appointment, giving a reason
+// @route   PUT /api/appointments/:id/cancel
+// @access  Private (either participant)
+const cancelAppointment = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    try {
+        const appointment = await findForTransition(req, res, { to: 'canceled' });
+        if (!appointment) return;
+
+        const now = new Date();
+        if (appointment.date <= now) {
+            return sendError(res, 409, 'This session has already started and can no longer be canceled', { code: 'INVALID_TRANSITION' });
+        }
+
+        const reason = req.body.reason.trim();
+        appointment.recordTransition('canceled', { by: req.user._id, reason, at: now });
+        appointment.canceledAt = now;
+        appointment.canceledBy = req.user._id;
+        appointment.cancellationReason = reason;
+        appointment.lateCancellation = isLateCancellation(appointment, now);
+        await appointment.save();
+
+        await sendAppointment(res, appointment);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Record that the student did not attend
+// @route   PUT /api/appointments/:id/no-show
+// @access  Private (the appointment's counselor)
+const markNoShow = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    try {
+        const appointment = await findForTransition(req, res, { to: 'no-show', counselorOnly: true });
+        if (!appointment) return;
+
+        const now = new Date();
+        if (appointment.date > now) {
+            return sendError(res, 409, 'A no-show can only be recorded once the session has started', { code: 'INVALID_TRANSITION' });
+        }
+        if (now - sessionEnd(appointment) > NO_SHOW_CORRECTION_DAYS * 24 * 60 * 60 * 1000) {
+            return sendError(res, 409, `No-shows must be recorded within ${NO_SHOW_CORRECTION_DAYS} days of the session`, { code: 'INVALID_TRANSITION' });
+        }
+
+        appointment.recordTransition('no-show', { by: req.user._id, reason: req.body.reason || undefined, at: now });
+        await appointment.save();
+
+        await sendAppointment(res, appointment);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Move an appointment to a different slot with the same counselor
+// @route   PUT /api/appointments/:id/reschedule
+// @access  Private
+const rescheduleAppointment = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    const date = new Date(req.body.date);
+    const slotError = validateSlot(date);
+    if (slotError) {
+        return sendError(res, 400, slotError);
+    }
+
+    try {
+        const appointment = await findForTransition(req, res, { to: 'pending' });
+        if (!appointment) return;
+
+        if (appointment.date <= new Date()) {
+            return sendError(res, 409, 'This session has already started and can no longer be moved', { code: 'INVALID_TRANSITION' });
+        }
+
+        // A new time needs the counselor's confirmation again
+        appointment.recordTransition('pending', { by: req.user._id, previousDate: appointment.date });
+        appointment.date = date;
+        if (req.body.sessionType) appointment.sessionType = req.body.sessionType;
+        await appointment.save();
+
+        await sendAppointment(res, appointment);
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            return sendError(res, 409, 'This time overlaps another booking with this counselor. Please choose another.');
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    createAppointment,
+    getMyAppointments,
+    getAllAppointments,
+    getCounselorAvailability,
+    getAppointmentPolicy,
+    confirmAppointment,
+    declineAppointment,
+    cancelAppointment,
+    markNoShow,
+    rescheduleAppointment,
+};
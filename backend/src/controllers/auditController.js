@@ -0,0 +1,123 @@
+const AuditLog = require('../models/AuditLog.js');
+const { verifyAuditChain } = require('../services/auditLog.js');
+const { toCsv } = require('../services/export/csv.js');
+
+const EXPORT_MAX_ROWS = 50000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A bare date in ?to= means "through the end of that day"
+const endOfRange = (value) => {
+    const date = new Date(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCMilliseconds(-1);
+    }
+    return date;
+};
+
+// Builds the query shared by the viewer and the CSV export from validated ?filters
+const buildAuditQuery = ({ actor, action, targetType, targetId, search, from, to }) => {
+    const query = {};
+
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId.trim();
+    if (from || to) {
+        query.at = {};
+        if (from) query.at.$gte = new Date(from);
+        if (to) query.at.$lte = endOfRange(to);
+    }
+    if (search) {
+        const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+        query.$or = [{ actorName: pattern }, { targetLabel: pattern }, { reason: pattern }];
+    }
+    return query;
+};
+
+const AUDIT_CSV_COLUMNS = [
+    { header: 'Seq', value: entry => entry.seq },
+    { header: 'Time (UTC)', value: entry => entry.at },
+    { header: 'Actor', value: entry => entry.actorName },
+    { header: 'Actor ID', value: entry => entry.actor },
+    { header: 'Actor Role', value: entry => entry.actorRole },
+    { header: 'Action', value: entry => entry.action },
+    { header: 'Target Type', value: entry => entry.targetType },
+    { header: 'Target ID', value: entry => entry.targetId },
+    { header: 'Target', value: entry => entry.targetLabel },
+    { header: 'Reason', value: entry => entry.reason },
+    { header: 'Before', value: entry => (entry.changes && entry.changes.before ? JSON.stringify(entry.changes.before) : '') },
+    { header: 'After', value: entry => (entry.changes && entry.changes.after ? JSON.stringify(entry.changes.after) : '') },
+    { header: 'IP', value: entry => entry.ip },
+    { header: 'User Agent', value: entry => entry.userAgent },
+    { header: 'Previous Hash', value: entry => entry.prevHash },
+    { header: 'Hash', value: entry => entry.hash },
+];
+
+// @desc    List audit log entries, newest first
+// @route   GET /api/audit?actor=&action=&targetType=&targetId=&search=&from=&to=&page=&limit=
+// @access  Private (audit:view)
+const getAuditLogs = async (req, res, next) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const query = buildAuditQuery(req.query);
+
+    try {
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .sort({ seq: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(query),
+        ]);
+
+        res.json({
+            entries,
+            page,
+            totalPages: Math.ceil(total / limit),
+            total,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Download the filtered audit log as CSV, oldest first
+// @route   GET /api/audit/export?actor=&action=&targetType=&targetId=&search=&from=&to=
+// @access  Private (audit:view)
+const exportAuditLogs = async (req, res, next) => {
+    try {
+        const entries = await AuditLog.find(buildAuditQuery(req.query))
+            .sort({ seq: 1 })
+            .limit(EXPORT_MAX_ROWS)
+            .lean();
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="mindwell-audit-log-${new Date().toISOString().slice(0, 10)}.csv"`,
+            'Cache-Control': 'no-store',
+        });
+        // Byte order mark so Excel opens names with accents correctly
+        res.send(`\uFEFF${toCsv(AUDIT_CSV_COLUMNS, entries)}`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Recompute the hash chain to check nothing was altered or removed
+// @route   GET /api/audit/verify
+// @access  Private (audit:view)
+const verifyAuditLog = async (req, res, next) => {
+    try {
+        res.json({ ...(await verifyAuditChain()), verifiedAt: new Date() });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+    exportAuditLogs,
+    verifyAuditLog,
+};
@@ -1,69 +1,620 @@
+const mongoose = require('mongoose');
 const User = require('../models/User.js');
+const Setting = require('../models/Setting.js');
+const Session = require('../models/Session.js');
+const Invitation = require('../models/Invitation.js');
 const generateToken = require('../utils/generateToken.js');
+const { describeDevice } = require('../utils/userAgent.js');
 const bcrypt = require('bcryptjs');
+const { validatePasswordStrength } = require('../utils/passwordPolicy.js');
+const {
+    EMAIL_VERIFICATION_TTL_HOURS,
+    generateVerificationToken,
+    verifyVerificationToken,
+    isEmailInDomains,
+} = require('../utils/emailVerification.js');
+const { sendMail } = require('../services/mail/index.js');
+const {
+    passwordResetEmail,
+    passwordChangedEmail,
+    verificationEmail,
+    accountLockedEmail,
+} = require('../services/mail/templates.js');
+const { sendError } = require('../utils/apiError.js');
+const { recordAudit } = require('../services/auditLog.js');
+const { resetLoginAccountLimit } = require('../middleware/rateLimitMiddleware.js');
+const {
+    MAX_FAILED_LOGINS,
+    UNLOCK_TOKEN_TTL_HOURS,
+    lockoutMinutes,
+    isLockedOut,
+    describeDuration,
+} = require('../utils/loginLockout.js');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+const SIGNUP_POLICY_KEY = 'signupPolicy';
+const DEFAULT_SIGNUP_POLICY = { restrictToDomains: false, allowedDomains: [] };
+
+const sendVerificationEmail = async (user) => {
+    const token = generateVerificationToken(user);
+    await sendMail({
+        to: user.email,
+        ...verificationEmail({ name: user.name, token, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS }),
+    });
+    await User.updateOne({ _id: user._id }, { verificationSentAt: new Date() });
+};
+
+// Opens a session for this device and returns the token pair the client keeps
+const startSession = async (user, req) => {
+    const { session, refreshToken } = await Session.start({
+        userId: user._id,
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+    });
+    return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Counts a wrong password and locks the account once MAX_FAILED_LOGINS pile up.
+// Returns the newly locked user, or null while attempts remain.
+const recordFailedLogin = async (user) => {
+    const { failedLoginAttempts } = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true, projection: { failedLoginAttempts: 1 } }
+    );
+    if (failedLoginAttempts < MAX_FAILED_LOGINS) return null;
+
+    // Of several concurrent failures, only the one that resets the counter locks and emails
+    const locked = await User.findOneAndUpdate(
+        { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGINS } },
+        { $set: { failedLoginAttempts: 0 }, $inc: { lockoutCount: 1 } },
+        { new: true }
+    );
+    if (!locked) return null;
+
+    const minutes = lockoutMinutes(locked.lockoutCount);
+    locked.lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    const token = locked.createUnlockToken(UNLOCK_TOKEN_TTL_HOURS);
+    await locked.save({ validateBeforeSave: false });
+
+    sendMail({
+        to: locked.email,
+        ...accountLockedEmail({
+            name: locked.name,
+            token,
+            lockedFor: describeDuration(minutes),
+            expiresInHours: UNLOCK_TOKEN_TTL_HOURS,
+        }),
+    }).catch((error) => {
+        console.error(`Failed to send account locked email: ${error.message}`);
+    });
+
+    return locked;
+};
+
+const sendLockedOut = (res, user) => {
+    const minutesLeft = Math.max(Math.ceil((user.lockedUntil.getTime() - Date.now()) / (60 * 1000)), 1);
+    res.set('Retry-After', String(minutesLeft * 60));
+    sendError(
+        res,
+        423,
+        `Too many failed login attempts. Your account is locked for ${describeDuration(minutesLeft)}; check your email for a link to unlock it now.`,
+        { code: 'ACCOUNT_LOCKED' }
+    );
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
-const registerUser = async (req, res) => {
-    const { name, email, password, role } = req.body;
+const registerUser = async (req, res, next) => {
+    const { name, email, password, role, invitationCode } = req.body;
+
+    if (!name || !email) {
+        return sendError(res, 400, 'Name and email are required');
+    }
+    // Staff roles come from a server-issued invitation, never from the request itself
+    if (role && role !== 'student' && !invitationCode) {
+        return sendError(res, 400, 'An invitation code is required to register as staff');
+    }
+    const weakPassword = validatePasswordStrength(password);
+    if (weakPassword) {
+        return sendError(res, 400, weakPassword);
+    }
 
     try {
+        const policy = await Setting.getValue(SIGNUP_POLICY_KEY, DEFAULT_SIGNUP_POLICY);
+        if (!invitationCode && policy.restrictToDomains && !isEmailInDomains(email, policy.allowedDomains)) {
+            return sendError(res, 400, `Please sign up with your university email address (${policy.allowedDomains.join(', ')})`);
+        }
+
         const userExists = await User.findOne({ email });
 
         if (userExists) {
-            return res.status(400).json({ message: 'User already exists' });
+            return sendError(res, 400, 'User already exists');
         }
 
-        const user = await User.create({
-            name,
-            email,
-            password,
-            role,
-        });
+        let invitation = null;
+        if (invitationCode) {
+            invitation = await Invitation.redeem(invitationCode);
+            if (!invitation) {
+                return sendError(res, 400, 'This invitation code is invalid, has expired or has already been used');
+            }
+        }
+
+        let user;
+        try {
+            user = await User.create({
+                name,
+                email,
+                password,
+                role: invitation ? invitation.role : 'student',
+                university: invitation ? invitation.university : undefined,
+            });
+        } catch (error) {
+            // Give the code back so a typo in the form doesn't burn the invitation
+            if (invitation) await Invitation.updateOne({ _id: invitation._id }, { $unset: { usedAt: 1 } });
+            throw error;
+        }
+
+        if (invitation) {
+            invitation.usedBy = user._id;
+            await invitation.save();
+        }
 
         if (user) {
+            // The account still works if the mail fails; the user can ask for another link
+            await sendVerificationEmail(user).catch((error) => {
+                console.error(`Failed to send verification email: ${error.message}`);
+            });
+
             res.status(201).json({
                 _id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
-                token: generateToken(user._id),
+                emailVerified: user.emailVerified,
+                ...(await startSession(user, req)),
+                message: 'Account created. Please check your email to verify your address.',
             });
         } else {
-            res.status(400).json({ message: 'Invalid user data' });
+            sendError(res, 400, 'Invalid user data');
         }
     } catch (error) {
-        res.status(500).json({ message: 'Server Error' });
+        next(error);
     }
 };
 
 // @desc    Authenticate user & get token
 // @route   POST /api/auth/login
 // @access  Public
-const loginUser = async (req, res) => {
+const loginUser = async (req, res, next) => {
     const { email, password } = req.body;
 
     try {
         // Check if user exists
         const user = await User.findOne({ email });
 
+        // While locked, even the right password is refused
+        if (user && isLockedOut(user)) {
+            return sendLockedOut(res, user);
+        }
+
         // Check if user exists and password matches
         if (user && (await user.matchPassword(password))) {
+            if (user.suspended) {
+                return sendError(res, 403, 'Your account has been suspended. Please contact support.', { code: 'ACCOUNT_SUSPENDED' });
+            }
+            if (user.failedLoginAttempts > 0 || user.lockoutCount > 0 || user.lockedUntil) {
+                await User.updateOne({ _id: user._id }, {
+                    failedLoginAttempts: 0,
+                    lockoutCount: 0,
+                    $unset: { lockedUntil: 1, unlockToken: 1, unlockTokenExpires: 1 },
+                });
+            }
+            await resetLoginAccountLimit(req);
             res.json({
                 _id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
-                token: generateToken(user._id),
+                emailVerified: user.emailVerified,
+                ...(await startSession(user, req)),
             });
         } else {
-            res.status(401).json({ message: 'Invalid email or password' });
+            const locked = user && (await recordFailedLogin(user));
+            if (locked) {
+                return sendLockedOut(res, locked);
+            }
+            sendError(res, 401, 'Invalid email or password');
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Email a single-use password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    // The same answer whether or not the account exists, so emails can't be probed
+    const response = { message: 'If an account exists for this email, a reset link has been sent.' };
+
+    if (!email) {
+        return sendError(res, 400, 'Email is required');
+    }
+
+    try {
+        const user = await User.findOne({ email });
+
+        if (!user) {
+            return res.json(response);
+        }
+
+        const token = user.createPasswordResetToken(PASSWORD_RESET_TTL_MINUTES);
+        await user.save({ validateBeforeSave: false });
+
+        try {
+            await sendMail({
+                to: user.email,
+                ...passwordResetEmail({ name: user.name, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }),
+            });
+        } catch (error) {
+            console.error(`Failed to send password reset email: ${error.message}`);
+            await User.updateOne({ _id: user._id }, { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } });
+            return sendError(res, 500, 'We could not send the reset email. Please try again later.');
+        }
+
+        res.json(response);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Set a new password using an emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+        return sendError(res, 400, 'Reset token is required');
+    }
+    const weakPassword = validatePasswordStrength(password);
+    if (weakPassword) {
+        return sendError(res, 400, weakPassword);
+    }
+
+    try {
+        const user = await User.findOne({
+            passwordResetToken: User.hashResetToken(token),
+            passwordResetExpires: { $gt: new Date() },
+        });
+
+        if (!user) {
+            return sendError(res, 400, 'This reset link is invalid or has expired. Please request a new one.');
+        }
+
+        user.password = password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        // Proving access to the inbox is enough to lift a lockout too
+        user.failedLoginAttempts = 0;
+        user.lockoutCount = 0;
+        user.lockedUntil = undefined;
+        user.unlockToken = undefined;
+        user.unlockTokenExpires = undefined;
+        await user.save();
+        // Whoever knew the old password may still hold a session
+        await Session.revokeAllForUser(user._id);
+
+        sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name }) }).catch((error) => {
+            console.error(`Failed to send password changed email: ${error.message}`);
+        });
+
+        res.json({ message: 'Your password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Change the password while logged in
+// @route   POST /api/auth/change-password
+// @access  Private
+const changePassword = async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== 'string' || !currentPassword) {
+        return sendError(res, 400, 'Current password is required');
+    }
+    const weakPassword = validatePasswordStrength(newPassword);
+    if (weakPassword) {
+        return sendError(res, 400, weakPassword);
+    }
+    if (newPassword === currentPassword) {
+        return sendError(res, 400, 'New password must be different from your current password');
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!(await user.matchPassword(currentPassword))) {
+            return sendError(res, 400, 'Current password is incorrect');
         }
+
+        user.password = newPassword;
+        await user.save();
+        // Other devices may belong to whoever knew the old password
+        await Session.revokeAllForUser(user._id, { except: req.sessionId });
+
+        sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name, keptCurrentDevice: true }) }).catch((error) => {
+            console.error(`Failed to send password changed email: ${error.message}`);
+        });
+
+        // The change invalidates access tokens issued before it, including this device's
+        res.json({
+            message: 'Password changed. You have been signed out on your other devices.',
+            token: generateToken(user._id, req.sessionId),
+        });
     } catch (error) {
-        res.status(500).json({ message: 'Server Error' });
+        next(error);
     }
 };
 
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshSession = async (req, res, next) => {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        return sendError(res, 400, 'Refresh token is required');
+    }
+
+    try {
+        const rotated = await Session.rotate(refreshToken, {
+            userAgent: req.get('user-agent'),
+            ip: req.ip,
+        });
+
+        if (!rotated) {
+            return sendError(res, 401, 'Session expired, please log in again', { code: 'SESSION_EXPIRED' });
+        }
+
+        const user = await User.findById(rotated.session.user);
+        if (!user || user.suspended) {
+            await Session.revokeAllForUser(rotated.session.user);
+            return sendError(res, 401, 'Session expired, please log in again', { code: 'SESSION_EXPIRED' });
+        }
+
+        res.json({
+            token: generateToken(user._id, rotated.session._id),
+            refreshToken: rotated.refreshToken,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Log out of the current device
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = async (req, res, next) => {
+    try {
+        await Session.updateOne({ _id: req.sessionId, revokedAt: null }, { revokedAt: new Date() });
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Log out of every device, including this one
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllDevices = async (req, res, next) => {
+    try {
+        const result = await Session.revokeAllForUser(req.user._id);
+        res.json({ message: 'Logged out of all devices', revoked: result.modifiedCount });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List the devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+    const now = new Date();
+
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: now },
+            absoluteExpiresAt: { $gt: now },
+        }).sort({ lastSeenAt: -1 });
+
+        res.json(sessions.map(session => ({
+            _id: session._id,
+            device: describeDevice(session.userAgent),
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            current: session._id.equals(req.sessionId),
+        })));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Sign out one of the user's devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Session not found');
+    }
+
+    try {
+        const result = await Session.updateOne(
+            { _id: req.params.id, user: req.user._id, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        if (result.matchedCount === 0) {
+            return sendError(res, 404, 'Session not found');
+        }
+
+        res.json({ message: 'Device signed out' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Lift a login lockout early with the emailed link
+// @route   POST /api/auth/unlock
+// @access  Public
+const unlockAccount = async (req, res, next) => {
+    try {
+        const user = await User.findOneAndUpdate(
+            { unlockToken: User.hashResetToken(req.body.token), unlockTokenExpires: { $gt: new Date() } },
+            {
+                failedLoginAttempts: 0,
+                lockoutCount: 0,
+                $unset: { lockedUntil: 1, unlockToken: 1, unlockTokenExpires: 1 },
+            }
+        );
+
+        if (!user) {
+            return sendError(res, 400, 'This unlock link is invalid or has expired. Wait for the lockout to end or reset your password.', { code: 'TOKEN_INVALID' });
+        }
+
+        res.json({ message: 'Your account is unlocked. You can log in now.' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Confirm an email address from a verification link
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+    let claims;
+    try {
+        claims = verifyVerificationToken(req.body.token);
+    } catch (error) {
+        const message = error.name === 'TokenExpiredError'
+            ? 'This verification link has expired. Log in to request a new one.'
+            : 'This verification link is invalid.';
+        return sendError(res, 400, message, { code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID' });
+    }
+
+    try {
+        const user = await User.findById(claims.id);
+
+        if (!user || user.email !== claims.email) {
+            return sendError(res, 400, 'This verification link is invalid.', { code: 'TOKEN_INVALID' });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save({ validateBeforeSave: false });
+        }
+
+        res.json({ message: 'Your email address is verified. Welcome to MindWell!' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Send a fresh verification link to the logged-in user
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+    const user = req.user;
+
+    if (user.emailVerified) {
+        return sendError(res, 400, 'Your email address is already verified');
+    }
+
+    const secondsSinceLast = user.verificationSentAt ? (Date.now() - user.verificationSentAt.getTime()) / 1000 : Infinity;
+    if (secondsSinceLast < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        return sendError(res, 429, `Please wait ${Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - secondsSinceLast)} seconds before requesting another email`);
+    }
+
+    try {
+        await sendVerificationEmail(user);
+        res.json({ message: `A new verification link has been sent to ${user.email}` });
+    } catch (error) {
+        console.error(`Failed to send verification email: ${error.message}`);
+        sendError(res, 500, 'We could not send the email. Please try again later.');
+    }
+};
+
+// @desc    Get the email domains signups are restricted to, if any
+// @route   GET /api/auth/signup-policy
+// @access  Public
+const getSignupPolicy = async (req, res, next) => {
+    try {
+        res.json(await Setting.getValue(SIGNUP_POLICY_KEY, DEFAULT_SIGNUP_POLICY));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Restrict (or stop restricting) signups to university email domains
+// @route   PUT /api/auth/signup-policy
+// @access  Private (settings:manage)
+const updateSignupPolicy = async (req, res, next) => {
+    const restrictToDomains = Boolean(req.body.restrictToDomains);
+    const domainList = Array.isArray(req.body.allowedDomains)
+        ? req.body.allowedDomains
+        : String(req.body.allowedDomains || '').split(',');
+    const allowedDomains = [...new Set(domainList
+        .map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''))
+        .filter(Boolean))];
+
+    if (allowedDomains.some(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain))) {
+        return sendError(res, 400, 'Domains must look like university.edu');
+    }
+    if (restrictToDomains && allowedDomains.length === 0) {
+        return sendError(res, 400, 'Add at least one domain before restricting signups');
+    }
+
+    try {
+        const before = await Setting.getValue(SIGNUP_POLICY_KEY, DEFAULT_SIGNUP_POLICY);
+        const setting = await Setting.setValue(SIGNUP_POLICY_KEY, { restrictToDomains, allowedDomains }, req.user._id);
+        await recordAudit(req, {
+            action: 'settings.update',
+            targetId: SIGNUP_POLICY_KEY,
+            targetLabel: 'Signup policy',
+            before,
+            after: setting.value,
+        });
+
+        res.json(setting.value);
+    } catch (error) {
+        next(error);
+    }
+};
 
-module.exports = { registerUser, loginUser };
\ No newline at end of file
+module.exports = {
+    registerUser,
+    loginUser,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    refreshSession,
+    logoutUser,
+    logoutAllDevices,
+    getSessions,
+    revokeSession,
+    unlockAccount,
+    verifyEmail,
+    resendVerification,
+    getSignupPolicy,
+    updateSignupPolicy,
+};
\ No newline at end of file
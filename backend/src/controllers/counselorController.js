@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const Appointment = require('../models/Appointment.js');
+const { sendError } = require('../utils/apiError.js');
+const { validatePasswordStrength } = require('../utils/passwordPolicy.js');
+const { recordAudit, auditSnapshot } = require('../services/auditLog.js');
+
+const { SLOT_HOLDING_STATUSES } = Appointment;
+
+// Accepts languages as an array or a comma-separated string
+const parseLanguages = (languages) => {
+    if (!languages) return [];
+    const list = Array.isArray(languages) ? languages : String(languages).split(',');
+    return list.map(language => String(language).trim()).filter(Boolean);
+};
+
+const toCounselorResponse = (counselor) => ({
+    _id: counselor._id,
+    name: counselor.name,
+    email: counselor.email,
+    specialty: counselor.counselorProfile.specialty,
+    bio: counselor.counselorProfile.bio,
+    languages: counselor.counselorProfile.languages,
+    photo: counselor.counselorProfile.photo,
+    onDuty: counselor.counselorProfile.onDuty,
+    supervisor: counselor.counselorProfile.supervisor || null,
+});
+
+/**
+ * Checks a requested supervisor is another counselor. Sends the error response
+ * and returns false when it isn't; '' or null (clearing the supervisor) is always fine.
+ */
+const checkSupervisor = async (res, supervisorId, counselorId) => {
+    if (!supervisorId) return true;
+    if (counselorId && String(supervisorId) === String(counselorId)) {
+        sendError(res, 400, 'A counselor cannot supervise themselves');
+        return false;
+    }
+    if (!(await User.exists({ _id: supervisorId, role: 'counselor' }))) {
+        sendError(res, 400, 'The supervisor must be a counselor');
+        return false;
+    }
+    return true;
+};
+
+// @desc    List all counselors
+// @route   GET /api/counselors?search=
+// @access  Private
+const getCounselors = async (req, res, next) => {
+    const query = { role: 'counselor' };
+
+    if (req.query.search) {
+        const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ name: pattern }, { 'counselorProfile.specialty': pattern }];
+    }
+
+    try {
+        const counselors = await User.find(query).sort({ name: 1 });
+        res.json(counselors.map(toCounselorResponse));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a single counselor
+// @route   GET /api/counselors/:id
+// @access  Private
+const getCounselorById = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Counselor not found');
+    }
+
+    try {
+        const counselor = await User.findOne({ _id: req.params.id, role: 'counselor' });
+
+        if (!counselor) {
+            return sendError(res, 404, 'Counselor not found');
+        }
+
+        res.json(toCounselorResponse(counselor));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a counselor account
+// @route   POST /api/counselors
+// @access  Private (counselors:manage)
+const createCounselor = async (req, res, next) => {
+    const { name, email, password, specialty, bio, languages, photo, onDuty, supervisor } = req.body;
+
+    if (!name || !email || !password || !specialty) {
+        return sendError(res, 400, 'Name, email, password and specialty are required');
+    }
+    const weakPassword = validatePasswordStrength(password);
+    if (weakPassword) {
+        return sendError(res, 400, weakPassword);
+    }
+
+    try {
+        const userExists = await User.findOne({ email });
+
+        if (userExists) {
+            return sendError(res, 400, 'User already exists');
+        }
+        if (!(await checkSupervisor(res, supervisor))) return;
+
+        const counselor = await User.create({
+            name,
+            email,
+            password,
+            role: 'counselor',
+            // Admins create counselor accounts for addresses they already know
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+            counselorProfile: {
+                specialty,
+                bio,
+                languages: parseLanguages(languages),
+                photo,
+                onDuty: onDuty === true,
+                supervisor: supervisor || undefined,
+            },
+        });
+
+        await recordAudit(req, {
+            action: 'counselor.create',
+            targetId: counselor._id,
+            targetLabel: counselor.name,
+            after: toCounselorResponse(counselor),
+        });
+
+        res.status(201).json(toCounselorResponse(counselor));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update a counselor's account and profile
+// @route   PUT /api/counselors/:id
+// @access  Private (counselors:manage)
+const updateCounselor = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Counselor not found');
+    }
+
+    try {
+        const counselor = await User.findOne({ _id: req.params.id, role: 'counselor' });
+
+        if (!counselor) {
+            return sendError(res, 404, 'Counselor not found');
+        }
+
+        const before = auditSnapshot(toCounselorResponse(counselor));
+        const { name, email, specialty, bio, languages, photo, onDuty, supervisor } = req.body;
+
+        if (email && email.toLowerCase() !== counselor.email) {
+            const emailTaken = await User.findOne({ email });
+            if (emailTaken) {
+                return sendError(res, 400, 'Email is already in use');
+            }
+            counselor.email = email;
+        }
+        if (name !== undefined) counselor.name = name;
+        if (specialty !== undefined) counselor.counselorProfile.specialty = specialty;
+        if (bio !== undefined) counselor.counselorProfile.bio = bio;
+        if (languages !== undefined) counselor.counselorProfile.languages = parseLanguages(languages);
+        if (photo !== undefined) counselor.counselorProfile.photo = photo;
+        if (onDuty !== undefined) counselor.counselorProfile.onDuty = onDuty;
+        if (supervisor !== undefined) {
+            if (!(await checkSupervisor(res, supervisor, counselor._id))) return;
+            counselor.counselorProfile.supervisor = supervisor || undefined;
+        }
+
+        const updatedCounselor = await counselor.save();
+        await recordAudit(req, {
+            action: 'counselor.update',
+            targetId: updatedCounselor._id,
+            targetLabel: updatedCounselor.name,
+            before,
+            after: toCounselorResponse(updatedCounselor),
+        });
+
+        res.json(toCounselorResponse(updatedCounselor));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a counselor account
+// @route   DELETE /api/counselors/:id
+// @access  Private (counselors:manage)
+const deleteCounselor = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Counselor not found');
+    }
+
+    try {
+        const counselor = await User.findOne({ _id: req.params.id, role: 'counselor' });
+
+        if (!counselor) {
+            return sendError(res, 404, 'Counselor not found');
+        }
+
+        // Students would otherwise be left holding bookings with nobody on the other end
+        const upcoming = await Appointment.countDocuments({
+            counselor: counselor._id,
+            date: { $gte: new Date() },
+            status: { $in: SLOT_HOLDING_STATUSES },
+        });
+        if (upcoming > 0) {
+            return sendError(res, 400, `This counselor has ${upcoming} upcoming appointment(s). Cancel or reassign them first.`);
+        }
+
+        await counselor.deleteOne();
+        // Their supervisees' notes go back to being private to each author
+        await User.updateMany(
+            { 'counselorProfile.supervisor': counselor._id },
+            { $unset: { 'counselorProfile.supervisor': 1 } }
+        );
+        await recordAudit(req, {
+            action: 'counselor.delete',
+            targetId: counselor._id,
+            targetLabel: counselor.name,
+            before: toCounselorResponse(counselor),
+        });
+
+        res.json({ message: 'Counselor removed' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getCounselors,
+    getCounselorById,
+    createCounselor,
+    updateCounselor,
+    deleteCounselor,
+};
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Escalation = require('../models/Escalation.js');
+const { sendError } = require('../utils/apiError.js');
+const { recordAudit, auditSnapshot } = require('../services/auditLog.js');
+const { studentScopeFilter, NO_UNIVERSITY_MESSAGE } = require('../services/universityScope.js');
+
+const STAFF_FIELDS = 'name email role';
+
+// What the audit log keeps of an escalation. Notes describe a student in crisis,
+// so they stay in the escalation's own trail and out of the admin-wide log.
+const toAuditState = (escalation) => ({
+    status: escalation.status,
+    acknowledgedBy: escalation.acknowledgedBy,
+    acknowledgedAt: escalation.acknowledgedAt,
+    resolvedBy: escalation.resolvedBy,
+    resolvedAt: escalation.resolvedAt,
+});
+
+const findEscalation = (id) => Escalation.findById(id)
+    .populate('student', 'name email university')
+    .populate('acknowledgedBy resolvedBy auditTrail.actor', STAFF_FIELDS);
+
+// @desc    List escalations, most urgent first
+// @route   GET /api/escalations?status=open|acknowledged|resolved|active
+// @access  Private (escalations:handle)
+const getEscalations = async (req, res, next) => {
+    const { status = 'active' } = req.query;
+    const query = {};
+
+    if (status === 'active') {
+        query.status = { $ne: 'resolved' };
+    } else if (status !== 'all') {
+        query.status = status;
+    }
+
+    try {
+        // University admins only handle their own students' escalations
+        const scope = await studentScopeFilter(req.user, 'student');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+
+        const escalations = await Escalation.find({ ...query, ...scope })
+            .select('-auditTrail')
+            .sort({ severity: 1, createdAt: -1 }) // 'high' sorts before 'moderate'
+            .populate('student', 'name email university')
+            .populate('acknowledgedBy resolvedBy', STAFF_FIELDS);
+
+        res.json(escalations);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a single escalation with its audit trail (the view itself is audited)
+// @route   GET /api/escalations/:id
+// @access  Private (escalations:handle)
+const getEscalationById = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Escalation not found');
+    }
+
+    try {
+        const scope = await studentScopeFilter(req.user, 'student');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+
+        const updated = await Escalation.findOneAndUpdate({ _id: req.params.id, ...scope }, {
+            $push: { auditTrail: { action: 'viewed', actor: req.user._id } },
+        });
+
+        if (!updated) {
+            return sendError(res, 404, 'Escalation not found');
+        }
+
+        res.json(await findEscalation(req.params.id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Acknowledge an open escalation
+// @route   PUT /api/escalations/:id/acknowledge
+// @access  Private (escalations:handle)
+const acknowledgeEscalation = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Escalation not found');
+    }
+
+    try {
+        const scope = await studentScopeFilter(req.user, 'student');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+
+        const escalation = await Escalation.findOne({ _id: req.params.id, ...scope });
+
+        if (!escalation) {
+            return sendError(res, 404, 'Escalation not found');
+        }
+        if (escalation.status !== 'open') {
+            return sendError(res, 400, `Escalation is already ${escalation.status}`);
+        }
+
+        const before = auditSnapshot(toAuditState(escalation));
+        escalation.status = 'acknowledged';
+        escalation.acknowledgedBy = req.user._id;
+        escalation.acknowledgedAt = new Date();
+        escalation.auditTrail.push({ action: 'acknowledged', actor: req.user._id, note: req.body.note });
+        await escalation.save();
+        await recordAudit(req, {
+            action: 'escalation.acknowledge',
+            targetId: escalation._id,
+            before,
+            after: toAuditState(escalation),
+        });
+
+        res.json(await findEscalation(escalation._id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Add a follow-up note to an escalation
+// @route   POST /api/escalations/:id/notes
+// @access  Private (escalations:handle)
+const addEscalationNote = async (req, res, next) => {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+    if (!note) {
+        return sendError(res, 400, 'Note is required');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Escalation not found');
+    }
+
+    try {
+        const scope = await studentScopeFilter(req.user, 'student');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+
+        const escalation = await Escalation.findOneAndUpdate({ _id: req.params.id, ...scope }, {
+            $push: { auditTrail: { action: 'note', actor: req.user._id, note } },
+        });
+
+        if (!escalation) {
+            return sendError(res, 404, 'Escalation not found');
+        }
+        await recordAudit(req, { action: 'escalation.add-note', targetId: escalation._id });
+
+        res.status(201).json(await findEscalation(escalation._id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Resolve an escalation with an outcome note
+// @route   PUT /api/escalations/:id/resolve
+// @access  Private (escalations:handle)
+const resolveEscalation = async (req, res, next) => {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+    if (!note) {
+        return sendError(res, 400, 'Please describe the outcome before resolving');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Escalation not found');
+    }
+
+    try {
+        const scope = await studentScopeFilter(req.user, 'student');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+
+        const escalation = await Escalation.findOne({ _id: req.params.id, ...scope });
+
+        if (!escalation) {
+            return sendError(res, 404, 'Escalation not found');
+        }
+        if (escalation.status === 'resolved') {
+            return sendError(res, 400, 'Escalation is already resolved');
+        }
+
+        const before = auditSnapshot(toAuditState(escalation));
+        // Resolving implies someone has picked it up
+        if (!escalation.acknowledgedBy) {
+            escalation.acknowledgedBy = req.user._id;
+            escalation.acknowledgedAt = new Date();
+        }
+        escalation.status = 'resolved';
+        escalation.resolvedBy = req.user._id;
+        escalation.resolvedAt = new Date();
+        escalation.auditTrail.push({ action: 'resolved', actor: req.user._id, note });
+        await escalation.save();
+        await recordAudit(req, {
+            action: 'escalation.resolve',
+            targetId: escalation._id,
+            before,
+            after: toAuditState(escalation),
+        });
+
+        res.json(await findEscalation(escalation._id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getEscalations,
+    getEscalationById,
+    acknowledgeEscalation,
+    addEscalationNote,
+    resolveEscalation,
+};
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const DataExport = require('../models/DataExport.js');
+const { EXPORT_DIR, queueExport } = require('../services/export/index.js');
+const { sendError } = require('../utils/apiError.js');
+
+const { ACTIVE_EXPORT_STATUSES } = DataExport;
+
+// MongoDB duplicate key error, raised by the one-active-export-per-user index
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+const isDownloadable = (job) => job.status === 'ready' && job.expiresAt > new Date();
+
+// Downloads go through the API with the user's session, like every other
+// request, so signing out or changing the password also cuts off the file
+const toExportResponse = (job) => ({
+    _id: job._id,
+    status: isDownloadable(job) || job.status !== 'ready' ? job.status : 'expired',
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    fileSize: job.fileSize,
+    error: job.error,
+    downloadUrl: isDownloadable(job) ? `/exports/${job._id}/download` : null,
+});
+
+// @desc    Start building a download of the user's data
+// @route   POST /api/exports
+// @access  Private
+const requestExport = async (req, res, next) => {
+    try {
+        // One export at a time; asking again returns the one already underway
+        const active = await DataExport.findOne({ user: req.user._id, status: { $in: ACTIVE_EXPORT_STATUSES } });
+        if (active) {
+            return res.status(202).json(toExportResponse(active));
+        }
+
+        const job = await DataExport.create({ user: req.user._id });
+        queueExport(job._id);
+
+        res.status(202).json(toExportResponse(job));
+    } catch (error) {
+        // A concurrent request started one between the check above and the insert
+        if (isDuplicateKeyError(error)) {
+            return sendError(res, 409, 'Your data export is already being prepared', { code: 'EXPORT_IN_PROGRESS' });
+        }
+        next(error);
+    }
+};
+
+// @desc    List the user's recent exports
+// @route   GET /api/exports
+// @access  Private
+const getMyExports = async (req, res, next) => {
+    try {
+        const jobs = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(5);
+        res.json(jobs.map(toExportResponse));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the status of one export
+// @route   GET /api/exports/:id
+// @access  Private
+const getExportById = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Export not found');
+    }
+
+    try {
+        const job = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!job) {
+            return sendError(res, 404, 'Export not found');
+        }
+
+        res.json(toExportResponse(job));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Download a finished export
+// @route   GET /api/exports/:id/download
+// @access  Private
+const downloadExport = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Export not found');
+    }
+
+    try {
+        const job = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!job || job.status !== 'ready') {
+            return sendError(res, 404, 'Export not found');
+        }
+        if (!isDownloadable(job)) {
+            return sendError(res, 410, 'This download has expired. Please request a new export.');
+        }
+
+        const downloadName = `mindwell-data-${job.completedAt.toISOString().slice(0, 10)}.zip`;
+        res.set('Cache-Control', 'no-store');
+        res.download(path.join(EXPORT_DIR, path.basename(job.fileName)), downloadName, (error) => {
+            if (error && !res.headersSent) {
+                sendError(res, 404, 'Export not found');
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    requestExport,
+    getMyExports,
+    getExportById,
+    downloadExport,
+};
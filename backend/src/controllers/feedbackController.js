@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const Feedback = require('../models/Feedback.js');
+const User = require('../models/User.js');
+const { screenForRisk } = require('../services/risk/index.js');
+const { PERMISSIONS, rolesWithPermission, universityScopeFor } = require('../config/permissions.js');
+const { sendError } = require('../utils/apiError.js');
+const { recordAudit, auditSnapshot } = require('../services/auditLog.js');
+const { studentScopeFilter, NO_UNIVERSITY_MESSAGE } = require('../services/universityScope.js');
+
+const { FEEDBACK_STATUSES } = Feedback;
+const TRIAGE_ROLES = rolesWithPermission(PERMISSIONS.FEEDBACK_TRIAGE);
+
+// Staff a user may hand feedback to: for a university admin, platform admins and
+// admins of their own university, since nobody else could see the item
+const assigneeQuery = (user) => {
+    const scope = universityScopeFor(user);
+    const query = { role: { $in: TRIAGE_ROLES } };
+    if (scope !== null) query.$or = [{ role: 'admin' }, { university: scope }];
+    return query;
+};
+
+const findFeedback = (id) => Feedback.findById(id)
+    .populate('user', 'name email university')
+    .populate('assignedTo internalNotes.author', 'name email');
+
+// What a student may see of their own report
+const toStudentResponse = (feedback) => ({
+    _id: feedback._id,
+    type: feedback.type,
+    category: feedback.category,
+    subject: feedback.subject,
+    message: feedback.message,
+    status: feedback.status,
+    createdAt: feedback.createdAt,
+    updatedAt: feedback.updatedAt,
+});
+
+// @desc    Submit feedback or a problem report
+// @route   POST /api/feedback
+// @access  Private
+const createFeedback = async (req, res, next) => {
+    const { type, category, subject, message, stepsToReproduce } = req.body;
+
+    try {
+        const feedback = await Feedback.create({
+            user: req.user._id,
+            type,
+            category,
+            subject,
+            message,
+            stepsToReproduce,
+        });
+
+        const crisis = await screenForRisk({
+            userId: req.user._id,
+            source: 'feedback',
+            sourceId: feedback._id,
+            texts: [subject, message, stepsToReproduce],
+        });
+
+        res.status(201).json({ ...toStudentResponse(feedback), crisis });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List the user's own feedback and reports with their status
+// @route   GET /api/feedback/mine
+// @access  Private
+const getMyFeedback = async (req, res, next) => {
+    try {
+        const feedback = await Feedback.find({ user: req.user._id }).sort({ createdAt: -1 });
+        res.json(feedback.map(toStudentResponse));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List feedback for triage, newest first
+// @route   GET /api/feedback?type=&status=&assignedTo=me|unassigned|<id>&page=&limit=
+// @access  Private (feedback:triage)
+const getFeedback = async (req, res, next) => {
+    const { type, status, assignedTo } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = {};
+
+    if (type && type !== 'all') query.type = type;
+    if (status && status !== 'all') query.status = status;
+    if (assignedTo === 'me') {
+        query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+        query.assignedTo = null;
+    } else if (assignedTo && assignedTo !== 'all') {
+        if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+            return sendError(res, 400, 'Invalid assignee');
+        }
+        query.assignedTo = assignedTo;
+    }
+
+    try {
+        // University admins only triage their own students' feedback
+        const scope = await studentScopeFilter(req.user, 'user');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+        Object.assign(query, scope);
+
+        const [entries, total] = await Promise.all([
+            Feedback.find(query)
+                .select('-internalNotes -stepsToReproduce')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('user', 'name email')
+                .populate('assignedTo', 'name email'),
+            Feedback.countDocuments(query),
+        ]);
+
+        res.json({
+            entries,
+            page,
+            totalPages: Math.ceil(total / limit),
+            total,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List the staff that feedback can be assigned to
+// @route   GET /api/feedback/assignees
+// @access  Private (feedback:triage)
+const getAssignees = async (req, res, next) => {
+    try {
+        const staff = await User.find(assigneeQuery(req.user)).select('name email').sort({ name: 1 });
+        res.json(staff);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a single item with its internal notes; opening a new item marks it read
+// @route   GET /api/feedback/:id
+// @access  Private (feedback:triage)
+const getFeedbackById = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Feedback not found');
+    }
+
+    try {
+        const scope = await studentScopeFilter(req.user, 'user');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+        if (!(await Feedback.exists({ _id: req.params.id, ...scope }))) {
+            return sendError(res, 404, 'Feedback not found');
+        }
+
+        await Feedback.updateOne({ _id: req.params.id, status: 'new' }, { status: 'read' });
+        const feedback = await findFeedback(req.params.id);
+
+        res.json(feedback);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Change an item's status and/or assignee
+// @route   PUT /api/feedback/:id
+// @access  Private (feedback:triage)
+const updateFeedback = async (req, res, next) => {
+    const { status, assignedTo } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Feedback not found');
+    }
+    if (status !== undefined && !FEEDBACK_STATUSES.includes(status)) {
+        return sendError(res, 400, `Status must be one of: ${FEEDBACK_STATUSES.join(', ')}`);
+    }
+
+    try {
+        const scope = await studentScopeFilter(req.user, 'user');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+
+        const feedback = await Feedback.findOne({ _id: req.params.id, ...scope });
+
+        if (!feedback) {
+            return sendError(res, 404, 'Feedback not found');
+        }
+
+        const before = auditSnapshot({ status: feedback.status, assignedTo: feedback.assignedTo });
+        if (assignedTo !== undefined) {
+            if (assignedTo) {
+                const assignee = mongoose.Types.ObjectId.isValid(assignedTo)
+                    && await User.exists({ _id: assignedTo, ...assigneeQuery(req.user) });
+                if (!assignee) {
+                    return sendError(res, 400, 'Feedback can only be assigned to staff who triage feedback');
+                }
+            }
+            feedback.assignedTo = assignedTo || undefined;
+        }
+        if (status !== undefined && status !== feedback.status) {
+            feedback.status = status;
+            feedback.resolvedAt = status === 'resolved' ? new Date() : undefined;
+        }
+
+        await feedback.save();
+        await recordAudit(req, {
+            action: 'feedback.update',
+            targetId: feedback._id,
+            targetLabel: feedback.subject,
+            before,
+            after: { status: feedback.status, assignedTo: feedback.assignedTo },
+        });
+
+        res.json(await findFeedback(feedback._id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Add an internal note to an item
+// @route   POST /api/feedback/:id/notes
+// @access  Private (feedback:triage)
+const addFeedbackNote = async (req, res, next) => {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text) {
+        return sendError(res, 400, 'Note is required');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Feedback not found');
+    }
+
+    try {
+        const scope = await studentScopeFilter(req.user, 'user');
+        if (!scope) {
+            return sendError(res, 403, NO_UNIVERSITY_MESSAGE);
+        }
+
+        const feedback = await Feedback.findOne({ _id: req.params.id, ...scope });
+
+        if (!feedback) {
+            return sendError(res, 404, 'Feedback not found');
+        }
+
+        feedback.internalNotes.push({ author: req.user._id, text });
+        await feedback.save();
+        await recordAudit(req, { action: 'feedback.add-note', targetId: feedback._id, targetLabel: feedback.subject });
+
+        res.status(201).json(await findFeedback(feedback._id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createFeedback,
+    getMyFeedback,
+    getFeedback,
+    getAssignees,
+    getFeedbackById,
+    updateFeedback,
+    addFeedbackNote,
+};
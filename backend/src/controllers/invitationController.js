@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation.js');
+const { sendError } = require('../utils/apiError.js');
+const { recordAudit, auditSnapshot } = require('../services/auditLog.js');
+
+const { INVITABLE_ROLES } = Invitation;
+
+const DEFAULT_TTL_DAYS = 7;
+const MAX_TTL_DAYS = 30;
+
+const findInvitations = (query) => Invitation.find(query)
+    .select('-codeHash')
+    .sort({ createdAt: -1 })
+    .populate('createdBy usedBy revokedBy', 'name email');
+
+// @desc    Create a single-use invitation code for an elevated role
+// @route   POST /api/invitations
+// @access  Private (invitations:manage)
+const createInvitation = async (req, res, next) => {
+    const { role, university } = req.body;
+    const ttlDays = req.body.expiresInDays === undefined ? DEFAULT_TTL_DAYS : Number(req.body.expiresInDays);
+
+    if (!INVITABLE_ROLES.includes(role)) {
+        return sendError(res, 400, `Role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+    }
+    if (!Number.isInteger(ttlDays) || ttlDays < 1 || ttlDays > MAX_TTL_DAYS) {
+        return sendError(res, 400, `Expiry must be between 1 and ${MAX_TTL_DAYS} days`);
+    }
+
+    try {
+        const { invitation, code } = await Invitation.issue({
+            role,
+            university: university || undefined,
+            createdBy: req.user._id,
+            ttlDays,
+        });
+
+        const response = invitation.toJSON();
+        delete response.codeHash;
+        await recordAudit(req, {
+            action: 'invitation.create',
+            targetId: invitation._id,
+            targetLabel: `${invitation.role} invitation ending ${invitation.codeHint}`,
+            after: response,
+        });
+        // The only time the code is ever shown
+        res.status(201).json({ ...response, code });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List invitations; outstanding ones by default
+// @route   GET /api/invitations?status=active|all
+// @access  Private (invitations:manage)
+const getInvitations = async (req, res, next) => {
+    const query = req.query.status === 'all'
+        ? {}
+        : { usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } };
+
+    try {
+        const invitations = await findInvitations(query);
+        res.json(invitations);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Revoke an unused invitation
+// @route   PUT /api/invitations/:id/revoke
+// @access  Private (invitations:manage)
+const revokeInvitation = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Invitation not found');
+    }
+
+    try {
+        const invitation = await Invitation.findById(req.params.id);
+
+        if (!invitation) {
+            return sendError(res, 404, 'Invitation not found');
+        }
+        if (invitation.usedAt) {
+            return sendError(res, 400, 'This invitation has already been used');
+        }
+
+        if (!invitation.revokedAt) {
+            const before = auditSnapshot(invitation);
+            invitation.revokedAt = new Date();
+            invitation.revokedBy = req.user._id;
+            await invitation.save();
+            await recordAudit(req, {
+                action: 'invitation.revoke',
+                targetId: invitation._id,
+                targetLabel: `${invitation.role} invitation ending ${invitation.codeHint}`,
+                before,
+                after: invitation,
+            });
+        }
+
+        res.json({ message: 'Invitation revoked' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createInvitation,
+    getInvitations,
+    revokeInvitation,
+};
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry.js');
+const { screenForRisk } = require('../services/risk/index.js');
+const { sendError } = require('../utils/apiError.js');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 20000;
+
+// Returns an error message for invalid input, or null when it is acceptable
+const validateEntryInput = ({ title, body }, { partial = false } = {}) => {
+    if (title !== undefined && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+        return `Title must be text of at most ${MAX_TITLE_LENGTH} characters`;
+    }
+    if (body === undefined && partial) {
+        return null;
+    }
+    if (typeof body !== 'string' || !body.trim() || body.length > MAX_BODY_LENGTH) {
+        return `Entry must be between 1 and ${MAX_BODY_LENGTH} characters`;
+    }
+    return null;
+};
+
+const normaliseTitle = (title) => (title && title.trim()) || 'Untitled entry';
+
+// @desc    Create a journal entry
+// @route   POST /api/journal
+// @access  Private
+const createJournalEntry = async (req, res, next) => {
+    const error = validateEntryInput(req.body);
+    if (error) {
+        return sendError(res, 400, error);
+    }
+
+    try {
+        const key = await JournalEntry.getUserKey(req.user._id);
+        const entry = new JournalEntry({ user: req.user._id });
+        entry.setContent(key, { title: normaliseTitle(req.body.title), body: req.body.body });
+        await entry.save();
+
+        const crisis = await screenForRisk({
+            userId: req.user._id,
+            source: 'journal',
+            sourceId: entry._id,
+            texts: [req.body.title, req.body.body],
+        });
+
+        res.status(201).json({ ...entry.toDecrypted(key), crisis });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List the user's journal entries, newest first
+// @route   GET /api/journal?page=&limit=
+// @access  Private
+const getJournalEntries = async (req, res, next) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    try {
+        const query = { user: req.user._id };
+        const [entries, total] = await Promise.all([
+            JournalEntry.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            JournalEntry.countDocuments(query),
+        ]);
+
+        const key = await JournalEntry.getUserKey(req.user._id);
+
+        res.json({
+            entries: entries.map(entry => entry.toDecrypted(key)),
+            page,
+            totalPages: Math.ceil(total / limit),
+            total,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a single journal entry
+// @route   GET /api/journal/:id
+// @access  Private
+const getJournalEntry = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Journal entry not found');
+    }
+
+    try {
+        const entry = await JournalEntry.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!entry) {
+            return sendError(res, 404, 'Journal entry not found');
+        }
+
+        const key = await JournalEntry.getUserKey(req.user._id);
+        res.json(entry.toDecrypted(key));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Edit a journal entry
+// @route   PUT /api/journal/:id
+// @access  Private
+const updateJournalEntry = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Journal entry not found');
+    }
+
+    const error = validateEntryInput(req.body, { partial: true });
+    if (error) {
+        return sendError(res, 400, error);
+    }
+
+    try {
+        const entry = await JournalEntry.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!entry) {
+            return sendError(res, 404, 'Journal entry not found');
+        }
+
+        const key = await JournalEntry.getUserKey(req.user._id);
+        entry.setContent(key, {
+            title: req.body.title !== undefined ? normaliseTitle(req.body.title) : undefined,
+            body: req.body.body,
+        });
+        await entry.save();
+
+        const crisis = await screenForRisk({
+            userId: req.user._id,
+            source: 'journal',
+            sourceId: entry._id,
+            texts: [req.body.title, req.body.body],
+        });
+
+        res.json({ ...entry.toDecrypted(key), crisis });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a journal entry
+// @route   DELETE /api/journal/:id
+// @access  Private
+const deleteJournalEntry = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Journal entry not found');
+    }
+
+    try {
+        const entry = await JournalEntry.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+        if (!entry) {
+            return sendError(res, 404, 'Journal entry not found');
+        }
+
+        res.json({ message: 'Journal entry removed' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createJournalEntry,
+    getJournalEntries,
+    getJournalEntry,
+    updateJournalEntry,
+    deleteJournalEntry,
+};
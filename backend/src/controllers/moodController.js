@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const MoodEntry = require('../models/MoodEntry.js');
+const { screenForRisk } = require('../services/risk/index.js');
+const { sendError } = require('../utils/apiError.js');
+
+// Normalises a tags array or comma-separated string into lowercase, de-duplicated tags
+const parseTags = (tags) => {
+    if (!tags) return [];
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+const isValidMoodValue = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// @desc    Log a new mood entry
+// @route   POST /api/mood
+// @access  Private
+const createMoodEntry = async (req, res, next) => {
+    const { mood, notes, tags, timestamp, clientInfo } = req.body;
+    const value = parseInt(req.body.value, 10);
+
+    if (!mood || typeof mood !== 'string' || !isValidMoodValue(value)) {
+        return sendError(res, 400, 'A mood and a value between 1 and 5 are required');
+    }
+
+    const date = timestamp ? new Date(timestamp) : new Date();
+    if (isNaN(date.getTime())) {
+        return sendError(res, 400, 'Invalid timestamp');
+    }
+
+    try {
+        const entry = await MoodEntry.create({
+            user: req.user._id,
+            mood,
+            value,
+            notes,
+            tags: parseTags(tags),
+            date,
+            clientInfo: clientInfo && {
+                userAgent: clientInfo.userAgent,
+                timezone: clientInfo.timezone,
+            },
+        });
+
+        const crisis = await screenForRisk({
+            userId: req.user._id,
+            source: 'mood-note',
+            sourceId: entry._id,
+            texts: [notes],
+        });
+
+        res.status(201).json({ ...entry.toObject(), crisis });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List the user's mood entries, optionally filtered by date range and tags
+// @route   GET /api/mood?from=&to=&tags=exams,sleep&page=&limit=
+// @access  Private
+const getMoodEntries = async (req, res, next) => {
+    const { from, to, tags } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = { user: req.user._id };
+
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = new Date(from);
+        if (to) query.date.$lte = new Date(to);
+        if (Object.values(query.date).some(date => isNaN(date.getTime()))) {
+            return sendError(res, 400, 'Invalid date range');
+        }
+    }
+
+    const tagList = parseTags(tags);
+    if (tagList.length > 0) {
+        query.tags = { $in: tagList };
+    }
+
+    try {
+        const [entries, total] = await Promise.all([
+            MoodEntry.find(query)
+                .sort({ date: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            MoodEntry.countDocuments(query),
+        ]);
+
+        res.json({
+            entries,
+            page,
+            totalPages: Math.ceil(total / limit),
+            total,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the latest mood per day for the dashboard chart
+// @route   GET /api/mood/history?days=7&tz=Asia/Kolkata
+// @access  Private
+const getMoodHistory = async (req, res, next) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 365);
+    const timezone = req.query.tz || 'UTC';
+
+    if (!isValidTimezone(timezone)) {
+        return sendError(res, 400, 'Invalid timezone');
+    }
+
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    try {
+        const history = await MoodEntry.aggregate([
+            { $match: { user: new mongoose.Types.ObjectId(req.user._id), date: { $gte: since } } },
+            { $sort: { date: -1 } },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
+                    date: { $first: '$date' },
+                    mood: { $first: '$mood' },
+                    value: { $first: '$value' },
+                    count: { $sum: 1 },
+                },
+            },
+            { $sort: { date: 1 } },
+            { $project: { _id: 0, day: '$_id', date: 1, mood: 1, value: 1, count: 1 } },
+        ]);
+
+        res.json(history);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update one of the user's mood entries
+// @route   PUT /api/mood/:id
+// @access  Private
+const updateMoodEntry = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Mood entry not found');
+    }
+
+    try {
+        const entry = await MoodEntry.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!entry) {
+            return sendError(res, 404, 'Mood entry not found');
+        }
+
+        const { mood, notes, tags } = req.body;
+
+        if (req.body.value !== undefined) {
+            const value = parseInt(req.body.value, 10);
+            if (!isValidMoodValue(value)) {
+                return sendError(res, 400, 'Mood value must be between 1 and 5');
+            }
+            entry.value = value;
+        }
+        if (mood !== undefined) entry.mood = mood;
+        if (notes !== undefined) entry.notes = notes;
+        if (tags !== undefined) entry.tags = parseTags(tags);
+
+        const updatedEntry = await entry.save();
+
+        const crisis = await screenForRisk({
+            userId: req.user._id,
+            source: 'mood-note',
+            sourceId: entry._id,
+            texts: [notes],
+        });
+
+        res.json({ ...updatedEntry.toObject(), crisis });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete one of the user's mood entries
+// @route   DELETE /api/mood/:id
+// @access  Private
+const deleteMoodEntry = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Mood entry not found');
+    }
+
+    try {
+        const entry = await MoodEntry.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+        if (!entry) {
+            return sendError(res, 404, 'Mood entry not found');
+        }
+
+        res.json({ message: 'Mood entry removed' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createMoodEntry,
+    getMoodEntries,
+    getMoodHistory,
+    updateMoodEntry,
+    deleteMoodEntry,
+};
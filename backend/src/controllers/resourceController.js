@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Resource = require('../models/Resource.js');
+const { sendError } = require('../utils/apiError.js');
+const { recordAudit, auditSnapshot } = require('../services/auditLog.js');
+
+const { RESOURCE_TYPES, RESOURCE_TOPICS } = Resource;
+
+const EDITABLE_FIELDS = ['title', 'type', 'topic', 'content', 'videoUrl', 'link', 'thumbnail'];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+}, {});
+
+// @desc    List resources, optionally filtered by topic, type and title search
+// @route   GET /api/resources?topic=&type=&search=
+// @access  Public
+const getResources = async (req, res, next) => {
+    const { topic, type, search } = req.query;
+    const query = {};
+
+    if (topic && topic !== 'all') query.topic = topic;
+    if (type && type !== 'all') query.type = type;
+    if (search) {
+        query.title = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    try {
+        const resources = await Resource.find(query).sort({ date: -1 });
+        res.json(resources);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List the allowed resource types and topics
+// @route   GET /api/resources/options
+// @access  Public
+const getResourceOptions = (req, res) => {
+    res.json({ types: RESOURCE_TYPES, topics: RESOURCE_TOPICS });
+};
+
+// @desc    Get a single resource
+// @route   GET /api/resources/:id
+// @access  Public
+const getResourceById = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Resource not found');
+    }
+
+    try {
+        const resource = await Resource.findById(req.params.id);
+
+        if (!resource) {
+            return sendError(res, 404, 'Resource not found');
+        }
+
+        res.json(resource);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a resource
+// @route   POST /api/resources
+// @access  Private (resources:write)
+const createResource = async (req, res, next) => {
+    try {
+        const resource = await Resource.create({
+            ...pickEditableFields(req.body),
+            user: req.user._id,
+        });
+        await recordAudit(req, {
+            action: 'resource.create',
+            targetId: resource._id,
+            targetLabel: resource.title,
+            after: resource,
+        });
+
+        res.status(201).json(resource);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update a resource
+// @route   PUT /api/resources/:id
+// @access  Private (resources:write)
+const updateResource = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Resource not found');
+    }
+
+    try {
+        const resource = await Resource.findById(req.params.id);
+
+        if (!resource) {
+            return sendError(res, 404, 'Resource not found');
+        }
+
+        const before = auditSnapshot(resource);
+        resource.set(pickEditableFields(req.body));
+        const updatedResource = await resource.save();
+        await recordAudit(req, {
+            action: 'resource.update',
+            targetId: updatedResource._id,
+            targetLabel: updatedResource.title,
+            before,
+            after: updatedResource,
+        });
+
+        res.json(updatedResource);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a resource
+// @route   DELETE /api/resources/:id
+// @access  Private (resources:write)
+const deleteResource = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Resource not found');
+    }
+
+    try {
+        const resource = await Resource.findByIdAndDelete(req.params.id);
+
+        if (!resource) {
+            return sendError(res, 404, 'Resource not found');
+        }
+        await recordAudit(req, {
+            action: 'resource.delete',
+            targetId: resource._id,
+            targetLabel: resource.title,
+            before: resource,
+        });
+
+        res.json({ message: 'Resource removed' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getResources,
+    getResourceOptions,
+    getResourceById,
+    createResource,
+    updateResource,
+    deleteResource,
+};
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const ScreeningInstrument = require('../models/ScreeningInstrument.js');
+const ScreeningSubmission = require('../models/ScreeningSubmission.js');
+const { screeningInstruments, SCREENING_DISCLAIMER } = require('../config/screeningInstruments.js');
+const { escalateRisk } = require('../services/risk/index.js');
+const { sendError } = require('../utils/apiError.js');
+
+// Instruments are published from config the first time anyone asks for them
+let instrumentsSynced = null;
+const ensureInstruments = () => {
+    if (!instrumentsSynced) {
+        instrumentsSynced = ScreeningInstrument.syncDefinitions(screeningInstruments).catch((error) => {
+            instrumentsSynced = null;
+            throw error;
+        });
+    }
+    return instrumentsSynced;
+};
+
+const toInstrumentSummary = (instrument) => ({
+    _id: instrument._id,
+    code: instrument.code,
+    version: instrument.version,
+    name: instrument.name,
+    category: instrument.category,
+    description: instrument.description,
+    questionCount: instrument.questions.length,
+});
+
+// Adds the band copy and disclaimer the student sees with a score
+const toSubmissionResponse = (submission, instrument) => {
+    const band = instrument && instrument.bandFor(submission.totalScore);
+    return {
+        _id: submission._id,
+        instrumentCode: submission.instrumentCode,
+        instrumentName: instrument ? instrument.name : submission.instrumentCode,
+        version: submission.version,
+        totalScore: submission.totalScore,
+        maxScore: submission.maxScore,
+        severity: submission.severity,
+        label: band ? band.label : submission.severity,
+        interpretation: band ? band.description : undefined,
+        flags: submission.flags,
+        disclaimer: SCREENING_DISCLAIMER,
+        createdAt: submission.createdAt,
+    };
+};
+
+// @desc    List the screening questionnaires currently offered
+// @route   GET /api/screenings/instruments
+// @access  Private
+const getInstruments = async (req, res, next) => {
+    try {
+        await ensureInstruments();
+        const instruments = await ScreeningInstrument.find({ active: true }).sort({ code: 1 });
+        res.json(instruments.map(toInstrumentSummary));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the current version of a questionnaire with its questions
+// @route   GET /api/screenings/instruments/:code
+// @access  Private
+const getInstrument = async (req, res, next) => {
+    try {
+        await ensureInstruments();
+        const instrument = await ScreeningInstrument.findOne({ code: req.params.code, active: true })
+            .populate('questions', 'question options');
+
+        if (!instrument) {
+            return sendError(res, 404, 'Questionnaire not found');
+        }
+
+        res.json({
+            ...toInstrumentSummary(instrument),
+            instructions: instrument.instructions,
+            disclaimer: SCREENING_DISCLAIMER,
+            questions: instrument.questions.map(question => ({
+                _id: question._id,
+                text: question.question,
+                options: question.options.map(({ text, value }) => ({ text, value })),
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Submit answers to a questionnaire and get the scored result
+// @route   POST /api/screenings/submissions
+// @access  Private
+const createSubmission = async (req, res, next) => {
+    const { instrumentId, answers } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(instrumentId)) {
+        return sendError(res, 404, 'Questionnaire not found');
+    }
+
+    try {
+        // Answers are scored against the exact version the student was shown, even if it was retired since
+        const instrument = await ScreeningInstrument.findById(instrumentId).populate('questions');
+
+        if (!instrument) {
+            return sendError(res, 404, 'Questionnaire not found');
+        }
+        if (!Array.isArray(answers) || answers.length !== instrument.questions.length) {
+            return sendError(res, 400, 'Please answer every question');
+        }
+
+        const values = answers.map(Number);
+        const invalidIndex = values.findIndex((value, i) => (
+            !instrument.questions[i].options.some(option => option.value === value)
+        ));
+        if (invalidIndex !== -1) {
+            return sendError(res, 400, `Answer ${invalidIndex + 1} is not one of the offered options`);
+        }
+
+        const totalScore = values.reduce((sum, value) => sum + value, 0);
+        const band = instrument.bandFor(totalScore);
+        const flags = instrument.criticalItems
+            .filter(item => values[item.index] >= item.minValue)
+            .map(item => item.signal);
+
+        const submission = await ScreeningSubmission.create({
+            student: req.user._id,
+            instrument: instrument._id,
+            instrumentCode: instrument.code,
+            version: instrument.version,
+            answers: values.map((value, i) => ({ question: instrument.questions[i]._id, value })),
+            totalScore,
+            maxScore: instrument.maxScore(),
+            severity: band.severity,
+            flags,
+        });
+
+        const crisis = flags.length > 0
+            ? await escalateRisk({
+                userId: req.user._id,
+                source: 'screening',
+                sourceId: submission._id,
+                severity: 'high',
+                signals: flags,
+            })
+            : null;
+
+        res.status(201).json({ ...toSubmissionResponse(submission, instrument), crisis });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the student's screening history, oldest first
+// @route   GET /api/screenings/submissions?instrument=PHQ-9
+// @access  Private
+const getMySubmissions = async (req, res, next) => {
+    const query = { student: req.user._id };
+    if (req.query.instrument) query.instrumentCode = req.query.instrument;
+
+    try {
+        const submissions = await ScreeningSubmission.find(query)
+            .sort({ createdAt: 1 })
+            .populate('instrument', 'name bands');
+
+        res.json(submissions.map(submission => toSubmissionResponse(submission, submission.instrument)));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get one of the student's scored submissions
+// @route   GET /api/screenings/submissions/:id
+// @access  Private
+const getSubmissionById = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 404, 'Result not found');
+    }
+
+    try {
+        const submission = await ScreeningSubmission.findOne({ _id: req.params.id, student: req.user._id })
+            .populate('instrument', 'name bands');
+
+        if (!submission) {
+            return sendError(res, 404, 'Result not found');
+        }
+
+        res.json(toSubmissionResponse(submission, submission.instrument));
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getInstruments,
+    getInstrument,
+    createSubmission,
+    getMySubmissions,
+    getSubmissionById,
+};
@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const Appointment = require('../models/Appointment.js');
+const SessionNote = require('../models/SessionNote.js');
+const { sendError } = require('../utils/apiError.js');
+const { recordAudit } = require('../services/auditLog.js');
+
+const { SOAP_SECTIONS } = SessionNote;
+
+// Notes can be written once a session has started, and for missed sessions too
+const NOTE_STATUSES = ['confirmed', 'completed', 'no-show'];
+
+const NOT_SHARED_MESSAGE = 'Your counselor has not shared notes from this session yet';
+
+/**
+ * How the current user may see the notes on an appointment:
+ * 'author' and 'supervisor' read the whole note, 'student' only the published summary.
+ * @returns {Promise<'author'|'supervisor'|'student'|null>}
+ */
+const noteAccessFor = async (appointment, user) => {
+    if (appointment.counselor.equals(user._id)) return 'author';
+    if (appointment.student && appointment.student.equals(user._id)) return 'student';
+    if (user.role === 'counselor'
+        && await User.exists({ _id: appointment.counselor, 'counselorProfile.supervisor': user._id })) {
+        return 'supervisor';
+    }
+    return null;
+};
+
+// Identifies the note in the audit log without copying any clinical content into it
+const auditLabel = (appointment) => `Session on ${appointment.date.toISOString().slice(0, 10)}`;
+
+const toStudentSummary = (note, appointment) => ({
+    appointment: appointment._id,
+    date: appointment.date,
+    counselor: note.counselor ? note.counselor.name : 'Former counselor',
+    summary: note.studentSummary.summary,
+    homework: note.studentSummary.homework,
+    nextSteps: note.studentSummary.nextSteps,
+    publishedAt: note.studentSummary.publishedAt,
+});
+
+/**
+ * Loads an appointment the current user wrote notes for, or may write them for.
+ * Sends the error response and returns null when they can't.
+ */
+const findAuthoredAppointment = async (req, res) => {
+    const appointment = await Appointment.findOne({ _id: req.params.appointmentId, counselor: req.user._id });
+
+    if (!appointment) {
+        sendError(res, 404, 'Appointment not found');
+        return null;
+    }
+    if (!NOTE_STATUSES.includes(appointment.status) || appointment.date > new Date()) {
+        sendError(res, 409, 'Notes can only be written once the session has taken place');
+        return null;
+    }
+    return appointment;
+};
+
+// Finds the appointment's note, or starts one for the counselor to fill in
+const findOrStartNote = async (appointment) => (
+    await SessionNote.findOne({ appointment: appointment._id })
+    || new SessionNote({ appointment: appointment._id, counselor: appointment.counselor, student: appointment.student })
+);
+
+// @desc    List notes the current counselor wrote or supervises, without their contents
+// @route   GET /api/session-notes?scope=mine|supervised
+// @access  Private (counselors)
+const getSessionNotes = async (req, res, next) => {
+    try {
+        let counselors = [req.user._id];
+        if (req.query.scope === 'supervised') {
+            counselors = await User.find({ 'counselorProfile.supervisor': req.user._id }).distinct('_id');
+        }
+
+        const notes = await SessionNote.find({ counselor: { $in: counselors } })
+            .select('appointment counselor student studentSummary.publishedAt createdAt updatedAt')
+            .populate('appointment', 'date sessionType status')
+            .populate('counselor student', 'name')
+            .sort({ updatedAt: -1 });
+
+        res.json(notes);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Read the notes for an appointment: the full note for its counselor and
+//          their supervisor, the published summary for the student
+// @route   GET /api/session-notes/:appointmentId
+// @access  Private
+const getSessionNote = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    try {
+        const appointment = await Appointment.findById(req.params.appointmentId);
+        const access = appointment && await noteAccessFor(appointment, req.user);
+
+        if (!access) {
+            return sendError(res, 404, 'Appointment not found');
+        }
+
+        const note = await SessionNote.findOne({ appointment: appointment._id })
+            .populate('counselor student', 'name');
+
+        if (access === 'student') {
+            if (!note || !note.studentSummary || !note.studentSummary.publishedAt) {
+                return sendError(res, 404, NOT_SHARED_MESSAGE);
+            }
+            await recordAudit(req, {
+                action: 'session-note.view-summary',
+                targetId: note._id,
+                targetLabel: auditLabel(appointment),
+            });
+            return res.json(toStudentSummary(note, appointment));
+        }
+
+        if (!note) {
+            return sendError(res, 404, 'No notes have been written for this session', { code: 'NOTE_NOT_FOUND' });
+        }
+        await recordAudit(req, {
+            action: 'session-note.view',
+            targetId: note._id,
+            targetLabel: auditLabel(appointment),
+            reason: access === 'supervisor' ? 'Clinical supervision' : undefined,
+        });
+        res.json(note);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Write or edit the SOAP sections of a session's notes
+// @route   PUT /api/session-notes/:appointmentId
+// @access  Private (the appointment's counselor)
+const saveSessionNote = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    try {
+        const appointment = await findAuthoredAppointment(req, res);
+        if (!appointment) return;
+
+        const note = await findOrStartNote(appointment);
+        const isNew = note.isNew;
+        const editedSections = SOAP_SECTIONS.filter(section => (
+            req.body[section] !== undefined && req.body[section] !== (note[section] || '')
+        ));
+
+        editedSections.forEach(section => {
+            note[section] = req.body[section];
+        });
+        await note.save();
+
+        // Section names only: the audit log must never hold the clinical text itself
+        if (isNew || editedSections.length > 0) {
+            await recordAudit(req, {
+                action: isNew ? 'session-note.create' : 'session-note.update',
+                targetId: note._id,
+                targetLabel: auditLabel(appointment),
+                after: { sections: editedSections },
+            });
+        }
+
+        res.status(isNew ? 201 : 200).json(await SessionNote.findById(note._id).populate('counselor student', 'name'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Share a summary, homework and next steps with the student
+// @route   PUT /api/session-notes/:appointmentId/summary
+// @access  Private (the appointment's counselor)
+const publishStudentSummary = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    try {
+        const appointment = await findAuthoredAppointment(req, res);
+        if (!appointment) return;
+        if (!appointment.student) {
+            return sendError(res, 409, 'The student has closed their account');
+        }
+
+        const note = await findOrStartNote(appointment);
+        const isNew = note.isNew;
+        const { summary, homework = [], nextSteps } = req.body;
+
+        note.studentSummary = {
+            summary,
+            homework: homework.map(task => task.trim()).filter(Boolean),
+            nextSteps,
+            publishedAt: new Date(),
+        };
+        await note.save();
+
+        if (isNew) {
+            await recordAudit(req, {
+                action: 'session-note.create',
+                targetId: note._id,
+                targetLabel: auditLabel(appointment),
+                after: { sections: [] },
+            });
+        }
+        await recordAudit(req, {
+            action: 'session-note.publish-summary',
+            targetId: note._id,
+            targetLabel: auditLabel(appointment),
+        });
+
+        res.json(await SessionNote.findById(note._id).populate('counselor student', 'name'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Stop showing the summary to the student; its text is kept for republishing
+// @route   DELETE /api/session-notes/:appointmentId/summary
+// @access  Private (the appointment's counselor)
+const unpublishStudentSummary = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+        return sendError(res, 404, 'Appointment not found');
+    }
+
+    try {
+        const appointment = await Appointment.findOne({ _id: req.params.appointmentId, counselor: req.user._id });
+        const note = appointment && await SessionNote.findOne({ appointment: appointment._id });
+
+        if (!note) {
+            return sendError(res, 404, 'No notes have been written for this session', { code: 'NOTE_NOT_FOUND' });
+        }
+        if (!note.studentSummary || !note.studentSummary.publishedAt) {
+            return sendError(res, 409, 'The summary is not shared with the student');
+        }
+
+        note.studentSummary.publishedAt = undefined;
+        await note.save();
+        await recordAudit(req, {
+            action: 'session-note.unpublish-summary',
+            targetId: note._id,
+            targetLabel: auditLabel(appointment),
+        });
+
+        res.json(await SessionNote.findById(note._id).populate('counselor student', 'name'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getSessionNotes,
+    getSessionNote,
+    saveSessionNote,
+    publishStudentSummary,
+    unpublishStudentSummary,
+};
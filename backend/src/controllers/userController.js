@@ -1,3 +1,85 @@
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const Session = require('../models/Session.js');
+const { ROLES, permissionsFor, universityScopeFor } = require('../config/permissions.js');
+const { UNIVERSITIES, validateRegistrationNumber } = require('../config/universities.js');
+const { saveAvatar, removeAvatar } = require('../utils/avatarStorage.js');
+const { ACCOUNT_DELETION_GRACE_DAYS } = require('../services/accountDeletion.js');
+const { sendMail } = require('../services/mail/index.js');
+const { accountDeletionEmail } = require('../services/mail/templates.js');
+const { sendError } = require('../utils/apiError.js');
+const { recordAudit, auditSnapshot } = require('../services/auditLog.js');
+
+// Counselors need a public profile, so they are only created from Manage Counselors
+const ASSIGNABLE_ROLES = ROLES.filter(role => role !== 'counselor');
+
+const LIST_FIELDS = 'name email role university registrationNumber emailVerified suspended suspendedAt createdAt';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const requireReason = (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+        sendError(res, 400, 'A reason is required');
+        return null;
+    }
+    return reason;
+};
+
+/**
+ * Loads the account an admin wants to act on, enforcing who may act on whom.
+ * Sends the error response and returns null when the action isn't allowed.
+ */
+const findManagedUser = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        sendError(res, 404, 'User not found');
+        return null;
+    }
+    if (req.user._id.equals(req.params.id)) {
+        sendError(res, 400, 'You cannot change your own account here');
+        return null;
+    }
+
+    const user = await User.findById(req.params.id);
+    const scope = universityScopeFor(req.user);
+
+    // University admins only see and manage students of their own university
+    if (!user || (scope !== null && (user.role !== 'student' || !scope || user.university !== scope))) {
+        sendError(res, 404, 'User not found');
+        return null;
+    }
+    return user;
+};
+
+const toManagedUserResponse = (user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    university: user.university,
+    registrationNumber: user.registrationNumber,
+    emailVerified: user.emailVerified,
+    suspended: user.suspended,
+    suspendedAt: user.suspendedAt,
+    createdAt: user.createdAt,
+});
+
+// Avatars are served by the API, while the frontend runs on another origin
+const avatarUrlFor = (req, user) => (user.avatar ? `${req.protocol}://${req.get('host')}${user.avatar}` : null);
+
+const toProfileResponse = (req, user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    permissions: permissionsFor(user),
+    emailVerified: user.emailVerified,
+    university: user.university,
+    registrationNumber: user.registrationNumber,
+    avatarUrl: avatarUrlFor(req, user),
+    deletionScheduledFor: user.deletionScheduledFor,
+});
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -6,16 +88,365 @@ const getUserProfile = async (req, res) => {
     const user = req.user;
 
     if (user) {
-        res.json({
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
+        res.json(toProfileResponse(req, user));
+    } else {
+        sendError(res, 404, 'User not found');
+    }
+};
+
+// @desc    Update the logged-in user's name, university and registration number
+// @route   PUT /api/users/profile
+// @access  Private
+const updateUserProfile = async (req, res, next) => {
+    const user = req.user;
+    const { name, university } = req.body;
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return sendError(res, 400, 'Name cannot be empty');
+        }
+        if (name.trim().length > 100) {
+            return sendError(res, 400, 'Name must be at most 100 characters');
+        }
+        user.name = name.trim();
+    }
+
+    if (university !== undefined && university !== user.university) {
+        if (!UNIVERSITIES[university]) {
+            return sendError(res, 400, `University must be one of: ${Object.keys(UNIVERSITIES).join(', ')}`);
+        }
+        // A university admin's university decides whose data they can see
+        if (user.role === 'university-admin') {
+            return sendError(res, 403, 'Ask a platform admin to change your university');
+        }
+        user.university = university;
+    }
+
+    if (req.body.registrationNumber !== undefined || university !== undefined) {
+        const registrationNumber = typeof req.body.registrationNumber === 'string'
+            ? req.body.registrationNumber.trim().toUpperCase()
+            : user.registrationNumber;
+        // Universities without registration numbers don't keep one from a previous choice
+        const keepsNumber = Boolean(UNIVERSITIES[user.university] && UNIVERSITIES[user.university].registrationNumber);
+        const invalid = validateRegistrationNumber(user.university, registrationNumber);
+        if (invalid) {
+            return sendError(res, 400, invalid);
+        }
+        user.registrationNumber = keepsNumber && registrationNumber ? registrationNumber : undefined;
+    }
+
+    try {
+        if (user.registrationNumber && await User.exists({
+            _id: { $ne: user._id },
+            university: user.university,
+            registrationNumber: user.registrationNumber,
+        })) {
+            return sendError(res, 400, 'This registration number is already linked to another account');
+        }
+
+        const updatedUser = await user.save();
+        res.json(toProfileResponse(req, updatedUser));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Upload a new profile photo (multipart field "avatar")
+// @route   PUT /api/users/profile/avatar
+// @access  Private
+const uploadAvatar = async (req, res, next) => {
+    if (!req.file) {
+        return sendError(res, 400, 'Please choose an image to upload');
+    }
+
+    let avatar;
+    try {
+        avatar = await saveAvatar(req.user._id, req.file.buffer);
+    } catch (error) {
+        return sendError(res, 400, 'That file could not be read as an image');
+    }
+
+    try {
+        const previousAvatar = req.user.avatar;
+        req.user.avatar = avatar;
+        const updatedUser = await req.user.save();
+        await removeAvatar(previousAvatar).catch((error) => {
+            console.error(`Failed to delete old avatar: ${error.message}`);
+        });
+
+        res.json(toProfileResponse(req, updatedUser));
+    } catch (error) {
+        await removeAvatar(avatar).catch(() => {});
+        next(error);
+    }
+};
+
+// @desc    Remove the profile photo
+// @route   DELETE /api/users/profile/avatar
+// @access  Private
+const deleteAvatar = async (req, res, next) => {
+    try {
+        const previousAvatar = req.user.avatar;
+        req.user.avatar = undefined;
+        const updatedUser = await req.user.save();
+        await removeAvatar(previousAvatar);
+
+        res.json(toProfileResponse(req, updatedUser));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Ask for the account to be deleted once the grace period ends
+// @route   POST /api/users/profile/deletion
+// @access  Private
+const requestAccountDeletion = async (req, res, next) => {
+    const { password } = req.body;
+
+    // Staff accounts hold records other people depend on, so an admin closes them
+    if (req.user.role !== 'student') {
+        return sendError(res, 403, 'Ask a platform admin to close a staff account');
+    }
+    if (typeof password !== 'string' || !password) {
+        return sendError(res, 400, 'Please enter your password to confirm');
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.deletionScheduledFor) {
+            return sendError(res, 400, 'Your account is already scheduled for deletion');
+        }
+        if (!(await user.matchPassword(password))) {
+            return sendError(res, 400, 'Password is incorrect');
+        }
+
+        user.deletionRequestedAt = new Date();
+        user.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+        const updatedUser = await user.save();
+        await Session.revokeAllForUser(user._id, { except: req.sessionId });
+
+        sendMail({
+            to: user.email,
+            ...accountDeletionEmail({ name: user.name, scheduledFor: updatedUser.deletionScheduledFor }),
+        }).catch((error) => {
+            console.error(`Failed to send account deletion email: ${error.message}`);
         });
+
+        res.json(toProfileResponse(req, updatedUser));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Keep the account after asking for it to be deleted
+// @route   DELETE /api/users/profile/deletion
+// @access  Private
+const cancelAccountDeletion = async (req, res, next) => {
+    if (!req.user.deletionScheduledFor) {
+        return sendError(res, 400, 'Your account is not scheduled for deletion');
+    }
+
+    try {
+        req.user.deletionRequestedAt = undefined;
+        req.user.deletionScheduledFor = undefined;
+        const updatedUser = await req.user.save();
+
+        res.json(toProfileResponse(req, updatedUser));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List users with search, filters and pagination
+// @route   GET /api/users?search=&university=&role=&status=active|suspended&page=&limit=
+// @access  Private (users:read)
+const getUsers = async (req, res, next) => {
+    const { search, university, role, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const scope = universityScopeFor(req.user);
+    const query = {};
+
+    if (scope !== null) {
+        if (!scope) {
+            return sendError(res, 403, 'Your account is not linked to a university');
+        }
+        query.university = scope;
+        query.role = 'student';
     } else {
-        res.status(404).json({ message: 'User not found' });
+        if (university && university !== 'all') query.university = university;
+        if (role && role !== 'all') query.role = role;
+    }
+    if (status === 'suspended') query.suspended = true;
+    if (status === 'active') query.suspended = { $ne: true };
+    if (search) {
+        const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }, { registrationNumber: pattern }];
+    }
+
+    try {
+        const [entries, total] = await Promise.all([
+            User.find(query)
+                .select(LIST_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            User.countDocuments(query),
+        ]);
+
+        res.json({
+            entries,
+            page,
+            totalPages: Math.ceil(total / limit),
+            total,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get one account with its moderation history
+// @route   GET /api/users/:id
+// @access  Private (users:read)
+const getUserById = async (req, res, next) => {
+    try {
+        const user = await findManagedUser(req, res);
+        if (!user) return;
+
+        await user.populate('moderationHistory.actor', 'name email');
+        res.json({ ...toManagedUserResponse(user), moderationHistory: user.moderationHistory });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Suspend an account and sign it out everywhere
+// @route   PUT /api/users/:id/suspend
+// @access  Private (users:suspend)
+const suspendUser = async (req, res, next) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findManagedUser(req, res);
+        if (!user) return;
+
+        if (user.suspended) {
+            return sendError(res, 400, 'This account is already suspended');
+        }
+
+        const before = auditSnapshot(toManagedUserResponse(user));
+        user.suspended = true;
+        user.suspendedAt = new Date();
+        user.moderationHistory.push({ action: 'suspended', reason, actor: req.user._id });
+        await user.save();
+        await Session.revokeAllForUser(user._id);
+        await recordAudit(req, {
+            action: 'user.suspend',
+            targetId: user._id,
+            targetLabel: user.name,
+            reason,
+            before,
+            after: toManagedUserResponse(user),
+        });
+
+        res.json(toManagedUserResponse(user));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Lift a suspension
+// @route   PUT /api/users/:id/reactivate
+// @access  Private (users:suspend)
+const reactivateUser = async (req, res, next) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findManagedUser(req, res);
+        if (!user) return;
+
+        if (!user.suspended) {
+            return sendError(res, 400, 'This account is not suspended');
+        }
+
+        const before = auditSnapshot(toManagedUserResponse(user));
+        user.suspended = false;
+        user.suspendedAt = undefined;
+        user.moderationHistory.push({ action: 'reactivated', reason, actor: req.user._id });
+        await user.save();
+        await recordAudit(req, {
+            action: 'user.reactivate',
+            targetId: user._id,
+            targetLabel: user.name,
+            reason,
+            before,
+            after: toManagedUserResponse(user),
+        });
+
+        res.json(toManagedUserResponse(user));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Change an account's role
+// @route   PUT /api/users/:id/role
+// @access  Private (users:change-role)
+const changeUserRole = async (req, res, next) => {
+    const { role } = req.body;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+        return sendError(res, 400, `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findManagedUser(req, res);
+        if (!user) return;
+
+        if (user.role === role) {
+            return sendError(res, 400, `This account is already a ${role}`);
+        }
+        if (role === 'university-admin' && !user.university) {
+            return sendError(res, 400, 'Set the account\'s university before making it a university admin');
+        }
+        if (user.role === 'admin' && await User.countDocuments({ role: 'admin', suspended: { $ne: true } }) <= 1) {
+            return sendError(res, 400, 'The last platform admin cannot be demoted');
+        }
+
+        const before = auditSnapshot(toManagedUserResponse(user));
+        user.moderationHistory.push({ action: 'role-changed', reason, fromRole: user.role, toRole: role, actor: req.user._id });
+        user.role = role;
+        await user.save();
+        await recordAudit(req, {
+            action: 'user.change-role',
+            targetId: user._id,
+            targetLabel: user.name,
+            reason,
+            before,
+            after: toManagedUserResponse(user),
+        });
+
+        res.json(toManagedUserResponse(user));
+    } catch (error) {
+        next(error);
     }
 };
 
-// Add this line to the end of the file
-module.exports = { getUserProfile };
\ No newline at end of file
+module.exports = {
+    getUserProfile,
+    updateUserProfile,
+    uploadAvatar,
+    deleteAvatar,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+    getUsers,
+    getUserById,
+    suspendUser,
+    reactivateUser,
+    changeUserRole,
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { permissionsFor } = require('../config/permissions.js');
+const { sendError } = require('../utils/apiError.js');
+
+/**
+ * Route guard allowing only users granted every listed permission.
+ * Must run after `protect`.
+ * @param {...string} permissions - e.g. 'resources:write'.
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+    const granted = req.user ? permissionsFor(req.user) : [];
+
+    if (permissions.every(permission => granted.includes(permission))) {
+        next();
+    } else {
+        sendError(res, 403, 'You do not have permission to do this');
+    }
+};
+
+module.exports = { requirePermission };
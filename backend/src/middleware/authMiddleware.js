@@ -1,33 +1,61 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.js');
+const Session = require('../models/Session.js');
+const { sendError } = require('../utils/apiError.js');
 
-
+// lastSeenAt is only rewritten when it is older than this, to spare a write per request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
 
 const protect = async (req, res, next) => {
-    let token;
-
-    if (req.header('x-auth-token')) {
-        try {
-            token = req.header('x-auth-token');
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = await User.findById(decoded.user.id).select('-password');
-            next();
-        } catch (error) {
-            res.status(401).json({ msg: 'Not authorized, token failed' });
+    const token = req.header('x-auth-token');
+
+    if (!token) {
+        return sendError(res, 401, 'Not authorized, no token');
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return sendError(res, 401, 'Session expired, please log in again', { code: 'SESSION_EXPIRED' });
         }
+        return sendError(res, 401, 'Not authorized, token failed');
     }
 
-    if (!token) {
-        res.status(401).json({ msg: 'Not authorized, no token' });
+    // Database failures are server errors, not authentication failures
+    try {
+        const session = decoded.sid && await Session.findById(decoded.sid);
+        if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+            return sendError(res, 401, 'Session expired, please log in again', { code: 'SESSION_EXPIRED' });
+        }
+
+        req.user = await User.findById(decoded.id).select('-password');
+        if (!req.user || req.user.changedPasswordAfter(decoded.iat)) {
+            return sendError(res, 401, 'Session expired, please log in again', { code: 'SESSION_EXPIRED' });
+        }
+        if (req.user.suspended) {
+            return sendError(res, 403, 'Your account has been suspended. Please contact support.', { code: 'ACCOUNT_SUSPENDED' });
+        }
+        req.sessionId = session._id;
+
+        if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+            await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+        }
+    } catch (error) {
+        return next(error);
     }
+
+    next();
 };
 
-const admin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
+// Blocks features that need a confirmed email address
+const verified = (req, res, next) => {
+    if (req.user && req.user.emailVerified) {
         next();
     } else {
-        res.status(401).json({ msg: 'Not authorized as an admin' });
+        sendError(res, 403, 'Please verify your email address to use this feature', { code: 'EMAIL_NOT_VERIFIED' });
     }
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+module.exports = { protect, verified };
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { ApiError, sendError } = require('../utils/apiError.js');
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Answers API paths no router handled. Mounted after every /api router.
+const notFound = (req, res, next) => {
+    next(new ApiError(404, `Cannot ${req.method} ${req.originalUrl.split('?')[0]}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Turns known error types into the envelope's status, code and field details
+const describeError = (error) => {
+    if (error instanceof ApiError) {
+        return { status: error.status, message: error.message, code: error.code, details: error.details };
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+        return {
+            status: 400,
+            message: 'Some fields are invalid',
+            code: 'VALIDATION_FAILED',
+            details: Object.values(error.errors).map(fieldError => ({
+                field: fieldError.path,
+                location: 'body',
+                message: fieldError.message,
+            })),
+        };
+    }
+    if (error instanceof mongoose.Error.CastError) {
+        return {
+            status: 400,
+            message: `Invalid value for ${error.path}`,
+            code: 'VALIDATION_FAILED',
+            details: [{ field: error.path, message: `Invalid value for ${error.path}` }],
+        };
+    }
+    if (error && error.code === 11000) {
+        return {
+            status: 409,
+            message: 'This record already exists',
+            code: 'CONFLICT',
+            details: Object.keys(error.keyValue || {}).map(field => ({ field, message: `${field} is already in use` })),
+        };
+    }
+    // Raised by express.json() before any route runs
+    if (error.type === 'entity.parse.failed') {
+        return { status: 400, message: 'Request body is not valid JSON', code: 'INVALID_JSON' };
+    }
+    if (error.type === 'entity.too.large') {
+        return { status: 413, message: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' };
+    }
+    return { status: 500, message: 'Server Error', code: 'INTERNAL_ERROR' };
+};
+
+// Final error handler: every error forwarded with next(error) ends up here.
+// Express only treats it as an error handler because it takes four arguments.
+const errorHandler = (error, req, res, next) => {
+    const { status, message, code, details } = describeError(error);
+
+    if (status >= 500) {
+        console.error(`${req.method} ${req.originalUrl} failed:`, error);
+    }
+    // Too late for an error response; let Express close the connection
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    sendError(res, status, message, {
+        code,
+        details,
+        // Stack traces help debug server faults in development but leak internals in production
+        stack: status >= 500 && !isProduction() ? error.stack : undefined,
+    });
+};
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,135 @@
+const { getStore } = require('../services/rateLimit/index.js');
+const { sendError } = require('../utils/apiError.js');
+
+const MINUTE = 60 * 1000;
+
+// Who a limit counts against. Returning null skips the limit for that request.
+const byIp = (req) => req.ip;
+const byUser = (req) => (req.user ? String(req.user._id) : null);
+const byEmail = (req) => (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() || null : null);
+
+/**
+ * Builds middleware allowing at most `max` requests per key in each window.
+ * Sets the RateLimit-* headers and answers 429 with Retry-After once the limit is hit.
+ * If the store is unreachable the request is let through rather than taking the API down.
+ * @param {{ name: string, windowMs: number, max: number, keyBy: (req) => string|null, message: string }} options
+ */
+const rateLimit = ({ name, windowMs, max, keyBy, message }) => async (req, res, next) => {
+    const subject = keyBy(req);
+    if (!subject) return next();
+
+    let hit;
+    try {
+        hit = await getStore().increment(`${name}:${subject}`, windowMs);
+    } catch (error) {
+        console.error(`Rate limit store failed for "${name}": ${error.message}`);
+        return next();
+    }
+
+    const remaining = Math.max(max - hit.count, 0);
+    const resetSeconds = Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 0);
+    // When several limits apply, report whichever is closest to running out
+    const reported = res.get('RateLimit-Remaining');
+    if (reported === undefined || remaining < Number(reported)) {
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(remaining),
+            'RateLimit-Reset': String(resetSeconds),
+        });
+    }
+
+    if (hit.count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return sendError(res, 429, message, { code: 'RATE_LIMITED' });
+    }
+    next();
+};
+
+const TRY_LATER = 'Too many requests. Please try again later.';
+
+// Every API request, per client address
+const apiLimiter = rateLimit({ name: 'api', windowMs: 15 * MINUTE, max: 600, keyBy: byIp, message: TRY_LATER });
+
+// Sign-up, login and other unauthenticated auth endpoints, per client address.
+// Generous enough for a campus sharing one NAT address.
+const authLimiter = rateLimit({
+    name: 'auth-ip',
+    windowMs: 15 * MINUTE,
+    max: 50,
+    keyBy: byIp,
+    message: 'Too many sign-in attempts from this network. Please wait a few minutes and try again.',
+});
+
+// Login attempts against one account from anywhere; failed ones also count towards the lockout
+const LOGIN_ACCOUNT = 'login-account';
+const loginAccountLimiter = rateLimit({
+    name: LOGIN_ACCOUNT,
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: byEmail,
+    message: 'Too many login attempts for this account. Please wait a few minutes and try again.',
+});
+
+/**
+ * Clears the account's login attempts once the user has signed in, so earlier
+ * typos don't count against them for the rest of the window. Never throws.
+ */
+const resetLoginAccountLimit = async (req) => {
+    const subject = byEmail(req);
+    if (!subject) return;
+
+    try {
+        await getStore().reset(`${LOGIN_ACCOUNT}:${subject}`);
+    } catch (error) {
+        console.error(`Rate limit store failed for "${LOGIN_ACCOUNT}": ${error.message}`);
+    }
+};
+
+// Every reset request sends an email, so both the sender and the inbox are capped
+const passwordResetLimiter = [
+    rateLimit({
+        name: 'password-reset-ip',
+        windowMs: 60 * MINUTE,
+        max: 10,
+        keyBy: byIp,
+        message: 'Too many password reset requests. Please try again in an hour.',
+    }),
+    rateLimit({
+        name: 'password-reset-account',
+        windowMs: 60 * MINUTE,
+        max: 3,
+        keyBy: byEmail,
+        message: 'We have already sent several reset emails to this address. Please check your inbox or try again in an hour.',
+    }),
+];
+
+// Each AI reply is a paid model call; a short burst limit plus a daily cap per student
+const aiChatLimiter = [
+    rateLimit({
+        name: 'ai-chat-minute',
+        windowMs: MINUTE,
+        max: 10,
+        keyBy: byUser,
+        message: "You're sending messages very quickly. Please wait a moment before sending another.",
+    }),
+    rateLimit({
+        name: 'ai-chat-day',
+        windowMs: 24 * 60 * MINUTE,
+        max: 200,
+        keyBy: byUser,
+        message: "You've reached today's limit for the AI assistant. Please come back tomorrow.",
+    }),
+];
+
+module.exports = {
+    rateLimit,
+    byIp,
+    byUser,
+    byEmail,
+    apiLimiter,
+    authLimiter,
+    loginAccountLimiter,
+    resetLoginAccountLimit,
+    passwordResetLimiter,
+    aiChatLimiter,
+};
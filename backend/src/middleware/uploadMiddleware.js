@@ -0,0 +1,33 @@
+const multer = require('multer');
+const { AVATAR_MAX_BYTES, AVATAR_MIME_TYPES } = require('../utils/avatarStorage.js');
+const { sendError } = require('../utils/apiError.js');
+
+// Kept in memory only long enough to be resized; nothing unprocessed touches disk
+const avatarParser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (AVATAR_MIME_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+    },
+}).single('avatar');
+
+// Parses a single `avatar` file field, answering 400 for anything unacceptable
+const avatarUpload = (req, res, next) => {
+    avatarParser(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return sendError(res, 400, `Images must be ${Math.round(AVATAR_MAX_BYTES / 1024 / 1024)} MB or smaller`);
+        }
+        if (error instanceof multer.MulterError) {
+            return sendError(res, 400, 'Please upload a JPEG, PNG or WebP image in the "avatar" field');
+        }
+        next(error);
+    });
+};
+
+module.exports = { avatarUpload };
@@ -0,0 +1,33 @@
+const { checkSchema, validationResult } = require('express-validator');
+const { ApiError } = require('../utils/apiError.js');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Rejects the request with field-level details if any validator failed
+const reportValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+
+    const details = errors.array({ onlyFirstError: true }).map(error => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg,
+    }));
+    // Lead with the first problem so clients that only show `message` still say something useful
+    next(new ApiError(400, details[0].message, { code: 'VALIDATION_FAILED', details }));
+};
+
+/**
+ * Route middleware validating a request against express-validator schemas.
+ * @param {{ params?: object, query?: object, body?: object }} schema - One
+ *   checkSchema() definition per request location, e.g. `{ body: { email: { isEmail: true } } }`.
+ * @returns {Function[]} Middleware to place before the controller.
+ */
+const validate = (schema) => [
+    ...LOCATIONS
+        .filter(location => schema[location])
+        .map(location => checkSchema(schema[location], [location])),
+    reportValidationErrors,
+];
+
+module.exports = { validate };
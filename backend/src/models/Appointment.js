@@ -1,29 +1,162 @@
 const mongoose = require('mongoose');
 
+const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'declined', 'canceled', 'completed', 'no-show'];
+
+// Statuses in which an appointment occupies its counselor's time slot
+const SLOT_HOLDING_STATUSES = ['pending', 'confirmed'];
+
+// The only status changes allowed. pending -> pending is a reschedule, and a
+// completed session can still be corrected to a no-show by the counselor.
+const APPOINTMENT_TRANSITIONS = {
+  pending: ['pending', 'confirmed', 'declined', 'canceled'],
+  confirmed: ['pending', 'canceled', 'completed', 'no-show'],
+  completed: ['no-show'],
+  declined: [],
+  canceled: [],
+  'no-show': [],
+};
+
+// One status change; `by` is empty when the server made it, e.g. auto-completion
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: APPOINTMENT_STATUSES,
+  },
+  to: {
+    type: String,
+    enum: APPOINTMENT_STATUSES,
+    required: true,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+  // Set on reschedules: the slot the appointment moved away from
+  previousDate: {
+    type: Date,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Every bookable slot is one hour long
+const SLOT_DURATION_MINUTES = 60;
+// Starts fall on quarter hours (see validateSlot), so a booking claims each
+// quarter hour it covers and overlapping bookings collide on a shared one
+const SLOT_BLOCK_MINUTES = 15;
+
+const slotBlocksFor = (date) => Array.from(
+  { length: SLOT_DURATION_MINUTES / SLOT_BLOCK_MINUTES },
+  (_, index) => new Date(date.getTime() + index * SLOT_BLOCK_MINUTES * 60 * 1000)
+);
+
 const BookingSchema = new mongoose.Schema({
+  // Cleared when the student deletes their account; the counselor keeps the booking itself
   student: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'user',
-    required: true,
+    ref: 'User',
+    required: function () {
+      return !this.anonymizedAt;
+    },
   },
   counselor: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'user',
+    ref: 'User',
     required: true,
   },
   date: {
     type: Date,
     required: true,
   },
+  sessionType: {
+    type: String,
+    enum: ['Online', 'In-Person'],
+    default: 'Online',
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'canceled'],
+    enum: APPOINTMENT_STATUSES,
     default: 'pending',
   },
+  statusHistory: [statusChangeSchema],
+  // Derived from status; backs the unique index that prevents double-booking
+  holdsSlot: {
+    type: Boolean,
+    default: true,
+  },
+  // Derived from date: the quarter-hour starts this booking covers
+  slotBlocks: [{
+    type: Date,
+  }],
+  canceledAt: {
+    type: Date,
+  },
+  canceledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+  // Canceled inside the late-cancellation cutoff before the session
+  lateCancellation: {
+    type: Boolean,
+    default: false,
+  },
+  anonymizedAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
-module.exports = mongoose.model('booking', BookingSchema);
\ No newline at end of file
+BookingSchema.pre('validate', function (next) {
+  this.holdsSlot = SLOT_HOLDING_STATUSES.includes(this.status);
+  if (this.date) this.slotBlocks = slotBlocksFor(this.date);
+  next();
+});
+
+BookingSchema.statics.canTransition = function (from, to) {
+  return (APPOINTMENT_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Moves the appointment to a new status and records the change in its history.
+ * Callers check canTransition() and their own rules first; this only applies it.
+ * @param {string} to - The new status.
+ * @param {{ by?: object, reason?: string, previousDate?: Date, at?: Date }} [change] - Who made the change (omit for the server) and why.
+ */
+BookingSchema.methods.recordTransition = function (to, { by, reason, previousDate, at = new Date() } = {}) {
+  this.statusHistory.push({ from: this.status, to, by, reason, previousDate, at });
+  this.status = to;
+};
+
+// The database rejects a second active booking that shares any quarter hour with
+// another for the same counselor, so neither two requests racing for one slot nor
+// overlapping starts such as 10:00 and 10:15 can both succeed. Bookings saved
+// before slotBlocks existed are left out until they are next saved.
+BookingSchema.index(
+  { counselor: 1, slotBlocks: 1 },
+  { unique: true, partialFilterExpression: { holdsSlot: true, slotBlocks: { $exists: true } } }
+);
+BookingSchema.index({ student: 1, date: -1 });
+BookingSchema.index({ status: 1, date: 1 });
+
+const Booking = mongoose.model('booking', BookingSchema);
+
+module.exports = Booking;
+module.exports.APPOINTMENT_STATUSES = APPOINTMENT_STATUSES;
+module.exports.APPOINTMENT_TRANSITIONS = APPOINTMENT_TRANSITIONS;
+module.exports.SLOT_HOLDING_STATUSES = SLOT_HOLDING_STATUSES;
+module.exports.SLOT_DURATION_MINUTES = SLOT_DURATION_MINUTES;
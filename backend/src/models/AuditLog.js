@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Every privileged action that is audited, as "<target type>.<verb>"
+const AUDIT_ACTIONS = [
+    'counselor.create',
+    'counselor.update',
+    'counselor.delete',
+    'resource.create',
+    'resource.update',
+    'resource.delete',
+    'user.suspend',
+    'user.reactivate',
+    'user.change-role',
+    'invitation.create',
+    'invitation.revoke',
+    'settings.update',
+    'escalation.acknowledge',
+    'escalation.add-note',
+    'escalation.resolve',
+    'feedback.update',
+    'feedback.add-note',
+    'session-note.create',
+    'session-note.update',
+    'session-note.view',
+    'session-note.view-summary',
+    'session-note.publish-summary',
+    'session-note.unpublish-summary',
+];
+
+const AUDIT_TARGET_TYPES = [...new Set(AUDIT_ACTIONS.map(action => action.split('.')[0]))];
+
+const APPEND_ONLY_MESSAGE = 'Audit log entries are append-only';
+
+// One privileged action. Entries are written by services/auditLog.js only and
+// form a hash chain: each hash covers the entry and the previous entry's hash,
+// so editing or removing any entry breaks every hash after it.
+const auditLogSchema = new mongoose.Schema({
+    // Position in the chain, starting at 1; unique so two writers can't both append entry n
+    seq: {
+        type: Number,
+        required: true,
+        unique: true,
+    },
+    at: {
+        type: Date,
+        required: true,
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Copied at the time, so the entry still reads correctly after the account changes or is deleted
+    actorName: {
+        type: String,
+    },
+    actorRole: {
+        type: String,
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: AUDIT_ACTIONS,
+    },
+    targetType: {
+        type: String,
+        required: true,
+        enum: AUDIT_TARGET_TYPES,
+    },
+    // A string because not every target is a document, e.g. the signup policy setting
+    targetId: {
+        type: String,
+    },
+    targetLabel: {
+        type: String,
+    },
+    reason: {
+        type: String,
+    },
+    // Only the fields that changed: { before: { field: old }, after: { field: new } }
+    changes: {
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+        type: String,
+    },
+    userAgent: {
+        type: String,
+    },
+    prevHash: {
+        type: String,
+        required: true,
+    },
+    hash: {
+        type: String,
+        required: true,
+    },
+}, {
+    // Empty diffs must be stored as {} rather than dropped, or their hash would no longer match
+    minimize: false,
+    versionKey: false,
+});
+
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ actor: 1, at: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, at: -1 });
+
+// Refuse edits and deletes through Mongoose; the hash chain catches anything done around it
+auditLogSchema.pre('save', function (next) {
+    next(this.isNew ? undefined : new Error(APPEND_ONLY_MESSAGE));
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function (next) {
+        next(new Error(APPEND_ONLY_MESSAGE));
+    }
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.AUDIT_TARGET_TYPES = AUDIT_TARGET_TYPES;
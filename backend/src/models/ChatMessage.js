@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const chatMessageSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: ['user', 'assistant'],
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+    },
+    // Which provider produced an assistant reply
+    provider: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+});
+
+chatMessageSchema.index({ user: 1, createdAt: -1 });
+
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+
+module.exports = ChatMessage;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const EXPORT_STATUSES = ['pending', 'processing', 'ready', 'failed'];
+// Statuses of an export still being built; a user has at most one at a time
+const ACTIVE_EXPORT_STATUSES = ['pending', 'processing'];
+
+// A student's "Download my data" request. The archive itself is written to
+// disk by services/export/index.js and removed again once expiresAt passes.
+const dataExportSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: EXPORT_STATUSES,
+        default: 'pending',
+    },
+    // Name of the archive inside the export directory; never a client-supplied path
+    fileName: {
+        type: String,
+    },
+    fileSize: {
+        type: Number,
+    },
+    startedAt: {
+        type: Date,
+    },
+    completedAt: {
+        type: Date,
+    },
+    // Set when the archive is ready; the download stops working after this
+    expiresAt: {
+        type: Date,
+    },
+    error: {
+        type: String,
+    },
+    // Derived from status so the unique index below can cover active exports only
+    active: {
+        type: Boolean,
+    },
+}, {
+    timestamps: true,
+});
+
+dataExportSchema.pre('validate', function (next) {
+    this.active = ACTIVE_EXPORT_STATUSES.includes(this.status);
+    next();
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+// One export in progress per user, enforced by the database so concurrent requests can't queue two
+dataExportSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { active: true } });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
+module.exports.EXPORT_STATUSES = EXPORT_STATUSES;
+module.exports.ACTIVE_EXPORT_STATUSES = ACTIVE_EXPORT_STATUSES;
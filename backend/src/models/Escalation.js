@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const ESCALATION_SOURCES = ['ai-chat', 'journal', 'mood-note', 'feedback', 'screening'];
+const SEVERITIES = ['moderate', 'high'];
+
+// One flagged piece of content. Only the classifier's signal labels are kept,
+// never the student's words, so journal privacy holds even for escalations.
+const detectionSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        enum: ESCALATION_SOURCES,
+        required: true,
+    },
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    severity: {
+        type: String,
+        enum: SEVERITIES,
+        required: true,
+    },
+    signals: [{ type: String }],
+    detectedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+const auditEventSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['created', 'detected-again', 'viewed', 'acknowledged', 'note', 'resolved'],
+        required: true,
+    },
+    // Empty for events raised by the system itself
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    note: {
+        type: String,
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+const escalationSchema = new mongoose.Schema({
+    // Cleared when the student deletes their account; the case record itself is kept
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function () {
+            return !this.anonymizedAt;
+        },
+    },
+    severity: {
+        type: String,
+        enum: SEVERITIES,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['open', 'acknowledged', 'resolved'],
+        default: 'open',
+    },
+    detections: [detectionSchema],
+    acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    acknowledgedAt: {
+        type: Date,
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    resolvedAt: {
+        type: Date,
+    },
+    // Append-only record of everything that happened to this case
+    auditTrail: [auditEventSchema],
+    anonymizedAt: {
+        type: Date,
+    },
+    // Derived from status so the unique index below can cover unresolved cases only
+    open: {
+        type: Boolean,
+    },
+}, {
+    timestamps: true,
+});
+
+escalationSchema.pre('validate', function (next) {
+    this.open = this.status !== 'resolved';
+    next();
+});
+
+escalationSchema.index({ status: 1, severity: 1, createdAt: -1 });
+escalationSchema.index({ student: 1, status: 1 });
+// At most one unresolved case per student; new detections are added to it
+escalationSchema.index({ student: 1 }, { unique: true, partialFilterExpression: { open: true } });
+
+const Escalation = mongoose.model('Escalation', escalationSchema);
+
+module.exports = Escalation;
+module.exports.ESCALATION_SOURCES = ESCALATION_SOURCES;
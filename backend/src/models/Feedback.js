@@ -1,29 +1,88 @@
 const mongoose = require('mongoose');
 
+// Categories offered by feedback.html and report-problem.html respectively
+const FEEDBACK_CATEGORIES = {
+    feedback: ['suggestion', 'technical-issue', 'general-feedback'],
+    problem: ['login-issue', 'dashboard-bug', 'chat-problem', 'page-loading', 'other'],
+};
+const FEEDBACK_STATUSES = ['new', 'read', 'resolved'];
+
+// Staff-only notes; never returned to the submitting student
+const internalNoteSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
 const FeedbackSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'user',
+        ref: 'User',
         required: true,
     },
     type: {
         type: String,
-        enum: ['feedback', 'problem'],
+        enum: Object.keys(FEEDBACK_CATEGORIES),
         required: true,
     },
+    category: {
+        type: String,
+        required: true,
+        validate: {
+            validator: function (category) {
+                return (FEEDBACK_CATEGORIES[this.type] || []).includes(category);
+            },
+            message: props => `"${props.value}" is not a valid category`,
+        },
+    },
+    subject: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+    },
     message: {
         type: String,
         required: true,
+        trim: true,
+        maxlength: 5000,
+    },
+    stepsToReproduce: {
+        type: String,
+        trim: true,
+        maxlength: 5000,
     },
     status: {
         type: String,
-        enum: ['new', 'read', 'resolved'],
+        enum: FEEDBACK_STATUSES,
         default: 'new',
     },
-    createdAt: {
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    internalNotes: [internalNoteSchema],
+    resolvedAt: {
         type: Date,
-        default: Date.now,
     },
+}, {
+    timestamps: true,
 });
 
-module.exports = mongoose.model('feedback', FeedbackSchema);
\ No newline at end of file
+FeedbackSchema.index({ status: 1, type: 1, createdAt: -1 });
+FeedbackSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('feedback', FeedbackSchema);
+module.exports.FEEDBACK_CATEGORIES = FEEDBACK_CATEGORIES;
+module.exports.FEEDBACK_STATUSES = FEEDBACK_STATUSES;
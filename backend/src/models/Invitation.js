@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { UNIVERSITIES } = require('../config/universities.js');
+
+// Roles that can only be obtained with an invitation. Counselors are created
+// directly by admins because they need a public profile.
+const INVITABLE_ROLES = ['university-admin', 'admin'];
+
+// No 0/O or 1/I, so codes survive being read out or copied by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+const hashCode = (code) => crypto.createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toUpperCase())
+    .digest('hex');
+
+const newCode = () => {
+    const bytes = crypto.randomBytes(CODE_GROUPS * CODE_GROUP_LENGTH);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+};
+
+// A single-use code granting an elevated role at registration. Only its hash is stored.
+const invitationSchema = new mongoose.Schema({
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // Last characters of the code, so admins can tell outstanding codes apart
+    codeHint: {
+        type: String,
+        required: true,
+    },
+    role: {
+        type: String,
+        required: true,
+        enum: INVITABLE_ROLES,
+    },
+    university: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        enum: Object.keys(UNIVERSITIES),
+        required: function () {
+            return this.role === 'university-admin';
+        },
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    usedAt: {
+        type: Date,
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    revokedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+invitationSchema.virtual('status').get(function () {
+    if (this.usedAt) return 'used';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt <= new Date()) return 'expired';
+    return 'active';
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+/**
+ * Creates an invitation.
+ * @returns {Promise<{ invitation: object, code: string }>} The raw code is only available here.
+ */
+invitationSchema.statics.issue = async function ({ role, university, createdBy, ttlDays }) {
+    const code = newCode();
+    const invitation = await this.create({
+        codeHash: hashCode(code),
+        codeHint: code.slice(-CODE_GROUP_LENGTH),
+        role,
+        university,
+        createdBy,
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    });
+    return { invitation, code };
+};
+
+/**
+ * Marks a code as used, atomically so it can only ever be redeemed once.
+ * @returns {Promise<object|null>} The invitation, or null if the code is unknown, used, revoked or expired.
+ */
+invitationSchema.statics.redeem = function (code) {
+    return this.findOneAndUpdate(
+        {
+            codeHash: hashCode(code),
+            usedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
+module.exports.INVITABLE_ROLES = INVITABLE_ROLES;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const User = require('./User.js');
+const { encrypt, decrypt, generateWrappedKey, unwrapKey } = require('../utils/encryption.js');
+
+// AES-GCM output; plaintext titles and bodies are never written to the database
+const encryptedFieldSchema = new mongoose.Schema({
+    iv: { type: String, required: true },
+    tag: { type: String, required: true },
+    data: { type: String, required: true },
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    title: {
+        type: encryptedFieldSchema,
+        required: true,
+    },
+    body: {
+        type: encryptedFieldSchema,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+journalEntrySchema.index({ user: 1, createdAt: -1 });
+
+// Returns the user's unwrapped journal key, creating one on first use
+journalEntrySchema.statics.getUserKey = async function (userId) {
+    let user = await User.findById(userId).select('+journalKey');
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    if (!user.journalKey) {
+        // Only set the key if no concurrent request has done so already
+        await User.updateOne(
+            { _id: userId, journalKey: { $exists: false } },
+            { $set: { journalKey: generateWrappedKey(userId) } }
+        );
+        user = await User.findById(userId).select('+journalKey');
+    }
+
+    return unwrapKey(user.journalKey, userId);
+};
+
+// Encrypts title and body in place. The owner's id is bound in as AAD so
+// ciphertext cannot be moved between users.
+journalEntrySchema.methods.setContent = function (key, { title, body }) {
+    const aad = String(this.user);
+    if (title !== undefined) this.title = encrypt(title, key, aad);
+    if (body !== undefined) this.body = encrypt(body, key, aad);
+};
+
+journalEntrySchema.methods.toDecrypted = function (key) {
+    const aad = String(this.user);
+    return {
+        _id: this._id,
+        title: decrypt(this.title, key, aad),
+        body: decrypt(this.body, key, aad),
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt,
+    };
+};
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+module.exports = JournalEntry;
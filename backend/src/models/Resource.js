@@ -1,27 +1,46 @@
 const mongoose = require('mongoose');
+
+const RESOURCE_TYPES = ['article', 'video', 'music', 'meditation'];
+const RESOURCE_TOPICS = ['stress', 'anxiety', 'focus', 'sleep', 'breathe'];
+
 const ResourceSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'user'
+        ref: 'User'
     },
     title: {
         type: String,
-        required: true
+        required: true,
+        trim: true
     },
     type: {
         type: String,
-        enum: ['article', 'video'],
+        enum: RESOURCE_TYPES,
+        required: true
+    },
+    topic: {
+        type: String,
+        enum: RESOURCE_TOPICS,
         required: true
     },
     content: {
-        type: String, // For articles
+        type: String, // For articles, or an embed code
     },
     videoUrl: {
         type: String, // For videos
     },
+    link: {
+        type: String, // External URL or in-app page the card opens
+    },
+    thumbnail: {
+        type: String,
+    },
     date: {
         type: Date,
         default: Date.now
     }
 });
-module.exports = mongoose.model('resource', ResourceSchema);
\ No newline at end of file
+ResourceSchema.index({ topic: 1, type: 1 });
+module.exports = mongoose.model('resource', ResourceSchema);
+module.exports.RESOURCE_TYPES = RESOURCE_TYPES;
+module.exports.RESOURCE_TOPICS = RESOURCE_TOPICS;
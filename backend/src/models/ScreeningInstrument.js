@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Quiz = require('./Quiz.js');
+
+const bandSchema = new mongoose.Schema({
+    min: { type: Number, required: true },
+    max: { type: Number, required: true },
+    severity: { type: String, required: true },
+    label: { type: String, required: true },
+    description: { type: String, required: true },
+}, { _id: false });
+
+// An answer at or above minValue on the question at `index` raises `signal`
+const criticalItemSchema = new mongoose.Schema({
+    index: { type: Number, required: true },
+    minValue: { type: Number, required: true },
+    signal: { type: String, required: true },
+}, { _id: false });
+
+// A versioned questionnaire (e.g. PHQ-9 v1) made up of ordered quiz questions.
+// Published versions are never edited; changes go into a new version.
+const screeningInstrumentSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+    },
+    version: {
+        type: Number,
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+    },
+    category: {
+        type: String,
+        enum: ['anxiety', 'depression', 'stress'],
+        required: true,
+    },
+    description: {
+        type: String,
+    },
+    instructions: {
+        type: String,
+    },
+    questions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'quiz',
+    }],
+    bands: [bandSchema],
+    criticalItems: [criticalItemSchema],
+    active: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+});
+
+screeningInstrumentSchema.index({ code: 1, version: 1 }, { unique: true });
+
+/**
+ * Publishes any instrument definition (see config/screeningInstruments.js) whose
+ * code and version are not stored yet, and retires older versions of the same code.
+ * @param {object[]} definitions
+ */
+screeningInstrumentSchema.statics.syncDefinitions = async function (definitions) {
+    for (const definition of definitions) {
+        const exists = await this.exists({ code: definition.code, version: definition.version });
+        if (exists) continue;
+
+        const maxOptionValue = Math.max(...definition.options.map(option => option.value));
+        const questions = await Quiz.insertMany(definition.questions.map(question => ({
+            question: question.text,
+            category: definition.category,
+            // Reverse-scored items carry flipped weights so totals are always a plain sum
+            options: definition.options.map(option => ({
+                text: option.text,
+                value: question.reverse ? maxOptionValue - option.value : option.value,
+            })),
+        })));
+
+        try {
+            await this.create({
+                code: definition.code,
+                version: definition.version,
+                name: definition.name,
+                category: definition.category,
+                description: definition.description,
+                instructions: definition.instructions,
+                questions: questions.map(question => question._id),
+                bands: definition.bands,
+                criticalItems: definition.criticalItems,
+            });
+        } catch (error) {
+            // Another process published the same version first
+            await Quiz.deleteMany({ _id: { $in: questions.map(question => question._id) } });
+            if (error.code !== 11000) throw error;
+        }
+
+        await this.updateMany(
+            { code: definition.code, version: { $lt: definition.version } },
+            { active: false }
+        );
+    }
+};
+
+screeningInstrumentSchema.methods.maxScore = function () {
+    return this.bands.reduce((max, band) => Math.max(max, band.max), 0);
+};
+
+screeningInstrumentSchema.methods.bandFor = function (score) {
+    return this.bands.find(band => score >= band.min && score <= band.max);
+};
+
+const ScreeningInstrument = mongoose.model('ScreeningInstrument', screeningInstrumentSchema);
+
+module.exports = ScreeningInstrument;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const screeningSubmissionSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    instrument: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScreeningInstrument',
+        required: true,
+    },
+    // Denormalised so history can be grouped without a lookup
+    instrumentCode: {
+        type: String,
+        required: true,
+    },
+    version: {
+        type: Number,
+        required: true,
+    },
+    answers: [{
+        _id: false,
+        question: { type: mongoose.Schema.Types.ObjectId, ref: 'quiz' },
+        value: { type: Number, required: true },
+    }],
+    totalScore: {
+        type: Number,
+        required: true,
+    },
+    maxScore: {
+        type: Number,
+        required: true,
+    },
+    severity: {
+        type: String,
+        required: true,
+    },
+    // Critical item signals, e.g. 'phq9-item9'
+    flags: [{ type: String }],
+}, {
+    timestamps: true,
+});
+
+screeningSubmissionSchema.index({ student: 1, instrumentCode: 1, createdAt: -1 });
+
+const ScreeningSubmission = mongoose.model('ScreeningSubmission', screeningSubmissionSchema);
+
+module.exports = ScreeningSubmission;
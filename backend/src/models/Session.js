@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens stay valid this long without use, and never beyond the absolute limit
+const REFRESH_TOKEN_IDLE_DAYS = parseInt(process.env.REFRESH_TOKEN_IDLE_DAYS, 10) || 7;
+const SESSION_MAX_DAYS = parseInt(process.env.SESSION_MAX_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Two tabs refreshing at once both present the same token; only later replays count as theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// One signed-in device. Only hashes of refresh tokens are stored.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // The token this one replaced; seeing it again means a stolen token was replayed
+    previousTokenHash: {
+        type: String,
+        index: true,
+    },
+    userAgent: {
+        type: String,
+    },
+    ip: {
+        type: String,
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+    rotatedAt: {
+        type: Date,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    absoluteExpiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+// Expired sessions are purged by MongoDB itself
+sessionSchema.index({ absoluteExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+    const now = new Date();
+    return !this.revokedAt && this.expiresAt > now && this.absoluteExpiresAt > now;
+};
+
+/**
+ * Signs a user in on a new device.
+ * @returns {Promise<{ session: object, refreshToken: string }>}
+ */
+sessionSchema.statics.start = async function ({ userId, userAgent, ip }) {
+    const refreshToken = newRefreshToken();
+    const now = Date.now();
+    const session = await this.create({
+        user: userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent,
+        ip,
+        expiresAt: new Date(now + REFRESH_TOKEN_IDLE_DAYS * DAY_MS),
+        absoluteExpiresAt: new Date(now + SESSION_MAX_DAYS * DAY_MS),
+    });
+    return { session, refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new one. Each token works once; replaying an
+ * already-rotated token revokes the whole session.
+ * @returns {Promise<{ session: object, refreshToken: string }|null>} null when the token is not usable.
+ */
+sessionSchema.statics.rotate = async function (refreshToken, { userAgent, ip } = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const session = await this.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+        await this.updateOne(
+            { previousTokenHash: tokenHash, revokedAt: null, rotatedAt: { $lt: new Date(Date.now() - REUSE_GRACE_MS) } },
+            { revokedAt: new Date() }
+        );
+        return null;
+    }
+    if (!session.isActive()) {
+        return null;
+    }
+
+    const nextToken = newRefreshToken();
+    const now = Date.now();
+    // Conditional on the current hash so two concurrent refreshes can't both succeed
+    const rotated = await this.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: tokenHash },
+        {
+            refreshTokenHash: hashToken(nextToken),
+            previousTokenHash: tokenHash,
+            rotatedAt: new Date(now),
+            lastSeenAt: new Date(now),
+            expiresAt: new Date(Math.min(now + REFRESH_TOKEN_IDLE_DAYS * DAY_MS, session.absoluteExpiresAt.getTime())),
+            ...(userAgent && { userAgent }),
+            ...(ip && { ip }),
+        },
+        { new: true }
+    );
+
+    return rotated ? { session: rotated, refreshToken: nextToken } : null;
+};
+
+sessionSchema.statics.revokeAllForUser = function (userId, { except } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (except) query._id = { $ne: except };
+    return this.updateMany(query, { revokedAt: new Date() });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
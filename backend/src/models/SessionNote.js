@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
+// What the student sees under "View Notes". Unpublished until the counselor shares it.
+const studentSummarySchema = new mongoose.Schema({
+    summary: {
+        type: String,
+        trim: true,
+        maxlength: 5000,
+    },
+    homework: [{
+        type: String,
+        trim: true,
+        maxlength: 500,
+    }],
+    nextSteps: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+    },
+    publishedAt: {
+        type: Date,
+    },
+}, { _id: false });
+
+// The counselor's record of one session. The SOAP sections are readable only by
+// the counselor and their clinical supervisor; the student sees the published
+// summary and nothing else. Every read and write is recorded in the audit log.
+const sessionNoteSchema = new mongoose.Schema({
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'booking',
+        required: true,
+        unique: true,
+    },
+    counselor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Unset when the student deletes their account, as on the appointment
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    subjective: {
+        type: String,
+        trim: true,
+        maxlength: 10000,
+    },
+    objective: {
+        type: String,
+        trim: true,
+        maxlength: 10000,
+    },
+    assessment: {
+        type: String,
+        trim: true,
+        maxlength: 10000,
+    },
+    plan: {
+        type: String,
+        trim: true,
+        maxlength: 10000,
+    },
+    studentSummary: {
+        type: studentSummarySchema,
+    },
+}, {
+    timestamps: true,
+});
+
+sessionNoteSchema.index({ counselor: 1, updatedAt: -1 });
+
+const SessionNote = mongoose.model('SessionNote', sessionNoteSchema);
+
+module.exports = SessionNote;
+module.exports.SOAP_SECTIONS = SOAP_SECTIONS;
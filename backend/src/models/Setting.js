@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Platform-wide settings that admins can change at runtime, one document per key
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+/**
+ * Reads a setting, falling back to `defaultValue` when it has never been set.
+ */
+settingSchema.statics.getValue = async function (key, defaultValue) {
+    const setting = await this.findOne({ key });
+    return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+    return this.findOneAndUpdate(
+        { key },
+        { value, updatedBy },
+        { upsert: true, new: true }
+    );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
@@ -1,5 +1,67 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../config/permissions.js');
+
+// Public-facing details shown to students when they choose a counselor
+const counselorProfileSchema = new mongoose.Schema({
+    specialty: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    bio: {
+        type: String,
+        trim: true,
+    },
+    languages: [{
+        type: String,
+        trim: true,
+    }],
+    photo: {
+        type: String,
+    },
+    // On-duty counselors see and handle crisis escalations alongside admins
+    onDuty: {
+        type: Boolean,
+        default: false,
+    },
+    // Clinical supervisor, another counselor who may read this counselor's session notes
+    supervisor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, { _id: false });
+
+// Why an admin suspended, reactivated or re-roled an account
+const moderationEventSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['suspended', 'reactivated', 'role-changed'],
+        required: true,
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000,
+    },
+    fromRole: {
+        type: String,
+    },
+    toRole: {
+        type: String,
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+    },
+});
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -19,7 +81,7 @@ const userSchema = new mongoose.Schema({
     role: {
         type: String,
         required: true,
-        enum: ['student', 'admin'],
+        enum: ROLES,
         default: 'student',
     },
     university: {
@@ -27,6 +89,86 @@ const userSchema = new mongoose.Schema({
     },
     registrationNumber: {
         type: String,
+        trim: true,
+        uppercase: true,
+    },
+    // Public path of the resized profile photo, e.g. /uploads/avatars/<file>.webp
+    avatar: {
+        type: String,
+    },
+    counselorProfile: {
+        type: counselorProfileSchema,
+        required: function () {
+            return this.role === 'counselor';
+        },
+    },
+    // Per-user journal key, wrapped with the server's master key (see utils/encryption.js)
+    journalKey: {
+        type: String,
+        select: false,
+    },
+    // Self-registered accounts have limited access until the address is confirmed
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerifiedAt: {
+        type: Date,
+    },
+    // When the last verification email went out, to throttle resends
+    verificationSentAt: {
+        type: Date,
+    },
+    // Tokens issued before this moment are no longer accepted
+    passwordChangedAt: {
+        type: Date,
+    },
+    // SHA-256 of the emailed reset token; the raw token is never stored
+    passwordResetToken: {
+        type: String,
+        select: false,
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false,
+    },
+    // Wrong passwords since the last successful login or lockout
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+    },
+    // Lockouts since the last successful login; each one lasts twice as long
+    lockoutCount: {
+        type: Number,
+        default: 0,
+    },
+    lockedUntil: {
+        type: Date,
+    },
+    // SHA-256 of the token in the "account locked" email, which lifts the lockout early
+    unlockToken: {
+        type: String,
+        select: false,
+    },
+    unlockTokenExpires: {
+        type: Date,
+        select: false,
+    },
+    // Suspended accounts cannot log in or use existing sessions
+    suspended: {
+        type: Boolean,
+        default: false,
+    },
+    suspendedAt: {
+        type: Date,
+    },
+    moderationHistory: [moderationEventSchema],
+    // Self-service account closure; the account and its data are purged once this passes
+    deletionRequestedAt: {
+        type: Date,
+    },
+    deletionScheduledFor: {
+        type: Date,
     },
 }, {
     timestamps: true, // Automatically adds createdAt and updatedAt fields
@@ -39,9 +181,53 @@ userSchema.pre('save', async function (next) {
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+        // Backdated a second because JWT iat is truncated to whole seconds,
+        // so a token issued right after the change would otherwise look older
+        this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
 });
 
+userSchema.methods.matchPassword = async function (enteredPassword) {
+    return bcrypt.compare(enteredPassword, this.password);
+};
+
+userSchema.statics.hashResetToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Starts a password reset, replacing any earlier unused token.
+ * @param {number} ttlMinutes - How long the token stays valid.
+ * @returns {string} The raw token to email to the user.
+ */
+userSchema.methods.createPasswordResetToken = function (ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = this.constructor.hashResetToken(token);
+    this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    return token;
+};
+
+/**
+ * Creates the token for the "unlock your account" email, replacing any earlier one.
+ * @param {number} ttlHours - How long the token stays valid.
+ * @returns {string} The raw token to email to the user.
+ */
+userSchema.methods.createUnlockToken = function (ttlHours) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.unlockToken = this.constructor.hashResetToken(token);
+    this.unlockTokenExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+    return token;
+};
+
+// True when the password changed after a token issued at `issuedAt` (JWT iat, in seconds)
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+    return Boolean(this.passwordChangedAt) && issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { chat, getChatHistory, clearChatHistory } = require('../controllers/aiController.js');
+const { protect, verified } = require('../middleware/authMiddleware.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const { chatSchema, historySchema } = require('../validators/aiValidators.js');
+const { aiChatLimiter } = require('../middleware/rateLimitMiddleware.js');
+
+// Verified before the limiter, so unverified accounts neither reach the provider nor use up a slot
+router.post('/chat', protect, verified, aiChatLimiter, validate(chatSchema), chat);
+router.route('/history')
+    .get(protect, verified, validate(historySchema), getChatHistory)
+    .delete(protect, verified, clearChatHistory);
+
+module.exports = router;
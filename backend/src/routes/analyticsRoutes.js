@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getOverview,
+    getSignupsByMonth,
+    getMoodTrends,
+} = require('../controllers/analyticsController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const { analyticsFiltersSchema } = require('../validators/analyticsValidators.js');
+
+router.get('/overview', protect, requirePermission(PERMISSIONS.ANALYTICS_VIEW), validate(analyticsFiltersSchema), getOverview);
+router.get('/signups', protect, requirePermission(PERMISSIONS.ANALYTICS_VIEW), validate(analyticsFiltersSchema), getSignupsByMonth);
+router.get('/mood-trends', protect, requirePermission(PERMISSIONS.ANALYTICS_VIEW), validate(analyticsFiltersSchema), getMoodTrends);
+
+module.exports = router;
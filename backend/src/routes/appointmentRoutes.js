@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createAppointment,
+    getMyAppointments,
+    getAllAppointments,
+    getCounselorAvailability,
+    getAppointmentPolicy,
+    confirmAppointment,
+    declineAppointment,
+    cancelAppointment,
+    markNoShow,
+    rescheduleAppointment,
+} = require('../controllers/appointmentController.js');
+const { protect, verified } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    createAppointmentSchema,
+    listAppointmentsSchema,
+    listAllAppointmentsSchema,
+    availabilitySchema,
+    appointmentIdSchema,
+    cancelSchema,
+    statusNoteSchema,
+    rescheduleSchema,
+} = require('../validators/appointmentValidators.js');
+
+router.route('/')
+    .post(protect, verified, validate(createAppointmentSchema), createAppointment)
+    .get(protect, verified, validate(listAppointmentsSchema), getMyAppointments);
+router.get('/all', protect, requirePermission(PERMISSIONS.APPOINTMENTS_VIEW_ALL), validate(listAllAppointmentsSchema), getAllAppointments);
+router.get('/availability', protect, verified, validate(availabilitySchema), getCounselorAvailability);
+router.get('/policy', protect, getAppointmentPolicy);
+router.put('/:id/confirm', protect, verified, validate(appointmentIdSchema), confirmAppointment);
+router.put('/:id/decline', protect, verified, validate(statusNoteSchema), declineAppointment);
+router.put('/:id/cancel', protect, verified, validate(cancelSchema), cancelAppointment);
+router.put('/:id/no-show', protect, verified, validate(statusNoteSchema), markNoShow);
+router.put('/:id/reschedule', protect, verified, validate(rescheduleSchema), rescheduleAppointment);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAuditLogs,
+    exportAuditLogs,
+    verifyAuditLog,
+} = require('../controllers/auditController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const { listAuditLogsSchema, exportAuditLogsSchema } = require('../validators/auditValidators.js');
+
+// Read-only on purpose: entries are only ever written by services/auditLog.js
+router.get('/', protect, requirePermission(PERMISSIONS.AUDIT_VIEW), validate(listAuditLogsSchema), getAuditLogs);
+router.get('/export', protect, requirePermission(PERMISSIONS.AUDIT_VIEW), validate(exportAuditLogsSchema), exportAuditLogs);
+router.get('/verify', protect, requirePermission(PERMISSIONS.AUDIT_VIEW), verifyAuditLog);
+
+module.exports = router;
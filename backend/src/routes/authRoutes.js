@@ -1,8 +1,59 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser } = require('../controllers/authController.js');
+const {
+    registerUser,
+    loginUser,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    refreshSession,
+    logoutUser,
+    logoutAllDevices,
+    getSessions,
+    revokeSession,
+    unlockAccount,
+    verifyEmail,
+    resendVerification,
+    getSignupPolicy,
+    updateSignupPolicy,
+} = require('../controllers/authController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    registerSchema,
+    loginSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    changePasswordSchema,
+    refreshSchema,
+    sessionIdSchema,
+    verifyEmailSchema,
+    unlockSchema,
+    signupPolicySchema,
+} = require('../validators/authValidators.js');
+const {
+    authLimiter,
+    loginAccountLimiter,
+    passwordResetLimiter,
+} = require('../middleware/rateLimitMiddleware.js');
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
+router.post('/register', authLimiter, validate(registerSchema), registerUser);
+router.post('/login', authLimiter, loginAccountLimiter, validate(loginSchema), loginUser);
+router.post('/forgot-password', passwordResetLimiter, validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', passwordResetLimiter, validate(resetPasswordSchema), resetPassword);
+router.post('/unlock', authLimiter, validate(unlockSchema), unlockAccount);
+router.post('/change-password', protect, validate(changePasswordSchema), changePassword);
+router.post('/refresh', validate(refreshSchema), refreshSession);
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, logoutAllDevices);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, validate(sessionIdSchema), revokeSession);
+router.post('/verify-email', authLimiter, validate(verifyEmailSchema), verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.route('/signup-policy')
+    .get(getSignupPolicy)
+    .put(protect, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validate(signupPolicySchema), updateSignupPolicy);
 
 module.exports = router;
\ No newline at end of file
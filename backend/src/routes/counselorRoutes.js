@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getCounselors,
+    getCounselorById,
+    createCounselor,
+    updateCounselor,
+    deleteCounselor,
+} = require('../controllers/counselorController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    listCounselorsSchema,
+    createCounselorSchema,
+    counselorIdSchema,
+    updateCounselorSchema,
+} = require('../validators/counselorValidators.js');
+
+router.route('/')
+    .get(protect, validate(listCounselorsSchema), getCounselors)
+    .post(protect, requirePermission(PERMISSIONS.COUNSELORS_MANAGE), validate(createCounselorSchema), createCounselor);
+router.route('/:id')
+    .get(protect, validate(counselorIdSchema), getCounselorById)
+    .put(protect, requirePermission(PERMISSIONS.COUNSELORS_MANAGE), validate(updateCounselorSchema), updateCounselor)
+    .delete(protect, requirePermission(PERMISSIONS.COUNSELORS_MANAGE), validate(counselorIdSchema), deleteCounselor);
+
+module.exports = router;
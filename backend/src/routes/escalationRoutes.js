@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getEscalations,
+    getEscalationById,
+    acknowledgeEscalation,
+    addEscalationNote,
+    resolveEscalation,
+} = require('../controllers/escalationController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    listEscalationsSchema,
+    escalationIdSchema,
+    acknowledgeSchema,
+    noteSchema,
+} = require('../validators/escalationValidators.js');
+
+router.get('/', protect, requirePermission(PERMISSIONS.ESCALATIONS_HANDLE), validate(listEscalationsSchema), getEscalations);
+router.get('/:id', protect, requirePermission(PERMISSIONS.ESCALATIONS_HANDLE), validate(escalationIdSchema), getEscalationById);
+router.put('/:id/acknowledge', protect, requirePermission(PERMISSIONS.ESCALATIONS_HANDLE), validate(acknowledgeSchema), acknowledgeEscalation);
+router.post('/:id/notes', protect, requirePermission(PERMISSIONS.ESCALATIONS_HANDLE), validate(noteSchema), addEscalationNote);
+router.put('/:id/resolve', protect, requirePermission(PERMISSIONS.ESCALATIONS_HANDLE), validate(noteSchema), resolveEscalation);
+
+module.exports = router;
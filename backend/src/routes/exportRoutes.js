@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+    requestExport,
+    getMyExports,
+    getExportById,
+    downloadExport,
+} = require('../controllers/exportController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const { requestExportSchema, listExportsSchema, exportIdSchema } = require('../validators/exportValidators.js');
+
+// Not limited to verified accounts: everyone may take their own data with them, and
+// the profile page that lists exports must keep working before verification
+router.route('/')
+    .post(protect, validate(requestExportSchema), requestExport)
+    .get(protect, validate(listExportsSchema), getMyExports);
+router.get('/:id', protect, validate(exportIdSchema), getExportById);
+router.get('/:id/download', protect, validate(exportIdSchema), downloadExport);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createFeedback,
+    getMyFeedback,
+    getFeedback,
+    getAssignees,
+    getFeedbackById,
+    updateFeedback,
+    addFeedbackNote,
+} = require('../controllers/feedbackController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    createFeedbackSchema,
+    listFeedbackSchema,
+    feedbackIdSchema,
+    updateFeedbackSchema,
+    noteSchema,
+} = require('../validators/feedbackValidators.js');
+
+// Submitting and reading back your own reports stays open to unverified accounts,
+// so someone whose verification email never arrived can still tell us
+router.route('/')
+    .post(protect, validate(createFeedbackSchema), createFeedback)
+    .get(protect, requirePermission(PERMISSIONS.FEEDBACK_TRIAGE), validate(listFeedbackSchema), getFeedback);
+router.get('/mine', protect, getMyFeedback);
+router.get('/assignees', protect, requirePermission(PERMISSIONS.FEEDBACK_TRIAGE), getAssignees);
+router.route('/:id')
+    .get(protect, requirePermission(PERMISSIONS.FEEDBACK_TRIAGE), validate(feedbackIdSchema), getFeedbackById)
+    .put(protect, requirePermission(PERMISSIONS.FEEDBACK_TRIAGE), validate(updateFeedbackSchema), updateFeedback);
+router.post('/:id/notes', protect, requirePermission(PERMISSIONS.FEEDBACK_TRIAGE), validate(noteSchema), addFeedbackNote);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createInvitation,
+    getInvitations,
+    revokeInvitation,
+} = require('../controllers/invitationController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    listInvitationsSchema,
+    createInvitationSchema,
+    invitationIdSchema,
+} = require('../validators/invitationValidators.js');
+
+router.route('/')
+    .get(protect, requirePermission(PERMISSIONS.INVITATIONS_MANAGE), validate(listInvitationsSchema), getInvitations)
+    .post(protect, requirePermission(PERMISSIONS.INVITATIONS_MANAGE), validate(createInvitationSchema), createInvitation);
+router.put('/:id/revoke', protect, requirePermission(PERMISSIONS.INVITATIONS_MANAGE), validate(invitationIdSchema), revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createJournalEntry,
+    getJournalEntries,
+    getJournalEntry,
+    updateJournalEntry,
+    deleteJournalEntry,
+} = require('../controllers/journalController.js');
+const { protect, verified } = require('../middleware/authMiddleware.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    createEntrySchema,
+    listEntriesSchema,
+    entryIdSchema,
+    updateEntrySchema,
+} = require('../validators/journalValidators.js');
+
+router.route('/')
+    .post(protect, verified, validate(createEntrySchema), createJournalEntry)
+    .get(protect, verified, validate(listEntriesSchema), getJournalEntries);
+router.route('/:id')
+    .get(protect, verified, validate(entryIdSchema), getJournalEntry)
+    .put(protect, verified, validate(updateEntrySchema), updateJournalEntry)
+    .delete(protect, verified, validate(entryIdSchema), deleteJournalEntry);
+
+module.exports = router;
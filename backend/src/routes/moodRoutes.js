@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createMoodEntry,
+    getMoodEntries,
+    getMoodHistory,
+    updateMoodEntry,
+    deleteMoodEntry,
+} = require('../controllers/moodController.js');
+const { protect, verified } = require('../middleware/authMiddleware.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    createMoodSchema,
+    listMoodSchema,
+    moodHistorySchema,
+    updateMoodSchema,
+    moodIdSchema,
+} = require('../validators/moodValidators.js');
+
+router.route('/')
+    .post(protect, verified, validate(createMoodSchema), createMoodEntry)
+    .get(protect, verified, validate(listMoodSchema), getMoodEntries);
+router.get('/history', protect, verified, validate(moodHistorySchema), getMoodHistory);
+router.route('/:id')
+    .put(protect, verified, validate(updateMoodSchema), updateMoodEntry)
+    .delete(protect, verified, validate(moodIdSchema), deleteMoodEntry);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getResources,
+    getResourceOptions,
+    getResourceById,
+    createResource,
+    updateResource,
+    deleteResource,
+} = require('../controllers/resourceController.js');
+const { protect } = require('../middleware/authMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    listResourcesSchema,
+    createResourceSchema,
+    resourceIdSchema,
+    updateResourceSchema,
+} = require('../validators/resourceValidators.js');
+
+router.route('/')
+    .get(validate(listResourcesSchema), getResources)
+    .post(protect, requirePermission(PERMISSIONS.RESOURCES_WRITE), validate(createResourceSchema), createResource);
+router.get('/options', getResourceOptions);
+router.route('/:id')
+    .get(validate(resourceIdSchema), getResourceById)
+    .put(protect, requirePermission(PERMISSIONS.RESOURCES_WRITE), validate(updateResourceSchema), updateResource)
+    .delete(protect, requirePermission(PERMISSIONS.RESOURCES_WRITE), validate(resourceIdSchema), deleteResource);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getInstruments,
+    getInstrument,
+    createSubmission,
+    getMySubmissions,
+    getSubmissionById,
+} = require('../controllers/screeningController.js');
+const { protect, verified } = require('../middleware/authMiddleware.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    instrumentCodeSchema,
+    createSubmissionSchema,
+    listSubmissionsSchema,
+    submissionIdSchema,
+} = require('../validators/screeningValidators.js');
+
+router.get('/instruments', protect, verified, getInstruments);
+router.get('/instruments/:code', protect, verified, validate(instrumentCodeSchema), getInstrument);
+router.route('/submissions')
+    .post(protect, verified, validate(createSubmissionSchema), createSubmission)
+    .get(protect, verified, validate(listSubmissionsSchema), getMySubmissions);
+router.get('/submissions/:id', protect, verified, validate(submissionIdSchema), getSubmissionById);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getSessionNotes,
+    getSessionNote,
+    saveSessionNote,
+    publishStudentSummary,
+    unpublishStudentSummary,
+} = require('../controllers/sessionNoteController.js');
+const { protect, verified } = require('../middleware/authMiddleware.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    listSessionNotesSchema,
+    sessionNoteIdSchema,
+    saveSessionNoteSchema,
+    studentSummarySchema,
+} = require('../validators/sessionNoteValidators.js');
+
+router.get('/', protect, verified, validate(listSessionNotesSchema), getSessionNotes);
+router.route('/:appointmentId')
+    .get(protect, verified, validate(sessionNoteIdSchema), getSessionNote)
+    .put(protect, verified, validate(saveSessionNoteSchema), saveSessionNote);
+router.route('/:appointmentId/summary')
+    .put(protect, verified, validate(studentSummarySchema), publishStudentSummary)
+    .delete(protect, verified, validate(sessionNoteIdSchema), unpublishStudentSummary);
+
+module.exports = router;
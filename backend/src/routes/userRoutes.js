@@ -1,8 +1,45 @@
 const express = require('express');
 const router = express.Router();
-const { getUserProfile } = require('../controllers/userController.js');
+const {
+    getUserProfile,
+    updateUserProfile,
+    uploadAvatar,
+    deleteAvatar,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+    getUsers,
+    getUserById,
+    suspendUser,
+    reactivateUser,
+    changeUserRole,
+} = require('../controllers/userController.js');
 const { protect } = require('../middleware/authMiddleware.js');
+const { avatarUpload } = require('../middleware/uploadMiddleware.js');
+const { requirePermission } = require('../middleware/adminMiddleware.js');
+const { PERMISSIONS } = require('../config/permissions.js');
+const { validate } = require('../middleware/validationMiddleware.js');
+const {
+    updateProfileSchema,
+    deletionSchema,
+    listUsersSchema,
+    userIdSchema,
+    moderationSchema,
+    changeRoleSchema,
+} = require('../validators/userValidators.js');
 
-router.get('/profile', protect, getUserProfile);
+router.route('/profile')
+    .get(protect, getUserProfile)
+    .put(protect, validate(updateProfileSchema), updateUserProfile);
+router.route('/profile/avatar')
+    .put(protect, avatarUpload, uploadAvatar)
+    .delete(protect, deleteAvatar);
+router.route('/profile/deletion')
+    .post(protect, validate(deletionSchema), requestAccountDeletion)
+    .delete(protect, cancelAccountDeletion);
+router.get('/', protect, requirePermission(PERMISSIONS.USERS_READ), validate(listUsersSchema), getUsers);
+router.get('/:id', protect, requirePermission(PERMISSIONS.USERS_READ), validate(userIdSchema), getUserById);
+router.put('/:id/suspend', protect, requirePermission(PERMISSIONS.USERS_SUSPEND), validate(moderationSchema), suspendUser);
+router.put('/:id/reactivate', protect, requirePermission(PERMISSIONS.USERS_SUSPEND), validate(moderationSchema), reactivateUser);
+router.put('/:id/role', protect, requirePermission(PERMISSIONS.USERS_CHANGE_ROLE), validate(changeRoleSchema), changeUserRole);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,117 @@
+const User = require('../models/User.js');
+const Session = require('../models/Session.js');
+const MoodEntry = require('../models/MoodEntry.js');
+const JournalEntry = require('../models/JournalEntry.js');
+const ChatMessage = require('../models/ChatMessage.js');
+const Feedback = require('../models/Feedback.js');
+const ScreeningSubmission = require('../models/ScreeningSubmission.js');
+const Appointment = require('../models/Appointment.js');
+const SessionNote = require('../models/SessionNote.js');
+const Escalation = require('../models/Escalation.js');
+const { removeAvatar } = require('../utils/avatarStorage.js');
+const { removeUserExports } = require('./export/index.js');
+
+const { SLOT_HOLDING_STATUSES } = Appointment;
+
+// How long a student can change their mind after asking to delete their account
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60;
+const ACCOUNT_CLOSED_REASON = 'The student closed their account';
+
+/**
+ * Permanently erases an account and everything the student wrote. Appointments,
+ * session notes and crisis escalations are kept as records for staff but no
+ * longer point at the student; escalations still open are closed.
+ * Safe to run again if it stops part-way, because the user document goes last.
+ * @param {object} user - The User document to purge.
+ */
+const purgeAccount = async (user) => {
+    const now = new Date();
+
+    await Promise.all([
+        MoodEntry.deleteMany({ user: user._id }),
+        JournalEntry.deleteMany({ user: user._id }),
+        ChatMessage.deleteMany({ user: user._id }),
+        Feedback.deleteMany({ user: user._id }),
+        ScreeningSubmission.deleteMany({ student: user._id }),
+        Session.deleteMany({ user: user._id }),
+    ]);
+
+    // Free the counselor's upcoming slots before the bookings lose their student.
+    // A pipeline update, so each booking's history records the status it had.
+    await Appointment.updateMany(
+        { student: user._id, date: { $gte: now }, status: { $in: SLOT_HOLDING_STATUSES } },
+        [{
+            $set: {
+                statusHistory: {
+                    $concatArrays: [
+                        { $ifNull: ['$statusHistory', []] },
+                        [{ from: '$status', to: 'canceled', reason: ACCOUNT_CLOSED_REASON, at: now }],
+                    ],
+                },
+                status: 'canceled',
+                canceledAt: now,
+                cancellationReason: ACCOUNT_CLOSED_REASON,
+                holdsSlot: false,
+            },
+        }]
+    );
+    await Appointment.updateMany(
+        { student: user._id },
+        { $unset: { student: 1 }, anonymizedAt: now }
+    );
+    // Nobody can follow up with the student any more, so open cases are closed
+    await Escalation.updateMany(
+        { student: user._id, status: { $ne: 'resolved' } },
+        {
+            status: 'resolved',
+            open: false,
+            resolvedAt: now,
+            $push: { auditTrail: { action: 'resolved', note: ACCOUNT_CLOSED_REASON, at: now } },
+        }
+    );
+    await Escalation.updateMany(
+        { student: user._id },
+        { $unset: { student: 1 }, anonymizedAt: now }
+    );
+    // Counselors keep their clinical notes; the summary was written for the student alone
+    await SessionNote.updateMany(
+        { student: user._id },
+        { $unset: { student: 1, studentSummary: 1 } }
+    );
+
+    await removeUserExports(user._id);
+    await removeAvatar(user.avatar);
+    await User.deleteOne({ _id: user._id });
+};
+
+// Purges every account whose grace period has run out
+const purgeDueAccounts = async () => {
+    const dueUsers = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+    for (const user of dueUsers) {
+        try {
+            await purgeAccount(user);
+            console.log(`Deleted account ${user._id} after its grace period`);
+        } catch (error) {
+            console.error(`Failed to delete account ${user._id}: ${error.message}`);
+        }
+    }
+};
+
+// Runs the purge once now and then every PURGE_INTERVAL_MINUTES
+const startAccountPurgeSchedule = () => {
+    const run = () => purgeDueAccounts().catch((error) => {
+        console.error(`Account purge failed: ${error.message}`);
+    });
+
+    run();
+    setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    purgeAccount,
+    purgeDueAccounts,
+    startAccountPurgeSchedule,
+};
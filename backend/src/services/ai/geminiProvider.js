@@ -0,0 +1,68 @@
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+// A stalled upstream call would otherwise hold the chat request, and its rate-limit slot, open
+const DEFAULT_TIMEOUT_MS = 20 * 1000;
+
+/**
+ * Google Gemini adapter. Reads GEMINI_API_KEY and, optionally, GEMINI_MODEL and GEMINI_TIMEOUT_MS.
+ */
+const createGeminiProvider = ({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+    timeoutMs = parseInt(process.env.GEMINI_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+} = {}) => {
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is required for the gemini AI provider');
+    }
+
+    return {
+        name: 'gemini',
+
+        async generateReply({ systemPrompt, messages }) {
+            const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+            const payload = {
+                systemInstruction: { parts: [{ text: systemPrompt }] },
+                contents: messages.map(message => ({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: message.text }],
+                })),
+            };
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-goog-api-key': apiKey,
+                    },
+                    body: JSON.stringify(payload),
+                    signal: AbortSignal.timeout(timeoutMs),
+                });
+            } catch (error) {
+                if (error.name === 'TimeoutError') {
+                    throw new Error(`Gemini request timed out after ${timeoutMs} ms`);
+                }
+                throw error;
+            }
+
+            if (!response.ok) {
+                throw new Error(`Gemini request failed with status ${response.status}`);
+            }
+
+            const result = await response.json();
+            const text = result.candidates
+                && result.candidates[0]
+                && result.candidates[0].content
+                && result.candidates[0].content.parts
+                && result.candidates[0].content.parts[0].text;
+
+            if (!text) {
+                throw new Error('Gemini returned an empty response');
+            }
+
+            return text.trim();
+        },
+    };
+};
+
+module.exports = createGeminiProvider;
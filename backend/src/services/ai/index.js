@@ -0,0 +1,36 @@
+const createGeminiProvider = require('./geminiProvider.js');
+const createLocalProvider = require('./localProvider.js');
+
+// Register new adapters here. Each factory returns { name, generateReply({ systemPrompt, messages }) }
+// where messages is an array of { role: 'user' | 'assistant', text }.
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    local: createLocalProvider,
+};
+
+const SYSTEM_PROMPT = "You are a supportive, empathetic AI assistant for students on a mental health platform. Your name is MindWell. Your primary goal is to be a good listener and provide a safe, non-judgmental space. Do NOT give medical advice or diagnoses. Instead, ask gentle, open-ended questions to help users explore their feelings. If a user mentions anything related to self-harm, crisis, or severe distress, your ONLY priority is to provide a crisis hotline number and strongly encourage them to seek professional help immediately. Keep your responses concise and warm.";
+
+let provider = null;
+
+/**
+ * Returns the configured provider. AI_PROVIDER selects the adapter; without it,
+ * Gemini is used when GEMINI_API_KEY is set and the offline stub otherwise.
+ */
+const getProvider = () => {
+    if (!provider) {
+        const name = process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'local');
+        const factory = PROVIDERS[name];
+        if (!factory) {
+            throw new Error(`Unknown AI_PROVIDER "${name}"`);
+        }
+        provider = factory();
+    }
+    return provider;
+};
+
+// Overrides the configured provider, e.g. to inject a fake one
+const setProvider = (customProvider) => {
+    provider = customProvider;
+};
+
+module.exports = { SYSTEM_PROMPT, getProvider, setProvider };
@@ -0,0 +1,40 @@
+// Canned, keyword-matched replies. Deterministic for a given message so it can
+// be used offline during development and in tests without any credentials.
+const RULES = [
+    {
+        keywords: ['exam', 'test', 'study', 'assignment', 'deadline'],
+        reply: 'Academic pressure can feel really heavy. What part of your studies is weighing on you the most right now?',
+    },
+    {
+        keywords: ['sleep', 'tired', 'insomnia', 'exhausted'],
+        reply: "Not sleeping well makes everything harder. How have your nights been lately, and what's on your mind when you try to rest?",
+    },
+    {
+        keywords: ['anxious', 'anxiety', 'worried', 'nervous', 'panic'],
+        reply: "That sounds stressful. Would it help to talk through what's making you feel anxious? Sometimes naming it makes it a little lighter.",
+    },
+    {
+        keywords: ['sad', 'down', 'lonely', 'alone', 'depressed'],
+        reply: "I'm sorry you're feeling this way. You don't have to go through it alone. Would you like to tell me more about what's been happening?",
+    },
+    {
+        keywords: ['friend', 'family', 'relationship', 'roommate'],
+        reply: 'Relationships can bring up a lot of feelings. How are things between you and them at the moment?',
+    },
+];
+
+const DEFAULT_REPLY = "Thank you for sharing that with me. How are you feeling about it right now?";
+
+const createLocalProvider = () => ({
+    name: 'local',
+
+    async generateReply({ messages }) {
+        const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+        const text = lastUserMessage ? lastUserMessage.text.toLowerCase() : '';
+
+        const rule = RULES.find(({ keywords }) => keywords.some(keyword => text.includes(keyword)));
+        return rule ? rule.reply : DEFAULT_REPLY;
+    },
+});
+
+module.exports = createLocalProvider;
@@ -0,0 +1,66 @@
+const Appointment = require('../models/Appointment.js');
+
+const { SLOT_DURATION_MINUTES } = Appointment;
+
+// Cancelling closer than this to the session is flagged as a late cancellation
+const LATE_CANCELLATION_HOURS = parseInt(process.env.LATE_CANCELLATION_HOURS, 10) || 24;
+// How long after a session its counselor can still correct "completed" to "no-show"
+const NO_SHOW_CORRECTION_DAYS = 7;
+const SETTLE_INTERVAL_MINUTES = parseInt(process.env.APPOINTMENT_SETTLE_INTERVAL_MINUTES, 10) || 15;
+
+const sessionEnd = (appointment) => new Date(appointment.date.getTime() + SLOT_DURATION_MINUTES * 60 * 1000);
+
+const isLateCancellation = (appointment, at = new Date()) => (
+    appointment.date.getTime() - at.getTime() < LATE_CANCELLATION_HOURS * 60 * 60 * 1000
+);
+
+/**
+ * Settles appointments whose time has passed: confirmed sessions become
+ * completed once their slot ends, and requests the counselor never confirmed
+ * are declined once their start time arrives. Counselors mark no-shows themselves.
+ */
+const settleElapsedAppointments = async () => {
+    const now = new Date();
+    let settled = 0;
+
+    const due = Appointment.find({
+        $or: [
+            { status: 'confirmed', date: { $lte: new Date(now.getTime() - SLOT_DURATION_MINUTES * 60 * 1000) } },
+            { status: 'pending', date: { $lte: now } },
+        ],
+    }).cursor();
+
+    for await (const appointment of due) {
+        try {
+            if (appointment.status === 'confirmed') {
+                appointment.recordTransition('completed', { at: sessionEnd(appointment) });
+            } else {
+                appointment.recordTransition('declined', { reason: 'The counselor did not confirm this request in time' });
+            }
+            await appointment.save();
+            settled += 1;
+        } catch (error) {
+            console.error(`Failed to settle appointment ${appointment._id}: ${error.message}`);
+        }
+    }
+    return settled;
+};
+
+// Runs the settlement once now and then every SETTLE_INTERVAL_MINUTES
+const startAppointmentLifecycleSchedule = () => {
+    const run = () => settleElapsedAppointments().catch((error) => {
+        console.error(`Appointment settlement failed: ${error.message}`);
+    });
+
+    run();
+    setInterval(run, SETTLE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+    LATE_CANCELLATION_HOURS,
+    NO_SHOW_CORRECTION_DAYS,
+    sessionEnd,
+    isLateCancellation,
+    settleElapsedAppointments,
+    startAppointmentLifecycleSchedule,
+};
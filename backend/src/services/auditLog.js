@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog.js');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Never copied into the log, even when part of a changed document
+const REDACTED_FIELDS = new Set([
+    'password',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'unlockToken',
+    'unlockTokenExpires',
+    'journalKey',
+    'codeHash',
+]);
+// Bookkeeping that changes on every save and says nothing about the action
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+// Plain JSON copy of a document or object, minus secrets. Take the `before`
+// copy with this before changing a document, since saving mutates it in place.
+const auditSnapshot = (value) => (value == null
+    ? null
+    : JSON.parse(JSON.stringify(value, (key, field) => (REDACTED_FIELDS.has(key) ? undefined : field))));
+
+/**
+ * Reduces two snapshots to the top-level fields that differ.
+ * Creations have no `before` and deletions no `after`.
+ * @returns {{ before: object|null, after: object|null }}
+ */
+const diffChanges = (beforeValue, afterValue) => {
+    const before = auditSnapshot(beforeValue);
+    const after = auditSnapshot(afterValue);
+    const diff = { before: before && {}, after: after && {} };
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.has(field)) continue;
+        const old = before ? before[field] : undefined;
+        const current = after ? after[field] : undefined;
+        if (JSON.stringify(old) === JSON.stringify(current)) continue;
+        if (before && old !== undefined) diff.before[field] = old;
+        if (after && current !== undefined) diff.after[field] = current;
+    }
+    return diff;
+};
+
+// JSON with object keys sorted, so the same entry always hashes the same way
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Works on both entries about to be written and lean documents read back
+const computeHash = (entry) => crypto.createHash('sha256').update(canonicalJson({
+    seq: entry.seq,
+    at: new Date(entry.at).toISOString(),
+    actor: String(entry.actor),
+    actorName: entry.actorName,
+    actorRole: entry.actorRole,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    targetLabel: entry.targetLabel,
+    reason: entry.reason,
+    changes: entry.changes,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    prevHash: entry.prevHash,
+})).digest('hex');
+
+const writeEntry = async (fields) => {
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt += 1) {
+        const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+        const entry = {
+            ...fields,
+            seq: last ? last.seq + 1 : 1,
+            prevHash: last ? last.hash : GENESIS_HASH,
+        };
+        entry.hash = computeHash(entry);
+
+        try {
+            return await AuditLog.create(entry);
+        } catch (error) {
+            // Another server appended this seq first; chain onto its entry instead
+            if (error.code !== 11000) throw error;
+        }
+    }
+    throw new Error('Gave up appending to the audit log after repeated conflicts');
+};
+
+// Appends within this process run one at a time, so they never race for the same seq
+let appendQueue = Promise.resolve();
+
+const appendEntry = (fields) => {
+    const append = appendQueue.then(() => writeEntry(fields));
+    appendQueue = append.catch(() => {});
+    return append;
+};
+
+/**
+ * Records a privileged action taken by req.user. Call it after the change has
+ * been saved. A failure is logged rather than thrown: the change has already
+ * happened, and reporting it to the admin as failed would be wrong.
+ * @param {import('express').Request} req
+ * @param {{ action: string, targetId: any, targetLabel?: string, reason?: string, before?: object, after?: object }} details
+ *   before/after are the target as it was and as it is now (documents or plain objects); only differing fields are kept.
+ */
+const recordAudit = async (req, { action, targetId, targetLabel, reason, before = null, after = null }) => {
+    try {
+        await appendEntry({
+            at: new Date(),
+            actor: req.user._id,
+            actorName: req.user.name,
+            actorRole: req.user.role,
+            action,
+            targetType: action.split('.')[0],
+            targetId: targetId === undefined ? undefined : String(targetId),
+            targetLabel,
+            reason,
+            changes: diffChanges(before, after),
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+        });
+    } catch (error) {
+        console.error(`AUDIT FAILURE: could not record ${action} by ${req.user._id}: ${error.message}`);
+    }
+};
+
+/**
+ * Walks the whole chain and recomputes every hash.
+ * @returns {Promise<{ valid: boolean, checked: number, head: { seq: number, hash: string }|null, brokenAt?: { seq: number, reason: string } }>}
+ *   `head` is the last entry that checked out. Noting its hash down lets a later
+ *   review detect entries removed from the end, which the chain alone cannot.
+ */
+const verifyAuditChain = async () => {
+    let previous = null;
+    let checked = 0;
+
+    for await (const entry of AuditLog.find().sort({ seq: 1 }).lean().cursor()) {
+        const expectedSeq = previous ? previous.seq + 1 : 1;
+        let reason = null;
+
+        if (entry.seq !== expectedSeq) {
+            reason = `Expected entry ${expectedSeq} but found ${entry.seq}; entries are missing`;
+        } else if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+            reason = 'Does not link to the previous entry';
+        } else if (entry.hash !== computeHash(entry)) {
+            reason = 'Contents do not match the recorded hash';
+        }
+        if (reason) {
+            return {
+                valid: false,
+                checked,
+                head: previous && { seq: previous.seq, hash: previous.hash },
+                brokenAt: { seq: entry.seq, reason },
+            };
+        }
+
+        previous = entry;
+        checked += 1;
+    }
+
+    return { valid: true, checked, head: previous && { seq: previous.seq, hash: previous.hash } };
+};
+
+module.exports = { recordAudit, auditSnapshot, diffChanges, verifyAuditChain };
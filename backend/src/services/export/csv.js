@@ -0,0 +1,24 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+const escapeCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIXES.includes(text.charAt(0))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds an RFC 4180 CSV document.
+ * @param {Array<{ header: string, value: (row: object) => any }>} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+const toCsv = (columns, rows) => [
+    columns.map(column => escapeCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(column.value(row))).join(',')),
+].join('\r\n');
+
+module.exports = { toCsv };
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const User = require('../../models/User.js');
+const MoodEntry = require('../../models/MoodEntry.js');
+const JournalEntry = require('../../models/JournalEntry.js');
+const ScreeningSubmission = require('../../models/ScreeningSubmission.js');
+const Appointment = require('../../models/Appointment.js');
+const DataExport = require('../../models/DataExport.js');
+const { toCsv } = require('./csv.js');
+const { renderReport } = require('./report.js');
+
+// Kept outside UPLOAD_DIR, which is served publicly
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '../../../exports');
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 48;
+const SWEEP_INTERVAL_MINUTES = 15;
+// A job still "processing" after this long was cut off by a restart
+const STALLED_AFTER_MINUTES = 15;
+
+/**
+ * Gathers everything the student has stored with MindWell, journal decrypted.
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+const collectUserData = async (userId) => {
+    const [user, moodEntries, journalEntries, screenings, appointments] = await Promise.all([
+        User.findById(userId),
+        MoodEntry.find({ user: userId }).sort({ date: 1 }),
+        JournalEntry.find({ user: userId }).sort({ createdAt: 1 }),
+        ScreeningSubmission.find({ student: userId }).populate('instrument', 'name').sort({ createdAt: 1 }),
+        Appointment.find({ student: userId }).populate('counselor', 'name').sort({ date: 1 }),
+    ]);
+
+    const journalKey = journalEntries.length > 0 ? await JournalEntry.getUserKey(userId) : null;
+
+    return {
+        generatedAt: new Date(),
+        profile: {
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            university: user.university,
+            registrationNumber: user.registrationNumber,
+            createdAt: user.createdAt,
+        },
+        moodEntries: moodEntries.map(entry => ({
+            date: entry.date,
+            mood: entry.mood,
+            value: entry.value,
+            tags: entry.tags,
+            notes: entry.notes,
+        })),
+        journalEntries: journalEntries.map((entry) => {
+            const { title, body, createdAt, updatedAt } = entry.toDecrypted(journalKey);
+            return { title, body, createdAt, updatedAt };
+        }),
+        screenings: screenings.map(screening => ({
+            instrument: screening.instrument ? screening.instrument.name : screening.instrumentCode,
+            instrumentCode: screening.instrumentCode,
+            totalScore: screening.totalScore,
+            maxScore: screening.maxScore,
+            severity: screening.severity,
+            createdAt: screening.createdAt,
+        })),
+        appointments: appointments.map(appointment => ({
+            date: appointment.date,
+            counselor: appointment.counselor ? appointment.counselor.name : 'Former counselor',
+            sessionType: appointment.sessionType,
+            status: appointment.status,
+            cancellationReason: appointment.cancellationReason,
+            lateCancellation: appointment.lateCancellation,
+        })),
+    };
+};
+
+const CSV_FILES = {
+    'mood.csv': (data) => toCsv([
+        { header: 'date', value: entry => entry.date },
+        { header: 'mood', value: entry => entry.mood },
+        { header: 'value', value: entry => entry.value },
+        { header: 'tags', value: entry => entry.tags.join(';') },
+        { header: 'notes', value: entry => entry.notes },
+    ], data.moodEntries),
+    'journal.csv': (data) => toCsv([
+        { header: 'created_at', value: entry => entry.createdAt },
+        { header: 'updated_at', value: entry => entry.updatedAt },
+        { header: 'title', value: entry => entry.title },
+        { header: 'body', value: entry => entry.body },
+    ], data.journalEntries),
+    'screenings.csv': (data) => toCsv([
+        { header: 'date', value: screening => screening.createdAt },
+        { header: 'instrument', value: screening => screening.instrumentCode },
+        { header: 'score', value: screening => screening.totalScore },
+        { header: 'max_score', value: screening => screening.maxScore },
+        { header: 'severity', value: screening => screening.severity },
+    ], data.screenings),
+    'appointments.csv': (data) => toCsv([
+        { header: 'date', value: appointment => appointment.date },
+        { header: 'counselor', value: appointment => appointment.counselor },
+        { header: 'session_type', value: appointment => appointment.sessionType },
+        { header: 'status', value: appointment => appointment.status },
+        { header: 'cancellation_reason', value: appointment => appointment.cancellationReason },
+        { header: 'late_cancellation', value: appointment => (appointment.lateCancellation ? 'yes' : '') },
+    ], data.appointments),
+};
+
+// Writes the zip: full JSON, one CSV per collection and the printable report
+const writeArchive = (filePath, data) => new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(archive.pointer()));
+    archive.on('error', reject);
+    archive.on('warning', reject);
+
+    archive.pipe(output);
+    archive.append(JSON.stringify(data, null, 2), { name: 'mindwell-data.json' });
+    Object.entries(CSV_FILES).forEach(([name, build]) => {
+        archive.append(build(data), { name });
+    });
+    archive.append(renderReport(data), { name: 'report.html' });
+    archive.finalize();
+});
+
+const removeFile = async (fileName) => {
+    if (!fileName) return;
+    try {
+        await fs.promises.unlink(path.join(EXPORT_DIR, path.basename(fileName)));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+/**
+ * Builds one export. The pending -> processing claim is atomic, so a job is
+ * never run twice even if the sweep and the request both pick it up.
+ * @param {string} exportId
+ */
+const processExport = async (exportId) => {
+    const job = await DataExport.findOneAndUpdate(
+        { _id: exportId, status: 'pending' },
+        { status: 'processing', startedAt: new Date() },
+        { new: true }
+    );
+    if (!job) return;
+
+    const fileName = `${job._id}-${crypto.randomBytes(8).toString('hex')}.zip`;
+    try {
+        const data = await collectUserData(job.user);
+        await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+        const fileSize = await writeArchive(path.join(EXPORT_DIR, fileName), data);
+
+        job.set({
+            status: 'ready',
+            fileName,
+            fileSize,
+            completedAt: new Date(),
+            expiresAt: new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000),
+        });
+        await job.save();
+    } catch (error) {
+        console.error(`Data export ${job._id} failed: ${error.message}`);
+        await removeFile(fileName).catch(() => {});
+        job.set({ status: 'failed', error: 'The export could not be generated', completedAt: new Date() });
+        await job.save();
+    }
+};
+
+// Runs the export after the current request has been answered
+const queueExport = (exportId) => {
+    setImmediate(() => {
+        processExport(exportId).catch((error) => {
+            console.error(`Data export ${exportId} failed: ${error.message}`);
+        });
+    });
+};
+
+// Restarts stalled jobs, runs any left pending and deletes expired archives
+const sweepExports = async () => {
+    await DataExport.updateMany(
+        { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALLED_AFTER_MINUTES * 60 * 1000) } },
+        { status: 'pending' }
+    );
+
+    const pending = await DataExport.find({ status: 'pending' }).select('_id');
+    for (const job of pending) {
+        await processExport(job._id);
+    }
+
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+    for (const job of expired) {
+        await removeFile(job.fileName);
+        await job.deleteOne();
+    }
+    await DataExport.deleteMany({
+        status: 'failed',
+        completedAt: { $lte: new Date(Date.now() - EXPORT_TTL_HOURS * 60 * 60 * 1000) },
+    });
+};
+
+// Deletes every export a user has made, archives included
+const removeUserExports = async (userId) => {
+    const jobs = await DataExport.find({ user: userId });
+    for (const job of jobs) {
+        await removeFile(job.fileName);
+    }
+    await DataExport.deleteMany({ user: userId });
+};
+
+const startExportSweepSchedule = () => {
+    const run = () => sweepExports().catch((error) => {
+        console.error(`Data export sweep failed: ${error.message}`);
+    });
+
+    run();
+    setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+    EXPORT_DIR,
+    EXPORT_TTL_HOURS,
+    collectUserData,
+    processExport,
+    queueExport,
+    removeUserExports,
+    startExportSweepSchedule,
+};
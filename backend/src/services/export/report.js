@@ -0,0 +1,156 @@
+// Printable HTML summary of a student's data. It is self-contained (no scripts
+// from other origins, chart drawn as inline SVG) so it opens offline and can be
+// saved as PDF from the browser's print dialog.
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 16, bottom: 32, left: 40 };
+const MOOD_LABELS = { 1: 'Awful', 2: 'Bad', 3: 'Okay', 4: 'Good', 5: 'Great' };
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+const formatDateTime = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+
+// Average mood per calendar day (UTC), oldest first
+const dailyAverages = (moodEntries) => {
+    const days = new Map();
+    moodEntries.forEach((entry) => {
+        const day = formatDate(entry.date);
+        const bucket = days.get(day) || { total: 0, count: 0 };
+        bucket.total += entry.value;
+        bucket.count += 1;
+        days.set(day, bucket);
+    });
+    return [...days.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([day, { total, count }]) => ({ day, value: total / count }));
+};
+
+const renderMoodChart = (moodEntries) => {
+    const points = dailyAverages(moodEntries);
+    if (points.length < 2) {
+        return '<p class="muted">Log your mood on at least two days to see a chart here.</p>';
+    }
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const first = new Date(points[0].day).getTime();
+    const span = new Date(points[points.length - 1].day).getTime() - first || 1;
+    const x = (day) => CHART_PADDING.left + ((new Date(day).getTime() - first) / span) * plotWidth;
+    const y = (value) => CHART_PADDING.top + ((5 - value) / 4) * plotHeight;
+
+    const gridLines = [1, 2, 3, 4, 5].map(value => `
+        <line x1="${CHART_PADDING.left}" y1="${y(value)}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y(value)}" class="grid" />
+        <text x="${CHART_PADDING.left - 6}" y="${y(value) + 4}" text-anchor="end">${MOOD_LABELS[value]}</text>`).join('');
+    const path = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.day).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+    const dots = points.map(point => `<circle cx="${x(point.day).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3" />`).join('');
+
+    return `
+    <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Average daily mood">
+        ${gridLines}
+        <path d="${path}" class="line" />
+        ${dots}
+        <text x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}">${escapeHtml(points[0].day)}</text>
+        <text x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 8}" text-anchor="end">${escapeHtml(points[points.length - 1].day)}</text>
+    </svg>`;
+};
+
+const renderTable = (headers, rows, emptyText) => {
+    if (rows.length === 0) {
+        return `<p class="muted">${escapeHtml(emptyText)}</p>`;
+    }
+    return `
+    <table>
+        <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n            ')}
+        </tbody>
+    </table>`;
+};
+
+/**
+ * Renders the printable report.
+ * @param {object} data - The bundle assembled by services/export/index.js.
+ * @returns {string} A complete HTML document.
+ */
+const renderReport = (data) => {
+    const { profile, moodEntries, journalEntries, screenings, appointments } = data;
+
+    const journal = journalEntries.length === 0
+        ? '<p class="muted">No journal entries.</p>'
+        : journalEntries.map(entry => `
+        <article>
+            <h3>${escapeHtml(entry.title)}</h3>
+            <p class="muted">${escapeHtml(formatDateTime(entry.createdAt))}</p>
+            <p class="body">${escapeHtml(entry.body)}</p>
+        </article>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>MindWell data summary for ${escapeHtml(profile.name)}</title>
+    <style>
+        body { font-family: Georgia, 'Times New Roman', serif; color: #292524; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+        h1 { margin-bottom: 0.25rem; }
+        h2 { border-bottom: 2px solid #f59e0b; padding-bottom: 0.25rem; margin-top: 2rem; }
+        .muted { color: #78716c; font-size: 0.9rem; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+        th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #e7e5e4; vertical-align: top; }
+        article { border-bottom: 1px solid #e7e5e4; padding-bottom: 0.5rem; break-inside: avoid; }
+        .body { white-space: pre-wrap; }
+        svg { width: 100%; height: auto; font-family: sans-serif; font-size: 11px; fill: #78716c; }
+        svg .grid { stroke: #e7e5e4; }
+        svg .line { fill: none; stroke: #f59e0b; stroke-width: 2; }
+        svg circle { fill: #b45309; }
+        .print-button { background: #f97316; color: #fff; border: 0; border-radius: 0.5rem; padding: 0.5rem 1rem; font-weight: bold; cursor: pointer; }
+        @media print { .print-button { display: none; } body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <button type="button" class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    <h1>MindWell data summary</h1>
+    <p class="muted">Generated ${escapeHtml(formatDateTime(data.generatedAt))}</p>
+
+    <h2>Profile</h2>
+    ${renderTable(['Name', 'Email', 'University', 'Registration number', 'Member since'], [[
+        profile.name, profile.email, profile.university, profile.registrationNumber, formatDate(profile.createdAt),
+    ]], '')}
+
+    <h2>Mood</h2>
+    ${renderMoodChart(moodEntries)}
+    ${renderTable(
+        ['Date', 'Mood', 'Tags', 'Notes'],
+        moodEntries.map(entry => [formatDateTime(entry.date), `${entry.mood} (${entry.value}/5)`, entry.tags.join(', '), entry.notes]),
+        'No mood entries.'
+    )}
+
+    <h2>Check-ins</h2>
+    ${renderTable(
+        ['Date', 'Questionnaire', 'Score', 'Result'],
+        screenings.map(screening => [formatDate(screening.createdAt), screening.instrument, `${screening.totalScore} / ${screening.maxScore}`, screening.severity]),
+        'No check-ins.'
+    )}
+
+    <h2>Appointments</h2>
+    ${renderTable(
+        ['Date', 'Counselor', 'Type', 'Status'],
+        appointments.map(appointment => [formatDateTime(appointment.date), appointment.counselor, appointment.sessionType, appointment.status]),
+        'No appointments.'
+    )}
+
+    <h2>Journal</h2>
+    ${journal}
+</body>
+</html>
+`;
+};
+
+module.exports = { renderReport };
@@ -0,0 +1,10 @@
+// Prints outgoing mail to the server log. The default in development, so links
+// in reset and verification emails can be copied straight from the terminal.
+const createConsoleTransport = () => ({
+    name: 'console',
+    async send({ to, subject, text }) {
+        console.log(`\n--- Mail to ${to} ---\nSubject: ${subject}\n\n${text}\n--- End of mail ---\n`);
+    },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,20 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Writes each message to MAIL_OUTBOX_DIR (default: <tmp>/mindwell-mail-outbox)
+// as a JSON file, for inspecting mail locally without a mail server.
+const createFileTransport = () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'mindwell-mail-outbox');
+
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.mkdir(outboxDir, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+            await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+        },
+    };
+};
+
+module.exports = createFileTransport;
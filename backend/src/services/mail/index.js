@@ -0,0 +1,40 @@
+const createConsoleTransport = require('./consoleTransport.js');
+const createFileTransport = require('./fileTransport.js');
+
+// Register new adapters here. Each factory returns { name, send({ from, to, subject, text, html }) }.
+const TRANSPORTS = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+};
+
+const DEFAULT_FROM = 'MindWell <no-reply@mindwell.local>';
+
+let transport = null;
+
+/**
+ * Returns the configured transport, selected by MAIL_TRANSPORT (default: console).
+ */
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const factory = TRANSPORTS[name];
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+// Overrides the configured transport, e.g. with an SMTP or API-backed one
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+const sendMail = (message) => getTransport().send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+
+module.exports = { getTransport, setTransport, sendMail };
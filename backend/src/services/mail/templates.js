@@ -0,0 +1,83 @@
+// Plain-text bodies for the emails the platform sends. Links point at the
+// static frontend, whose base URL is FRONTEND_URL.
+const frontendUrl = (page) => `${(process.env.FRONTEND_URL || 'http://localhost:5500/frontend').replace(/\/$/, '')}/${page}`;
+
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => ({
+    subject: 'Reset your MindWell password',
+    text: [
+        `Hi ${name},`,
+        '',
+        'We received a request to reset your MindWell password. Open the link below to choose a new one:',
+        '',
+        frontendUrl(`reset-password.html?token=${token}`),
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        "If you didn't ask to reset your password, you can ignore this email; your password will stay the same.",
+    ].join('\n'),
+});
+
+const passwordChangedEmail = ({ name, keptCurrentDevice = false }) => ({
+    subject: 'Your MindWell password was changed',
+    text: [
+        `Hi ${name},`,
+        '',
+        keptCurrentDevice
+            ? 'Your MindWell password was just changed and you have been signed out on your other devices.'
+            : 'Your MindWell password was just changed and you have been signed out on all your devices.',
+        "If this wasn't you, reset your password straight away and contact support.",
+    ].join('\n'),
+});
+
+const verificationEmail = ({ name, token, expiresInHours }) => ({
+    subject: 'Verify your MindWell email address',
+    text: [
+        `Hi ${name},`,
+        '',
+        'Welcome to MindWell! Please confirm your email address by opening the link below:',
+        '',
+        frontendUrl(`verify-email.html?token=${token}`),
+        '',
+        `This link expires in ${expiresInHours} hours. You can request a new one from MindWell after logging in.`,
+        "If you didn't create a MindWell account, you can ignore this email.",
+    ].join('\n'),
+});
+
+const accountDeletionEmail = ({ name, scheduledFor }) => ({
+    subject: 'Your MindWell account is scheduled for deletion',
+    text: [
+        `Hi ${name},`,
+        '',
+        `As requested, your MindWell account will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+        'Your mood entries, journal, chat history and feedback will be erased and cannot be recovered.',
+        '',
+        'Changed your mind? Log in before then and cancel the deletion from your profile:',
+        '',
+        frontendUrl('student/profile.html'),
+        '',
+        "If you didn't ask for this, log in, cancel the deletion and change your password straight away.",
+    ].join('\n'),
+});
+
+const accountLockedEmail = ({ name, token, lockedFor, expiresInHours }) => ({
+    subject: 'Your MindWell account has been locked',
+    text: [
+        `Hi ${name},`,
+        '',
+        `After several failed login attempts, we have locked your MindWell account for ${lockedFor} to keep it safe.`,
+        'If that was you, open the link below to unlock it now:',
+        '',
+        frontendUrl(`unlock-account.html?token=${token}`),
+        '',
+        `This link expires in ${expiresInHours} hours and can only be used once.`,
+        "If it wasn't you, someone may be guessing your password. Unlock your account and then reset your password from the login page.",
+    ].join('\n'),
+});
+
+module.exports = {
+    frontendUrl,
+    passwordResetEmail,
+    passwordChangedEmail,
+    verificationEmail,
+    accountDeletionEmail,
+    accountLockedEmail,
+};
@@ -0,0 +1,24 @@
+const createMemoryStore = require('./memoryStore.js');
+const createRedisStore = require('./redisStore.js');
+
+// Every store implements:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>  counts a hit in the key's current window
+//   reset(key) -> Promise<void>                               forgets the key, e.g. after a successful login
+let store = null;
+
+/**
+ * Returns the store rate-limit counters live in; in-memory unless replaced.
+ */
+const getStore = () => {
+    if (!store) {
+        store = createMemoryStore();
+    }
+    return store;
+};
+
+// Replaces the store, e.g. with setStore(createRedisStore(new Redis(process.env.REDIS_URL)))
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+module.exports = { getStore, setStore, createMemoryStore, createRedisStore };
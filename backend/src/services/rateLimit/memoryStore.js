@@ -0,0 +1,34 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Keeps counters in this process. The default; fine for a single server, but
+// each instance counts separately, so use the Redis store when running several.
+const createMemoryStore = () => {
+    const counters = new Map();
+
+    // Drop expired windows so keys from one-off visitors don't pile up
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS).unref();
+
+    return {
+        name: 'memory',
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+            return { count: counter.count, resetAt: new Date(counter.resetAt) };
+        },
+        async reset(key) {
+            counters.delete(key);
+        },
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,26 @@
+// Shares counters between server instances through Redis. Takes an existing
+// client with ioredis-style commands (incr, pexpire, pttl, del); anything that
+// speaks the Redis protocol, such as Valkey or KeyDB, works the same way.
+const createRedisStore = (client, { prefix = 'mindwell:ratelimit:' } = {}) => ({
+    name: 'redis',
+    async increment(key, windowMs) {
+        const redisKey = prefix + key;
+        const count = await client.incr(redisKey);
+        // The first hit opens the window; later hits in it leave the expiry alone
+        if (count === 1) {
+            await client.pexpire(redisKey, windowMs);
+        }
+        let ttl = await client.pttl(redisKey);
+        // A crash between INCR and PEXPIRE would leave a counter that never expires
+        if (ttl < 0) {
+            await client.pexpire(redisKey, windowMs);
+            ttl = windowMs;
+        }
+        return { count, resetAt: new Date(Date.now() + ttl) };
+    },
+    async reset(key) {
+        await client.del(prefix + key);
+    },
+});
+
+module.exports = createRedisStore;
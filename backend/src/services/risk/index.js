@@ -0,0 +1,68 @@
+const Escalation = require('../../models/Escalation.js');
+const crisisResources = require('../../config/crisisResources.js');
+const { classifyRisk, SEVERITY_RANK } = require('./riskClassifier.js');
+
+// Adds a detection to the student's unresolved case, or opens a new one. A single
+// upsert backed by the one-open-case-per-student index, so detections arriving
+// together can't open two cases.
+const recordEscalation = async ({ userId, source, sourceId, severity, signals }) => {
+    const detection = { source, sourceId, severity, signals };
+    const { value: escalation, lastErrorObject } = await Escalation.findOneAndUpdate(
+        { student: userId, open: true },
+        { $push: { detections: detection }, $setOnInsert: { severity } },
+        { upsert: true, new: true, includeResultMetadata: true }
+    );
+    const created = !lastErrorObject.updatedExisting;
+
+    await Escalation.updateOne({ _id: escalation._id }, {
+        $push: { auditTrail: { action: created ? 'created' : 'detected-again', note: `${source}: ${signals.join(', ')}` } },
+    });
+    // Severity only ever rises while the case is open
+    const lowerSeverities = Object.keys(SEVERITY_RANK).filter(level => SEVERITY_RANK[level] < SEVERITY_RANK[severity]);
+    if (!created && lowerSeverities.length > 0) {
+        await Escalation.updateOne({ _id: escalation._id, severity: { $in: lowerSeverities } }, { severity });
+    }
+    return escalation;
+};
+
+/**
+ * Escalates a risk signal raised outside free text, such as a screening answer.
+ * @param {object} params
+ * @param {string} params.userId - The student concerned.
+ * @param {string} params.source - One of Escalation.ESCALATION_SOURCES.
+ * @param {string} [params.sourceId] - The id of the stored document that raised the signal.
+ * @param {('moderate'|'high')} params.severity
+ * @param {string[]} params.signals - Labels describing what was detected.
+ * @returns {Promise<object>} Crisis resources to show the student.
+ */
+const escalateRisk = async ({ userId, source, sourceId, severity, signals }) => {
+    try {
+        await recordEscalation({ userId, source, sourceId, severity, signals });
+    } catch (error) {
+        // The student must still see crisis resources even if the record could not be written
+        console.error(`Failed to record escalation for user ${userId}: ${error.message}`);
+    }
+
+    return { severity, ...crisisResources };
+};
+
+/**
+ * Screens student-written text and escalates any hit.
+ * @param {object} params
+ * @param {string} params.userId - The student who wrote the text.
+ * @param {string} params.source - One of Escalation.ESCALATION_SOURCES.
+ * @param {string} [params.sourceId] - The id of the stored document the text belongs to.
+ * @param {string[]} params.texts - Fields to screen together.
+ * @returns {Promise<object|null>} Crisis resources to show the student, or null when nothing was flagged.
+ */
+const screenForRisk = async ({ userId, source, sourceId, texts }) => {
+    const result = classifyRisk(texts.filter(Boolean).join('\n'));
+
+    if (!result.flagged) {
+        return null;
+    }
+
+    return escalateRisk({ userId, source, sourceId, severity: result.severity, signals: result.signals });
+};
+
+module.exports = { screenForRisk, escalateRisk };
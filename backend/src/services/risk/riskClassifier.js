@@ -0,0 +1,69 @@
+// Rule-based screen for crisis language. It deliberately errs towards false
+// positives (e.g. "I'm not suicidal" still matches): a counselor reviewing an
+// unnecessary escalation costs far less than a missed one.
+const RULES = [
+    {
+        signal: 'suicidal-ideation',
+        severity: 'high',
+        patterns: [
+            /\bsuicid(e|al)\b/,
+            /\b(kill|killing) (myself|my self)\b/,
+            /\bend(ing)? (my life|it all|my own life)\b/,
+            /\btake my (own )?life\b/,
+            /\b(want|wanna|going|plan|planning) to die\b/,
+            /\bwish i (was|were) dead\b/,
+            /\bdon'?t want to (live|be alive|wake up)\b/,
+            /\bno (reason|point) (to|in) (live|living|going on)\b/,
+            /\bbetter off (dead|without me)\b/,
+        ],
+    },
+    {
+        signal: 'self-harm',
+        severity: 'high',
+        patterns: [
+            /\bself[- ]?harm(ing)?\b/,
+            /\b(cut|cutting|hurt|hurting|harm|harming|burn|burning) (myself|my self)\b/,
+            /\boverdos(e|ed|ing)\b/,
+        ],
+    },
+    {
+        signal: 'hopelessness',
+        severity: 'moderate',
+        patterns: [
+            /\bhopeless\b/,
+            /\bcan'?t (go on|take (it|this) anymore)\b/,
+            /\b(nobody|no one) would (care|miss me|notice)\b/,
+            /\bi'?m (worthless|a burden)\b/,
+        ],
+    },
+];
+
+const SEVERITY_RANK = { moderate: 1, high: 2 };
+
+const normalise = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^a-z0-9'\s-]/g, ' ')
+    .replace(/\s+/g, ' ');
+
+/**
+ * Screens free text for crisis language.
+ * @param {string} text - Anything a student wrote.
+ * @returns {{ flagged: boolean, severity: ('moderate'|'high'|null), signals: string[] }}
+ */
+const classifyRisk = (text) => {
+    const normalised = normalise(text);
+    const matched = RULES.filter(rule => rule.patterns.some(pattern => pattern.test(normalised)));
+
+    if (matched.length === 0) {
+        return { flagged: false, severity: null, signals: [] };
+    }
+
+    const severity = matched.reduce((highest, rule) => (
+        SEVERITY_RANK[rule.severity] > SEVERITY_RANK[highest] ? rule.severity : highest
+    ), 'moderate');
+
+    return { flagged: true, severity, signals: matched.map(rule => rule.signal) };
+};
+
+module.exports = { classifyRisk, SEVERITY_RANK };
@@ -0,0 +1,23 @@
+const User = require('../models/User.js');
+const { universityScopeFor } = require('../config/permissions.js');
+
+/**
+ * A query condition confining documents that belong to a student, through
+ * `field`, to the students of the current user's university.
+ * @param {{ role: string, university?: string }} user
+ * @param {string} field - The path holding the student's id, e.g. 'student'.
+ * @returns {Promise<object|null>} {} for platform-wide staff, or null when the
+ *   account should be confined but has no university on record.
+ */
+const studentScopeFilter = async (user, field) => {
+    const scope = universityScopeFor(user);
+    if (scope === null) return {};
+    if (!scope) return null;
+
+    const students = await User.find({ role: 'student', university: scope }).distinct('_id');
+    return { [field]: { $in: students } };
+};
+
+const NO_UNIVERSITY_MESSAGE = 'Your account is not linked to a university';
+
+module.exports = { studentScopeFilter, NO_UNIVERSITY_MESSAGE };
@@ -0,0 +1,51 @@
+// Default machine-readable code for each HTTP status the API answers with.
+// Clients branch on `code`; `message` is for people.
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE',
+    423: 'LOCKED',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE',
+};
+
+/**
+ * An error meant to reach the client as-is. Throw it (or pass it to next)
+ * and errorMiddleware turns it into the standard error envelope.
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code.
+     * @param {string} message - Human-readable explanation.
+     * @param {{ code?: string, details?: Array<{ field: string, location?: string, message: string }> }} [options]
+     */
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code || ERROR_CODES[status] || 'ERROR';
+        this.details = details;
+    }
+}
+
+/**
+ * Sends the error envelope every API error uses:
+ * `{ message, code, details? }`, where details lists field-level problems.
+ * @param {import('express').Response} res
+ * @param {number} status
+ * @param {string} message
+ * @param {{ code?: string, details?: object[], stack?: string }} [options]
+ */
+const sendError = (res, status, message, { code, details, stack } = {}) => res.status(status).json({
+    message,
+    code: code || ERROR_CODES[status] || 'ERROR',
+    ...(details && details.length > 0 && { details }),
+    ...(stack && { stack }),
+});
+
+module.exports = { ApiError, sendError, ERROR_CODES };
@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Uploaded files live under UPLOAD_DIR and are served from /uploads
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+const UPLOAD_URL_PREFIX = '/uploads';
+const AVATAR_DIR = path.join(UPLOAD_DIR, 'avatars');
+
+const AVATAR_SIZE = 256;
+const AVATAR_MAX_BYTES = (parseInt(process.env.AVATAR_MAX_KB, 10) || 2048) * 1024;
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Re-encodes an uploaded image as a square WebP and stores it.
+ * Decoding with sharp also rejects files that only claim to be images,
+ * and re-encoding drops EXIF data such as GPS location.
+ * @param {string} userId
+ * @param {Buffer} buffer - The uploaded file.
+ * @returns {Promise<string>} The public path of the stored avatar, e.g. /uploads/avatars/<file>.webp
+ */
+const saveAvatar = async (userId, buffer) => {
+    const image = await sharp(buffer)
+        .rotate() // Respect the camera's orientation before EXIF is dropped
+        .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+        .webp({ quality: 82 })
+        .toBuffer();
+
+    // A fresh name per upload, so browsers never show a cached old photo
+    const fileName = `${userId}-${crypto.randomBytes(6).toString('hex')}.webp`;
+    await fs.mkdir(AVATAR_DIR, { recursive: true });
+    await fs.writeFile(path.join(AVATAR_DIR, fileName), image);
+    return `${UPLOAD_URL_PREFIX}/avatars/${fileName}`;
+};
+
+// Deletes a stored avatar; a file that is already gone is not an error
+const removeAvatar = async (avatarPath) => {
+    if (!avatarPath || !avatarPath.startsWith(`${UPLOAD_URL_PREFIX}/avatars/`)) return;
+    try {
+        await fs.unlink(path.join(AVATAR_DIR, path.basename(avatarPath)));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+module.exports = {
+    UPLOAD_DIR,
+    UPLOAD_URL_PREFIX,
+    AVATAR_MAX_BYTES,
+    AVATAR_MIME_TYPES,
+    saveAvatar,
+    removeAvatar,
+};
@@ -0,0 +1,56 @@
+// Aggregates over fewer students than this are withheld, so nobody can work out
+// an individual's mood from a small university or a quiet week.
+const MIN_COHORT_SIZE = Math.max(parseInt(process.env.ANALYTICS_MIN_COHORT_SIZE, 10) || 5, 2);
+
+// Privacy budget for Laplace noise on released values; unset or 0 disables noise.
+// Smaller values mean more noise.
+const NOISE_EPSILON = parseFloat(process.env.ANALYTICS_NOISE_EPSILON) || 0;
+
+// Inverse-CDF sample from a Laplace(0, scale) distribution
+const laplaceNoise = (scale) => {
+    const u = Math.random() - 0.5;
+    return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+};
+
+/**
+ * Releases a count only when it covers enough students.
+ * @param {number} count - The value to release.
+ * @param {number} [cohortSize] - Distinct students behind it; defaults to the count itself.
+ * @returns {{ value: number|null, suppressed: boolean }}
+ */
+const protectCount = (count, cohortSize = count) => {
+    if (cohortSize < MIN_COHORT_SIZE) {
+        return { value: null, suppressed: true };
+    }
+    // One student changes a count by at most 1
+    const value = NOISE_EPSILON ? Math.max(0, Math.round(count + laplaceNoise(1 / NOISE_EPSILON))) : count;
+    return { value, suppressed: false };
+};
+
+/**
+ * Releases a mean of bounded ratings only when it covers enough students.
+ * @param {number} average
+ * @param {number} cohortSize - Distinct students behind the mean.
+ * @param {{ min: number, max: number }} range - Bounds of a single rating.
+ * @param {number} [decimals=2]
+ * @returns {{ value: number|null, suppressed: boolean }}
+ */
+const protectAverage = (average, cohortSize, { min, max }, decimals = 2) => {
+    if (cohortSize < MIN_COHORT_SIZE) {
+        return { value: null, suppressed: true };
+    }
+    // One student moves the mean by at most (max - min) / n
+    const noisy = NOISE_EPSILON ? average + laplaceNoise((max - min) / (cohortSize * NOISE_EPSILON)) : average;
+    const factor = 10 ** decimals;
+    return { value: Math.round(Math.min(max, Math.max(min, noisy)) * factor) / factor, suppressed: false };
+};
+
+// Tells clients which rules shaped the numbers they received
+const privacySummary = () => ({ minCohortSize: MIN_COHORT_SIZE, noise: NOISE_EPSILON > 0 });
+
+module.exports = {
+    MIN_COHORT_SIZE,
+    protectCount,
+    protectAverage,
+    privacySummary,
+};
@@ -0,0 +1,39 @@
+const jwt = require('jsonwebtoken');
+
+const VERIFY_EMAIL_PURPOSE = 'verify-email';
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+/**
+ * Signs a verification link token. The email is embedded so a link sent before
+ * an address change cannot verify the new address.
+ */
+const generateVerificationToken = (user) => jwt.sign(
+    { id: user._id, email: user.email, purpose: VERIFY_EMAIL_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h` }
+);
+
+/**
+ * @returns {{ id: string, email: string }} The token's claims.
+ * @throws {jwt.TokenExpiredError|jwt.JsonWebTokenError} When the token is expired or invalid.
+ */
+const verifyVerificationToken = (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== VERIFY_EMAIL_PURPOSE) {
+        throw new jwt.JsonWebTokenError('Wrong token purpose');
+    }
+    return decoded;
+};
+
+// The address's domain is the allowed domain or one of its subdomains (e.g. cse.srmap.edu.in)
+const isEmailInDomains = (email, domains) => {
+    const emailDomain = String(email).split('@').pop().toLowerCase();
+    return domains.some(domain => emailDomain === domain || emailDomain.endsWith(`.${domain}`));
+};
+
+module.exports = {
+    EMAIL_VERIFICATION_TTL_HOURS,
+    generateVerificationToken,
+    verifyVerificationToken,
+    isEmailInDomains,
+};
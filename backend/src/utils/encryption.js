@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// The master key never touches the database. It only wraps each user's data key,
+// so a database dump on its own is not enough to read encrypted content.
+// Set JOURNAL_MASTER_KEY to 32 random bytes, hex encoded (64 characters).
+const getMasterKey = () => {
+    const key = process.env.JOURNAL_MASTER_KEY;
+    if (!key || !/^[0-9a-fA-F]{64}$/.test(key)) {
+        throw new Error('JOURNAL_MASTER_KEY must be set to 64 hex characters');
+    }
+    return Buffer.from(key, 'hex');
+};
+
+/**
+ * Encrypts a UTF-8 string with AES-256-GCM.
+ * @param {string} plaintext - The text to encrypt.
+ * @param {Buffer} key - A 32 byte key.
+ * @param {string} [aad] - Additional authenticated data binding the ciphertext to its owner.
+ * @returns {{ iv: string, tag: string, data: string }} Base64-encoded parts.
+ */
+const encrypt = (plaintext, key, aad) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad));
+
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+};
+
+/**
+ * Decrypts a payload produced by `encrypt`. Throws if the data or AAD was tampered with.
+ * @param {{ iv: string, tag: string, data: string }} payload - The encrypted parts.
+ * @param {Buffer} key - The key used to encrypt.
+ * @param {string} [aad] - The same additional authenticated data used to encrypt.
+ * @returns {string} The plaintext.
+ */
+const decrypt = (payload, key, aad) => {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, 'base64'));
+    if (aad) decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(payload.data, 'base64')),
+        decipher.final(),
+    ]).toString('utf8');
+};
+
+// Creates a fresh per-user data key and returns it wrapped with the master key
+const generateWrappedKey = (userId) => {
+    const dataKey = crypto.randomBytes(32);
+    return JSON.stringify(encrypt(dataKey.toString('base64'), getMasterKey(), String(userId)));
+};
+
+// Unwraps a per-user data key stored on the user document
+const unwrapKey = (wrappedKey, userId) => {
+    const encoded = decrypt(JSON.parse(wrappedKey), getMasterKey(), String(userId));
+    return Buffer.from(encoded, 'base64');
+};
+
+module.exports = { encrypt, decrypt, generateWrappedKey, unwrapKey };
@@ -1,9 +1,17 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d', // The token will expire in 30 days
+// Access tokens are short-lived; clients renew them with their refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+/**
+ * Signs an access token for one session.
+ * @param {string} id - The user's id.
+ * @param {string} sessionId - The session (signed-in device) the token belongs to.
+ */
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
     });
 };
 
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
@@ -0,0 +1,30 @@
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+const UNLOCK_TOKEN_TTL_HOURS = 24;
+
+/**
+ * How long the nth consecutive lockout lasts: 15 minutes, then 30, 60 and so
+ * on, doubling up to a day. The count resets on the next successful login.
+ * @param {number} lockoutCount - 1 for the first lockout.
+ * @returns {number} Minutes.
+ */
+const lockoutMinutes = (lockoutCount) => Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** Math.max(lockoutCount - 1, 0),
+    LOCKOUT_MAX_MINUTES
+);
+
+const isLockedOut = (user) => Boolean(user.lockedUntil) && user.lockedUntil > new Date();
+
+// "15 minutes", "2 hours"
+const describeDuration = (minutes) => (minutes < 60
+    ? `${minutes} minute${minutes === 1 ? '' : 's'}`
+    : `${Math.round(minutes / 60)} hour${Math.round(minutes / 60) === 1 ? '' : 's'}`);
+
+module.exports = {
+    MAX_FAILED_LOGINS,
+    UNLOCK_TOKEN_TTL_HOURS,
+    lockoutMinutes,
+    isLockedOut,
+    describeDuration,
+};
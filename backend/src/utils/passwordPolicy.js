@@ -0,0 +1,29 @@
+const MIN_PASSWORD_LENGTH = 8;
+
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password123', '12345678', '123456789', 'qwerty123',
+    'iloveyou', 'welcome1', 'admin123', 'letmein1', 'mindwell', 'mindwell123',
+]);
+
+/**
+ * Checks a new password against the platform's strength rules.
+ * @param {string} password
+ * @returns {string|null} Why the password is too weak, or null when it is acceptable.
+ */
+const validatePasswordStrength = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password.length > 128) {
+        return 'Password must be at most 128 characters';
+    }
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/[0-9]/.test(password)) {
+        return 'Password must include an uppercase letter, a lowercase letter and a number';
+    }
+    if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+        return 'This password is too common. Please choose another';
+    }
+    return null;
+};
+
+module.exports = { validatePasswordStrength, MIN_PASSWORD_LENGTH };
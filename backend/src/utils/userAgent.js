@@ -0,0 +1,33 @@
+const BROWSERS = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+    ['Android', /Android/],
+    ['iPhone', /iPhone/],
+    ['iPad', /iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+];
+
+const firstMatch = (list, userAgent) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+/**
+ * Turns a User-Agent header into a short label such as "Chrome on Windows".
+ * @param {string} [userAgent]
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+    const browser = firstMatch(BROWSERS, userAgent);
+    const platform = firstMatch(PLATFORMS, userAgent);
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || 'Unknown device';
+};
+
+module.exports = { describeDevice };
@@ -0,0 +1,18 @@
+const { requiredText } = require('./common.js');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+const chatSchema = {
+    body: { message: requiredText('Message', MAX_MESSAGE_LENGTH) },
+};
+
+const historySchema = {
+    query: {
+        limit: {
+            optional: { options: { values: 'falsy' } },
+            isInt: { options: { min: 1 }, errorMessage: 'Limit must be a positive whole number' },
+        },
+    },
+};
+
+module.exports = { chatSchema, historySchema };
@@ -0,0 +1,11 @@
+const { optionalText, optionalDate } = require('./common.js');
+
+const analyticsFiltersSchema = {
+    query: {
+        from: optionalDate('From'),
+        to: optionalDate('To'),
+        university: optionalText('University', 50),
+    },
+};
+
+module.exports = { analyticsFiltersSchema };
@@ -0,0 +1,72 @@
+const { APPOINTMENT_STATUSES } = require('../models/Appointment.js');
+const { idParam, objectId, oneOf, requiredText, optionalText, pagination } = require('./common.js');
+
+const SESSION_TYPES = ['Online', 'In-Person'];
+
+const slotDate = {
+    isISO8601: { errorMessage: 'A valid appointment date is required' },
+};
+
+const createAppointmentSchema = {
+    body: {
+        counselorId: objectId('counselor'),
+        date: slotDate,
+        sessionType: oneOf('Session type', SESSION_TYPES, { optional: true }),
+    },
+};
+
+const listAppointmentsSchema = {
+    query: {
+        scope: oneOf('Scope', ['upcoming', 'past'], { optional: true }),
+    },
+};
+
+const listAllAppointmentsSchema = {
+    query: {
+        status: oneOf('Status', [...APPOINTMENT_STATUSES, 'all'], { optional: true }),
+        scope: oneOf('Scope', ['upcoming', 'past'], { optional: true }),
+        ...pagination,
+    },
+};
+
+const availabilitySchema = {
+    query: {
+        counselor: objectId('counselor'),
+        from: { isISO8601: { errorMessage: 'From must be a date' } },
+        to: { isISO8601: { errorMessage: 'To must be a date' } },
+    },
+};
+
+const appointmentIdSchema = {
+    params: idParam('appointment'),
+};
+
+const cancelSchema = {
+    params: idParam('appointment'),
+    body: { reason: requiredText('Cancellation reason', 500) },
+};
+
+// Declining and recording a no-show can carry an optional note to the student
+const statusNoteSchema = {
+    params: idParam('appointment'),
+    body: { reason: optionalText('Reason', 500) },
+};
+
+const rescheduleSchema = {
+    params: idParam('appointment'),
+    body: {
+        date: slotDate,
+        sessionType: oneOf('Session type', SESSION_TYPES, { optional: true }),
+    },
+};
+
+module.exports = {
+    createAppointmentSchema,
+    listAppointmentsSchema,
+    listAllAppointmentsSchema,
+    availabilitySchema,
+    appointmentIdSchema,
+    cancelSchema,
+    statusNoteSchema,
+    rescheduleSchema,
+};
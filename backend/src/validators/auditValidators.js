@@ -0,0 +1,22 @@
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../models/AuditLog.js');
+const { objectId, optionalText, oneOf, optionalDate, pagination } = require('./common.js');
+
+const auditFilters = {
+    actor: { optional: { options: { values: 'falsy' } }, ...objectId('actor') },
+    action: oneOf('Action', AUDIT_ACTIONS, { optional: true }),
+    targetType: oneOf('Target type', AUDIT_TARGET_TYPES, { optional: true }),
+    targetId: optionalText('Target', 100),
+    search: optionalText('Search', 100),
+    from: optionalDate('From'),
+    to: optionalDate('To'),
+};
+
+const listAuditLogsSchema = {
+    query: { ...auditFilters, ...pagination },
+};
+
+const exportAuditLogsSchema = {
+    query: auditFilters,
+};
+
+module.exports = { listAuditLogsSchema, exportAuditLogsSchema };
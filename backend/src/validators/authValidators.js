@@ -0,0 +1,82 @@
+const { ROLES } = require('../config/permissions.js');
+const { idParam, requiredText, optionalText, requiredSecret, oneOf, email } = require('./common.js');
+
+const registerSchema = {
+    body: {
+        name: requiredText('Name', 100),
+        email,
+        password: requiredSecret('Password'),
+        role: oneOf('Role', ROLES, { optional: true }),
+        invitationCode: optionalText('Invitation code', 32),
+    },
+};
+
+const loginSchema = {
+    body: {
+        email,
+        password: requiredSecret('Password'),
+    },
+};
+
+const forgotPasswordSchema = {
+    body: { email },
+};
+
+const resetPasswordSchema = {
+    body: {
+        token: requiredSecret('Reset token'),
+        password: requiredSecret('Password'),
+    },
+};
+
+const changePasswordSchema = {
+    body: {
+        currentPassword: requiredSecret('Current password'),
+        newPassword: requiredSecret('New password'),
+    },
+};
+
+const refreshSchema = {
+    body: { refreshToken: requiredSecret('Refresh token') },
+};
+
+const verifyEmailSchema = {
+    body: { token: requiredSecret('Verification token') },
+};
+
+const unlockSchema = {
+    body: { token: requiredSecret('Unlock token') },
+};
+
+const sessionIdSchema = {
+    params: idParam('session'),
+};
+
+const signupPolicySchema = {
+    body: {
+        restrictToDomains: {
+            optional: true,
+            isBoolean: { errorMessage: 'restrictToDomains must be true or false' },
+        },
+        allowedDomains: {
+            optional: true,
+            custom: {
+                options: value => Array.isArray(value) || typeof value === 'string',
+                errorMessage: 'Allowed domains must be a list or a comma-separated string',
+            },
+        },
+    },
+};
+
+module.exports = {
+    registerSchema,
+    loginSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    changePasswordSchema,
+    refreshSchema,
+    verifyEmailSchema,
+    unlockSchema,
+    sessionIdSchema,
+    signupPolicySchema,
+};
@@ -0,0 +1,81 @@
+// Building blocks for the express-validator schemas in this folder. Schemas
+// check shape and type at the edge; rules that need the database (ownership,
+// uniqueness, state transitions) stay in the controllers.
+
+const objectId = (label) => ({
+    isMongoId: { errorMessage: `Invalid ${label}` },
+});
+
+const idParam = (label = 'id') => ({ id: objectId(label) });
+
+const requiredText = (label, max) => ({
+    isString: { errorMessage: `${label} is required`, bail: true },
+    trim: true,
+    isLength: { options: { min: 1, max }, errorMessage: `${label} must be between 1 and ${max} characters` },
+});
+
+const optionalText = (label, max) => ({
+    optional: true,
+    isString: { errorMessage: `${label} must be text`, bail: true },
+    isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` },
+});
+
+// Links and image sources: an http(s) address or a path relative to the frontend.
+// Other schemes (javascript:, data:) and whitespace or control characters are refused.
+const optionalWebAddress = (label, max) => ({
+    ...optionalText(label, max),
+    matches: {
+        options: [/^(https?:\/\/|[^:/?#\s\\\x00-\x1f]*([/?#]|$))[^\s\\\x00-\x1f]*$/i],
+        errorMessage: `${label} must be an http(s) address or a relative path`,
+    },
+});
+
+const requiredSecret = (label) => ({
+    isString: { errorMessage: `${label} is required`, bail: true },
+    notEmpty: { errorMessage: `${label} is required` },
+});
+
+// Optional enums also accept an empty string, which filter dropdowns send for "any"
+const oneOf = (label, values, { optional = false } = {}) => ({
+    ...(optional && { optional: { options: { values: 'falsy' } } }),
+    isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(', ')}` },
+});
+
+const email = {
+    isEmail: { errorMessage: 'Please enter a valid email address' },
+};
+
+const optionalDate = (label) => ({
+    optional: { options: { values: 'falsy' } },
+    isISO8601: { errorMessage: `${label} must be a date` },
+});
+
+const optionalPositiveInt = (label) => ({
+    optional: { options: { values: 'falsy' } },
+    isInt: { options: { min: 1 }, errorMessage: `${label} must be a positive whole number` },
+});
+
+const pagination = {
+    page: optionalPositiveInt('Page'),
+    limit: optionalPositiveInt('Limit'),
+};
+
+// For endpoints that take no input in a location: any field sent there is rejected
+const noFields = {
+    '*': { custom: { options: () => false }, errorMessage: 'Unexpected field' },
+};
+
+module.exports = {
+    objectId,
+    idParam,
+    requiredText,
+    optionalText,
+    optionalWebAddress,
+    requiredSecret,
+    oneOf,
+    email,
+    optionalDate,
+    optionalPositiveInt,
+    pagination,
+    noFields,
+};
@@ -0,0 +1,65 @@
+const { idParam, objectId, requiredText, optionalText, requiredSecret, email } = require('./common.js');
+
+const languages = {
+    optional: true,
+    custom: {
+        options: value => Array.isArray(value) || typeof value === 'string',
+        errorMessage: 'Languages must be a list or a comma-separated string',
+    },
+};
+
+// Converted to a real boolean, so the string "false" does not read as true
+const onDuty = {
+    optional: true,
+    isBoolean: { errorMessage: 'onDuty must be true or false', bail: true },
+    toBoolean: { options: [true] },
+};
+
+// An empty value clears the supervisor
+const supervisor = {
+    optional: { options: { values: 'falsy' } },
+    ...objectId('supervisor'),
+};
+
+const listCounselorsSchema = {
+    query: { search: optionalText('Search', 100) },
+};
+
+const createCounselorSchema = {
+    body: {
+        name: requiredText('Name', 100),
+        email,
+        password: requiredSecret('Password'),
+        specialty: requiredText('Specialty', 100),
+        bio: optionalText('Bio', 2000),
+        languages,
+        photo: optionalText('Photo', 500),
+        onDuty,
+        supervisor,
+    },
+};
+
+const updateCounselorSchema = {
+    params: idParam('counselor'),
+    body: {
+        name: { optional: true, ...requiredText('Name', 100) },
+        email: { optional: true, ...email },
+        specialty: { optional: true, ...requiredText('Specialty', 100) },
+        bio: optionalText('Bio', 2000),
+        languages,
+        photo: optionalText('Photo', 500),
+        onDuty,
+        supervisor,
+    },
+};
+
+const counselorIdSchema = {
+    params: idParam('counselor'),
+};
+
+module.exports = {
+    listCounselorsSchema,
+    createCounselorSchema,
+    updateCounselorSchema,
+    counselorIdSchema,
+};
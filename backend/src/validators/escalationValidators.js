@@ -0,0 +1,28 @@
+const { idParam, requiredText, optionalText, oneOf } = require('./common.js');
+
+const listEscalationsSchema = {
+    query: {
+        status: oneOf('Status', ['open', 'acknowledged', 'resolved', 'active', 'all'], { optional: true }),
+    },
+};
+
+const escalationIdSchema = {
+    params: idParam('escalation'),
+};
+
+const acknowledgeSchema = {
+    params: idParam('escalation'),
+    body: { note: optionalText('Note', 2000) },
+};
+
+const noteSchema = {
+    params: idParam('escalation'),
+    body: { note: requiredText('Note', 2000) },
+};
+
+module.exports = {
+    listEscalationsSchema,
+    escalationIdSchema,
+    acknowledgeSchema,
+    noteSchema,
+};
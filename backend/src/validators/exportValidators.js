@@ -0,0 +1,16 @@
+const { idParam, noFields } = require('./common.js');
+
+const requestExportSchema = {
+    query: noFields,
+    body: noFields,
+};
+
+const listExportsSchema = {
+    query: noFields,
+};
+
+const exportIdSchema = {
+    params: idParam('export'),
+};
+
+module.exports = { requestExportSchema, listExportsSchema, exportIdSchema };
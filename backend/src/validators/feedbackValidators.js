@@ -0,0 +1,59 @@
+const { FEEDBACK_CATEGORIES, FEEDBACK_STATUSES } = require('../models/Feedback.js');
+const { idParam, requiredText, optionalText, oneOf, pagination } = require('./common.js');
+
+const FEEDBACK_TYPES = Object.keys(FEEDBACK_CATEGORIES);
+const ALL_CATEGORIES = Object.values(FEEDBACK_CATEGORIES).flat();
+
+const createFeedbackSchema = {
+    body: {
+        type: oneOf('Type', FEEDBACK_TYPES),
+        category: oneOf('Category', ALL_CATEGORIES),
+        subject: optionalText('Subject', 200),
+        message: requiredText('Message', 5000),
+        stepsToReproduce: optionalText('Steps to reproduce', 5000),
+    },
+};
+
+const listFeedbackSchema = {
+    query: {
+        type: oneOf('Type', [...FEEDBACK_TYPES, 'all'], { optional: true }),
+        status: oneOf('Status', [...FEEDBACK_STATUSES, 'all'], { optional: true }),
+        assignedTo: {
+            optional: { options: { values: 'falsy' } },
+            custom: {
+                options: value => ['me', 'unassigned', 'all'].includes(value) || /^[a-f\d]{24}$/i.test(value),
+                errorMessage: 'assignedTo must be me, unassigned, all or a staff member id',
+            },
+        },
+        ...pagination,
+    },
+};
+
+const feedbackIdSchema = {
+    params: idParam('feedback'),
+};
+
+const updateFeedbackSchema = {
+    params: idParam('feedback'),
+    body: {
+        status: oneOf('Status', FEEDBACK_STATUSES, { optional: true }),
+        // null or an empty string unassigns
+        assignedTo: {
+            optional: { options: { values: 'falsy' } },
+            isMongoId: { errorMessage: 'Invalid assignee' },
+        },
+    },
+};
+
+const noteSchema = {
+    params: idParam('feedback'),
+    body: { text: requiredText('Note', 2000) },
+};
+
+module.exports = {
+    createFeedbackSchema,
+    listFeedbackSchema,
+    feedbackIdSchema,
+    updateFeedbackSchema,
+    noteSchema,
+};
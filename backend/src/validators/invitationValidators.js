@@ -0,0 +1,33 @@
+const { INVITABLE_ROLES } = require('../models/Invitation.js');
+const { UNIVERSITIES } = require('../config/universities.js');
+const { idParam, oneOf } = require('./common.js');
+
+const MAX_TTL_DAYS = 30;
+
+const listInvitationsSchema = {
+    query: {
+        status: oneOf('Status', ['active', 'all'], { optional: true }),
+    },
+};
+
+const createInvitationSchema = {
+    body: {
+        role: oneOf('Role', INVITABLE_ROLES),
+        // A typo here would create a university admin who can see no students
+        university: oneOf('University', Object.keys(UNIVERSITIES), { optional: true }),
+        expiresInDays: {
+            optional: true,
+            isInt: { options: { min: 1, max: MAX_TTL_DAYS }, errorMessage: `Expiry must be between 1 and ${MAX_TTL_DAYS} days` },
+        },
+    },
+};
+
+const invitationIdSchema = {
+    params: idParam('invitation'),
+};
+
+module.exports = {
+    listInvitationsSchema,
+    createInvitationSchema,
+    invitationIdSchema,
+};
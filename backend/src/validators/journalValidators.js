@@ -0,0 +1,39 @@
+const { idParam, optionalText, pagination } = require('./common.js');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 20000;
+
+const entryBody = {
+    isString: { errorMessage: 'Entry is required', bail: true },
+    isLength: { options: { min: 1, max: MAX_BODY_LENGTH }, errorMessage: `Entry must be between 1 and ${MAX_BODY_LENGTH} characters` },
+};
+
+const createEntrySchema = {
+    body: {
+        title: optionalText('Title', MAX_TITLE_LENGTH),
+        body: entryBody,
+    },
+};
+
+const updateEntrySchema = {
+    params: idParam('journal entry'),
+    body: {
+        title: optionalText('Title', MAX_TITLE_LENGTH),
+        body: { optional: true, ...entryBody },
+    },
+};
+
+const listEntriesSchema = {
+    query: pagination,
+};
+
+const entryIdSchema = {
+    params: idParam('journal entry'),
+};
+
+module.exports = {
+    createEntrySchema,
+    updateEntrySchema,
+    listEntriesSchema,
+    entryIdSchema,
+};
@@ -0,0 +1,65 @@
+const { idParam, requiredText, optionalText, optionalDate, pagination } = require('./common.js');
+
+const moodValue = {
+    isInt: { options: { min: 1, max: 5 }, errorMessage: 'Mood value must be between 1 and 5' },
+};
+
+const tags = {
+    optional: true,
+    custom: {
+        options: value => Array.isArray(value) || typeof value === 'string',
+        errorMessage: 'Tags must be a list or a comma-separated string',
+    },
+};
+
+const createMoodSchema = {
+    body: {
+        mood: requiredText('Mood', 50),
+        value: moodValue,
+        notes: optionalText('Notes', 2000),
+        tags,
+        timestamp: optionalDate('Timestamp'),
+        clientInfo: { optional: true, isObject: { errorMessage: 'clientInfo must be an object' } },
+    },
+};
+
+const updateMoodSchema = {
+    params: idParam('mood entry'),
+    body: {
+        mood: { optional: true, ...requiredText('Mood', 50) },
+        value: { optional: true, ...moodValue },
+        notes: optionalText('Notes', 2000),
+        tags,
+    },
+};
+
+const listMoodSchema = {
+    query: {
+        from: optionalDate('From'),
+        to: optionalDate('To'),
+        tags: optionalText('Tags', 500),
+        ...pagination,
+    },
+};
+
+const moodHistorySchema = {
+    query: {
+        days: {
+            optional: true,
+            isInt: { options: { min: 1, max: 365 }, errorMessage: 'Days must be between 1 and 365' },
+        },
+        tz: optionalText('Timezone', 64),
+    },
+};
+
+const moodIdSchema = {
+    params: idParam('mood entry'),
+};
+
+module.exports = {
+    createMoodSchema,
+    updateMoodSchema,
+    listMoodSchema,
+    moodHistorySchema,
+    moodIdSchema,
+};
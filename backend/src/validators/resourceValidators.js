@@ -0,0 +1,46 @@
+const { RESOURCE_TYPES, RESOURCE_TOPICS } = require('../models/Resource.js');
+const { idParam, requiredText, optionalText, optionalWebAddress, oneOf } = require('./common.js');
+
+const resourceFields = {
+    title: requiredText('Title', 200),
+    type: oneOf('Type', RESOURCE_TYPES),
+    topic: oneOf('Topic', RESOURCE_TOPICS),
+    content: optionalText('Content', 20000),
+    // Thumbnails may be paths relative to the frontend, so relative paths are allowed too
+    videoUrl: optionalWebAddress('Video URL', 500),
+    link: optionalWebAddress('Link', 500),
+    thumbnail: optionalWebAddress('Thumbnail', 500),
+};
+
+// On update every field is optional, but any field sent must still be valid
+const partial = (fields) => Object.fromEntries(Object.entries(fields).map(([name, rules]) => (
+    [name, { optional: true, ...rules }]
+)));
+
+const listResourcesSchema = {
+    query: {
+        topic: oneOf('Topic', [...RESOURCE_TOPICS, 'all'], { optional: true }),
+        type: oneOf('Type', [...RESOURCE_TYPES, 'all'], { optional: true }),
+        search: optionalText('Search', 100),
+    },
+};
+
+const createResourceSchema = {
+    body: resourceFields,
+};
+
+const updateResourceSchema = {
+    params: idParam('resource'),
+    body: partial(resourceFields),
+};
+
+const resourceIdSchema = {
+    params: idParam('resource'),
+};
+
+module.exports = {
+    listResourcesSchema,
+    createResourceSchema,
+    updateResourceSchema,
+    resourceIdSchema,
+};
@@ -0,0 +1,37 @@
+const { idParam, objectId, optionalText } = require('./common.js');
+
+const instrumentCodeSchema = {
+    params: {
+        code: {
+            isString: true,
+            isLength: { options: { min: 1, max: 32 }, errorMessage: 'Invalid questionnaire code' },
+        },
+    },
+};
+
+const createSubmissionSchema = {
+    body: {
+        instrumentId: objectId('questionnaire'),
+        answers: {
+            isArray: { options: { min: 1, max: 100 }, errorMessage: 'Please answer every question' },
+        },
+        'answers.*': {
+            isNumeric: { errorMessage: 'Answers must be numbers' },
+        },
+    },
+};
+
+const listSubmissionsSchema = {
+    query: { instrument: optionalText('Instrument', 32) },
+};
+
+const submissionIdSchema = {
+    params: idParam('submission'),
+};
+
+module.exports = {
+    instrumentCodeSchema,
+    createSubmissionSchema,
+    listSubmissionsSchema,
+    submissionIdSchema,
+};
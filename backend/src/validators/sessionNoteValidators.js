@@ -0,0 +1,53 @@
+const { objectId, requiredText, optionalText, oneOf } = require('./common.js');
+
+const MAX_HOMEWORK_TASKS = 20;
+
+// Notes are addressed by their appointment, which has at most one
+const appointmentIdParam = { appointmentId: objectId('appointment') };
+
+// Trimmed here so an unchanged section isn't mistaken for an edit
+const soapSection = (label) => ({ ...optionalText(label, 10000), trim: true });
+
+const listSessionNotesSchema = {
+    query: {
+        scope: oneOf('Scope', ['mine', 'supervised'], { optional: true }),
+    },
+};
+
+const sessionNoteIdSchema = {
+    params: appointmentIdParam,
+};
+
+const saveSessionNoteSchema = {
+    params: appointmentIdParam,
+    body: {
+        subjective: soapSection('Subjective'),
+        objective: soapSection('Objective'),
+        assessment: soapSection('Assessment'),
+        plan: soapSection('Plan'),
+    },
+};
+
+const studentSummarySchema = {
+    params: appointmentIdParam,
+    body: {
+        summary: requiredText('Summary', 5000),
+        homework: {
+            optional: true,
+            custom: {
+                options: value => Array.isArray(value)
+                    && value.length <= MAX_HOMEWORK_TASKS
+                    && value.every(task => typeof task === 'string' && task.length <= 500),
+                errorMessage: `Homework must be a list of at most ${MAX_HOMEWORK_TASKS} tasks of up to 500 characters`,
+            },
+        },
+        nextSteps: optionalText('Next steps', 2000),
+    },
+};
+
+module.exports = {
+    listSessionNotesSchema,
+    sessionNoteIdSchema,
+    saveSessionNoteSchema,
+    studentSummarySchema,
+};
@@ -0,0 +1,51 @@
+const { ROLES } = require('../config/permissions.js');
+const { UNIVERSITIES } = require('../config/universities.js');
+const { idParam, requiredText, optionalText, requiredSecret, oneOf, pagination } = require('./common.js');
+
+const updateProfileSchema = {
+    body: {
+        name: { optional: true, ...requiredText('Name', 100) },
+        university: oneOf('University', Object.keys(UNIVERSITIES), { optional: true }),
+        registrationNumber: optionalText('Registration number', 32),
+    },
+};
+
+const deletionSchema = {
+    body: { password: requiredSecret('Password') },
+};
+
+const listUsersSchema = {
+    query: {
+        search: optionalText('Search', 100),
+        university: optionalText('University', 50),
+        role: oneOf('Role', [...ROLES, 'all'], { optional: true }),
+        status: oneOf('Status', ['active', 'suspended', 'all'], { optional: true }),
+        ...pagination,
+    },
+};
+
+const userIdSchema = {
+    params: idParam('user'),
+};
+
+const moderationSchema = {
+    params: idParam('user'),
+    body: { reason: requiredText('Reason', 1000) },
+};
+
+const changeRoleSchema = {
+    params: idParam('user'),
+    body: {
+        role: oneOf('Role', ROLES),
+        reason: requiredText('Reason', 1000),
+    },
+};
+
+module.exports = {
+    updateProfileSchema,
+    deletionSchema,
+    listUsersSchema,
+    userIdSchema,
+    moderationSchema,
+    changeRoleSchema,
+};
@@ -15,10 +15,18 @@ document.addEventListener('DOMContentLoaded', () => {
         renderMoodTrendsChart(document.getElementById('moodTrendsChart'));
     }
 
+    if (document.getElementById('analytics-filters')) { // Analytics page
+        setupAnalyticsPage();
+    }
+
     if (document.getElementById('user-table-body')) { // Manage Users page
         setupManageUsersPage();
     }
 
+    if (document.getElementById('signup-policy-form')) { // Manage Users page
+        setupSignupPolicyForm();
+    }
+
     if (document.getElementById('counselor-table-body')) { // Manage Counselors page
         setupManageCounselorsPage();
     }
@@ -27,9 +35,31 @@ document.addEventListener('DOMContentLoaded', () => {
         setupManageResourcesPage();
     }
     
+    if (document.getElementById('escalation-table-body')) { // Escalations page
+        setupEscalationsPage();
+    }
+
+    if (document.getElementById('feedback-table-body')) { // Feedback Inbox page
+        setupFeedbackInboxPage();
+    }
+
+    if (document.getElementById('invitation-table-body')) { // Invitations page
+        setupInvitationsPage();
+    }
+
+    if (document.getElementById('audit-table-body')) { // Audit Log page
+        setupAuditLogPage();
+    }
+
+    if (document.getElementById('sessions-table-body')) { // My Sessions page
+        setupCounselorSessionsPage();
+    }
+
     if (document.getElementById('admin-profile-form')) { // Admin Profile page
         setupAdminProfilePage();
     }
+
+    setupLogoutLinks();
 });
 
 // --- NOTIFICATION FUNCTION ---
@@ -110,22 +140,10 @@ function setupAdminProfilePage() {
 // --- MANAGE COUNSELORS PAGE FUNCTIONS ---
 
 function setupManageCounselorsPage() {
-    const manageBtn = document.getElementById('manage-counselors-btn');
-    const accessCodeOverlay = document.getElementById('access-code-overlay');
-    const accessCodeModal = document.getElementById('access-code-modal');
-    const accessCodeForm = document.getElementById('access-code-form');
-    const accessCodeInput = document.getElementById('access-code-input');
-    const accessError = document.getElementById('access-error');
+    const addCounselorBtn = document.getElementById('add-counselor-btn');
     const searchInput = document.getElementById('counselor-search');
 
-    // In a real app, this would be fetched from a database. We use localStorage to persist changes.
-    let counselors = JSON.parse(localStorage.getItem('mindwellCounselors')) || [
-        { id: 1, name: 'Dr. Jane Doe', specialty: 'Anxiety & Stress', bio: 'Specializes in anxiety, stress management, and academic pressure.', isDefault: true },
-        { id: 2, name: 'Dr. Richard Roe', specialty: 'Depression & Resilience', bio: 'Focuses on depression, relationship challenges, and building resilience.', isDefault: true },
-        { id: 3, name: 'Dr. Susan Smith', specialty: 'Mindfulness & Self-Esteem', bio: 'Expertise in mindfulness, self-esteem, and navigating life transitions.', isDefault: true }
-    ];
-
-    let managementEnabled = false;
+    let counselors = [];
 
     const renderCounselors = () => {
         const tableBody = document.getElementById('counselor-table-body');
@@ -138,70 +156,35 @@ function setupManageCounselorsPage() {
         );
 
         if (filteredCounselors.length === 0) {
-            tableBody.innerHTML = `<tr><td colspan="3" class="text-center p-8 text-stone-500">No counselors found.</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="4" class="text-center p-8 text-stone-500">No counselors found.</td></tr>`;
             return;
         }
 
         filteredCounselors.forEach(counselor => {
             const row = document.createElement('tr');
             row.className = 'border-b hover:bg-stone-50';
-            
-            const actionsHtml = counselor.isDefault 
-                ? `<button class="text-gray-400 cursor-not-allowed mr-4" disabled>Edit</button>
-                   <button class="text-gray-400 cursor-not-allowed" disabled>Delete</button>`
-                : `<button class="edit-btn text-blue-500 hover:text-blue-700 font-semibold mr-4" data-id="${counselor.id}">Edit</button>
-                   <button class="delete-btn text-red-500 hover:text-red-700 font-semibold" data-id="${counselor.id}">Delete</button>`;
-
             row.innerHTML = `
-                <td class="p-4">${counselor.name}</td>
+                <td class="p-4">${counselor.name}${counselor.onDuty ? ' <span class="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-emerald-100 text-emerald-700">On duty</span>' : ''}</td>
                 <td class="p-4">${counselor.specialty}</td>
-                <td class="p-4 text-right actions-cell ${managementEnabled ? '' : 'hidden'}">
-                    ${actionsHtml}
+                <td class="p-4">${counselor.languages.join(', ')}</td>
+                <td class="p-4 text-right">
+                    <button class="edit-btn text-blue-500 hover:text-blue-700 font-semibold mr-4" data-id="${counselor._id}">Edit</button>
+                    <button class="delete-btn text-red-500 hover:text-red-700 font-semibold" data-id="${counselor._id}">Delete</button>
                 </td>
             `;
             tableBody.appendChild(row);
         });
     };
 
-    const toggleManagementFeatures = (enable) => {
-        managementEnabled = enable;
-        const actionsHeader = document.querySelector('.actions-header');
-        const manageBtnContainer = document.getElementById('manage-counselors-btn');
-        const manageBtnText = manageBtnContainer.querySelector('span');
-
-        if (enable) {
-            actionsHeader.classList.remove('hidden');
-            manageBtnContainer.id = 'add-counselor-btn'; // Change ID for event handling
-            manageBtnText.textContent = 'Add New Counselor';
-            manageBtnContainer.classList.remove('bg-stone-600', 'hover:bg-stone-700');
-            manageBtnContainer.classList.add('bg-orange-500', 'hover:bg-orange-600');
-            
-            // Re-bind the click event to the new ID
-            document.getElementById('add-counselor-btn').addEventListener('click', () => openCounselorModal());
+    const loadCounselors = async () => {
+        try {
+            counselors = await apiRequest('/counselors');
+            renderCounselors();
+        } catch (error) {
+            showNotification(error.message, 'error');
         }
-        renderCounselors(); // Re-render to show/hide action buttons
     };
 
-    manageBtn.addEventListener('click', () => {
-        if (!managementEnabled) {
-            accessCodeOverlay.classList.remove('hidden');
-            accessCodeModal.classList.remove('hidden');
-        }
-    });
-
-    accessCodeForm.addEventListener('submit', (e) => {
-        e.preventDefault();
-        if (accessCodeInput.value === '1105') {
-            accessCodeOverlay.classList.add('hidden');
-            accessCodeModal.classList.add('hidden');
-            accessError.classList.add('hidden');
-            accessCodeInput.value = '';
-            toggleManagementFeatures(true);
-        } else {
-            accessError.classList.remove('hidden');
-        }
-    });
-    
     searchInput.addEventListener('input', renderCounselors);
 
     // Modal Logic
@@ -210,23 +193,51 @@ function setupManageCounselorsPage() {
     const closeModalBtn = document.getElementById('close-modal-btn');
     const counselorForm = document.getElementById('counselor-form');
     const modalTitle = document.getElementById('modal-title');
+    const passwordField = document.getElementById('counselor-password-field');
+    const passwordInput = document.getElementById('counselor-password');
     const deleteConfirmModal = document.getElementById('delete-confirm-modal');
     const deleteConfirmOverlay = document.getElementById('delete-confirm-modal-overlay');
     const cancelDeleteBtn = document.getElementById('cancel-delete-btn');
     const confirmDeleteBtn = document.getElementById('confirm-delete-btn');
     let counselorToDeleteId = null;
 
+    // Any other counselor can supervise; names go in as text
+    const fillSupervisorOptions = (counselor = null) => {
+        const select = document.getElementById('counselor-supervisor');
+        select.innerHTML = '<option value="">None</option>';
+        counselors
+            .filter(other => !counselor || other._id !== counselor._id)
+            .forEach(other => {
+                const option = document.createElement('option');
+                option.value = other._id;
+                option.textContent = other.name;
+                select.appendChild(option);
+            });
+        select.value = (counselor && counselor.supervisor) || '';
+    };
+
     const openCounselorModal = (counselor = null) => {
         counselorForm.reset();
         if (counselor) {
             modalTitle.textContent = 'Edit Counselor';
-            document.getElementById('counselor-id').value = counselor.id;
+            document.getElementById('counselor-id').value = counselor._id;
             document.getElementById('counselor-name').value = counselor.name;
+            document.getElementById('counselor-email').value = counselor.email;
             document.getElementById('counselor-specialty').value = counselor.specialty;
-            document.getElementById('counselor-bio').value = counselor.bio;
+            document.getElementById('counselor-bio').value = counselor.bio || '';
+            document.getElementById('counselor-languages').value = counselor.languages.join(', ');
+            document.getElementById('counselor-photo').value = counselor.photo || '';
+            document.getElementById('counselor-on-duty').checked = Boolean(counselor.onDuty);
+            fillSupervisorOptions(counselor);
+            // Existing counselors manage their own password
+            passwordField.classList.add('hidden');
+            passwordInput.required = false;
         } else {
             modalTitle.textContent = 'Add New Counselor';
             document.getElementById('counselor-id').value = '';
+            fillSupervisorOptions();
+            passwordField.classList.remove('hidden');
+            passwordInput.required = true;
         }
         modalOverlay.classList.remove('hidden');
         modal.classList.remove('hidden');
@@ -237,44 +248,52 @@ function setupManageCounselorsPage() {
         modal.classList.add('hidden');
     };
 
+    addCounselorBtn.addEventListener('click', () => openCounselorModal());
     closeModalBtn.addEventListener('click', closeCounselorModal);
     modalOverlay.addEventListener('click', closeCounselorModal);
 
-    counselorForm.addEventListener('submit', (e) => {
+    counselorForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const id = document.getElementById('counselor-id').value;
-        const newCounselor = {
-            id: id ? parseInt(id) : Date.now(),
+        const counselorData = {
             name: document.getElementById('counselor-name').value,
+            email: document.getElementById('counselor-email').value,
             specialty: document.getElementById('counselor-specialty').value,
             bio: document.getElementById('counselor-bio').value,
-            isDefault: false // New counselors are never default
+            languages: document.getElementById('counselor-languages').value,
+            photo: document.getElementById('counselor-photo').value,
+            onDuty: document.getElementById('counselor-on-duty').checked,
+            supervisor: document.getElementById('counselor-supervisor').value
         };
 
-        if (id) {
-            counselors = counselors.map(c => c.id === newCounselor.id ? newCounselor : c);
-        } else {
-            counselors.push(newCounselor);
+        try {
+            if (id) {
+                await apiRequest(`/counselors/${id}`, { method: 'PUT', body: counselorData });
+                showNotification('Counselor updated.', 'success');
+            } else {
+                counselorData.password = passwordInput.value;
+                await apiRequest('/counselors', { method: 'POST', body: counselorData });
+                showNotification('Counselor account created.', 'success');
+            }
+            closeCounselorModal();
+            loadCounselors();
+        } catch (error) {
+            showNotification(error.message, 'error');
         }
-        localStorage.setItem('mindwellCounselors', JSON.stringify(counselors));
-        renderCounselors();
-        closeCounselorModal();
     });
 
     document.getElementById('counselor-table-body').addEventListener('click', (e) => {
         if (e.target.classList.contains('edit-btn')) {
-            const id = parseInt(e.target.dataset.id);
-            const counselor = counselors.find(c => c.id === id);
-            if (counselor && !counselor.isDefault) {
+            const counselor = counselors.find(c => c._id === e.target.dataset.id);
+            if (counselor) {
                 openCounselorModal(counselor);
             }
         }
         if (e.target.classList.contains('delete-btn')) {
-            const id = parseInt(e.target.dataset.id);
-            const counselor = counselors.find(c => c.id === id);
-            if (counselor && !counselor.isDefault) {
-                counselorToDeleteId = id;
-                document.getElementById('delete-confirm-text').textContent = `This will permanently delete the profile for ${counselor.name}.`;
+            const counselor = counselors.find(c => c._id === e.target.dataset.id);
+            if (counselor) {
+                counselorToDeleteId = counselor._id;
+                document.getElementById('delete-confirm-text').textContent = `This will permanently delete the account for ${counselor.name}.`;
                 deleteConfirmModal.classList.remove('hidden');
                 deleteConfirmOverlay.classList.remove('hidden');
             }
@@ -286,15 +305,19 @@ function setupManageCounselorsPage() {
         deleteConfirmOverlay.classList.add('hidden');
     });
 
-    confirmDeleteBtn.addEventListener('click', () => {
-        counselors = counselors.filter(c => c.id !== counselorToDeleteId);
-        localStorage.setItem('mindwellCounselors', JSON.stringify(counselors));
-        renderCounselors();
+    confirmDeleteBtn.addEventListener('click', async () => {
         deleteConfirmModal.classList.add('hidden');
         deleteConfirmOverlay.classList.add('hidden');
+        try {
+            await apiRequest(`/counselors/${counselorToDeleteId}`, { method: 'DELETE' });
+            showNotification('Counselor removed.', 'success');
+            loadCounselors();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
     });
 
-    renderCounselors(); // Initial render
+    loadCounselors(); // Initial render
 }
 
 
@@ -314,11 +337,16 @@ function setupManageResourcesPage() {
     const confirmDeleteBtn = document.getElementById('confirm-delete-btn');
     let resourceToDeleteId = null;
 
-    let resources = JSON.parse(localStorage.getItem('mindwellResources')) || [
-        { id: 1, title: '5-Minute Breathing Meditation', type: 'meditation', topic: 'breathe', link: 'meditation.html', img: 'https://placehold.co/600x400/a2d2ff/FFFFFF?text=Meditation' },
-        { id: 2, title: 'Understanding Anxiety', type: 'article', topic: 'anxiety', link: '#', img: 'https://placehold.co/600x400/ffc09f/FFFFFF?text=Article' },
-        { id: 3, title: 'Tips for Better Sleep', type: 'video', topic: 'sleep', link: '#', img: 'https://placehold.co/600x400/fcf5c7/FFFFFF?text=Video' },
-    ];
+    let resources = [];
+
+    const loadResources = async () => {
+        try {
+            resources = await apiRequest('/resources');
+            renderResources();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
 
     const renderResources = () => {
         const tableBody = document.getElementById('resource-table-body');
@@ -339,14 +367,16 @@ function setupManageResourcesPage() {
             const row = document.createElement('tr');
             row.className = 'border-b hover:bg-stone-50';
             row.innerHTML = `
-                <td class="p-4 font-semibold">${resource.title}</td>
+                <td class="p-4 font-semibold"></td>
                 <td class="p-4 capitalize">${resource.type}</td>
                 <td class="p-4 capitalize">${resource.topic}</td>
                 <td class="p-4 text-right">
-                    <button class="edit-btn text-blue-500 hover:text-blue-700 font-semibold mr-4" data-id="${resource.id}">Edit</button>
-                    <button class="delete-btn text-red-500 hover:text-red-700 font-semibold" data-id="${resource.id}">Delete</button>
+                    <button class="edit-btn text-blue-500 hover:text-blue-700 font-semibold mr-4" data-id="${resource._id}">Edit</button>
+                    <button class="delete-btn text-red-500 hover:text-red-700 font-semibold" data-id="${resource._id}">Delete</button>
                 </td>
             `;
+            // Titles are free text, so they never go through innerHTML
+            row.firstElementChild.textContent = resource.title;
             tableBody.appendChild(row);
         });
     };
@@ -355,12 +385,12 @@ function setupManageResourcesPage() {
         resourceForm.reset();
         if (resource) {
             modalTitle.textContent = 'Edit Resource';
-            document.getElementById('resource-id').value = resource.id;
+            document.getElementById('resource-id').value = resource._id;
             document.getElementById('resource-title').value = resource.title;
             document.getElementById('resource-type').value = resource.type;
             document.getElementById('resource-topic').value = resource.topic;
-            document.getElementById('resource-content').value = resource.link;
-            document.getElementById('resource-img').value = resource.img;
+            document.getElementById('resource-content').value = resource.link || resource.videoUrl || resource.content || '';
+            document.getElementById('resource-img').value = resource.thumbnail || '';
         } else {
             modalTitle.textContent = 'Add New Resource';
             document.getElementById('resource-id').value = '';
@@ -378,37 +408,44 @@ function setupManageResourcesPage() {
     closeModalBtn.addEventListener('click', closeModal);
     modalOverlay.addEventListener('click', closeModal);
 
-    resourceForm.addEventListener('submit', (e) => {
+    resourceForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const id = document.getElementById('resource-id').value;
-        const newResource = {
-            id: id ? parseInt(id) : Date.now(),
+        const contentSource = document.getElementById('resource-content').value.trim();
+        // URLs and in-app pages become the card link; anything else (e.g. an embed code) is stored as content
+        const isLink = /^(https?:\/\/|\/|[\w-]+\.html)/.test(contentSource);
+        const resourceData = {
             title: document.getElementById('resource-title').value,
             type: document.getElementById('resource-type').value,
             topic: document.getElementById('resource-topic').value,
-            link: document.getElementById('resource-content').value,
-            img: document.getElementById('resource-img').value
+            link: isLink ? contentSource : '',
+            content: isLink ? '' : contentSource,
+            thumbnail: document.getElementById('resource-img').value
         };
 
-        if (id) {
-            resources = resources.map(res => res.id === newResource.id ? newResource : res);
-        } else {
-            resources.push(newResource);
+        try {
+            if (id) {
+                await apiRequest(`/resources/${id}`, { method: 'PUT', body: resourceData });
+                showNotification('Resource updated.', 'success');
+            } else {
+                await apiRequest('/resources', { method: 'POST', body: resourceData });
+                showNotification('Resource added.', 'success');
+            }
+            closeModal();
+            loadResources();
+        } catch (error) {
+            showNotification(error.message, 'error');
         }
-        localStorage.setItem('mindwellResources', JSON.stringify(resources));
-        renderResources();
-        closeModal();
     });
 
     document.getElementById('resource-table-body').addEventListener('click', (e) => {
         if (e.target.classList.contains('edit-btn')) {
-            const id = parseInt(e.target.dataset.id);
-            const resource = resources.find(res => res.id === id);
+            const resource = resources.find(res => res._id === e.target.dataset.id);
             openModal(resource);
         }
         if (e.target.classList.contains('delete-btn')) {
-            resourceToDeleteId = parseInt(e.target.dataset.id);
-            const resource = resources.find(res => res.id === resourceToDeleteId);
+            resourceToDeleteId = e.target.dataset.id;
+            const resource = resources.find(res => res._id === resourceToDeleteId);
             document.getElementById('delete-confirm-text').textContent = `This will permanently delete the resource: "${resource.title}".`;
             deleteConfirmModal.classList.remove('hidden');
             deleteConfirmOverlay.classList.remove('hidden');
@@ -420,79 +457,1042 @@ function setupManageResourcesPage() {
         deleteConfirmOverlay.classList.add('hidden');
     });
 
-    confirmDeleteBtn.addEventListener('click', () => {
-        resources = resources.filter(res => res.id !== resourceToDeleteId);
-        localStorage.setItem('mindwellResources', JSON.stringify(resources));
-        renderResources();
+    confirmDeleteBtn.addEventListener('click', async () => {
         deleteConfirmModal.classList.add('hidden');
         deleteConfirmOverlay.classList.add('hidden');
+        try {
+            await apiRequest(`/resources/${resourceToDeleteId}`, { method: 'DELETE' });
+            showNotification('Resource removed.', 'success');
+            loadResources();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
     });
     
     searchInput.addEventListener('input', renderResources);
 
-    renderResources();
+    loadResources();
+}
+
+
+// --- ESCALATIONS PAGE FUNCTIONS ---
+
+const ESCALATION_SOURCE_LABELS = {
+    'ai-chat': 'AI chat',
+    'journal': 'Journal',
+    'mood-note': 'Mood note',
+    'feedback': 'Feedback',
+    'screening': 'Screening'
+};
+
+const ESCALATION_STATUS_STYLES = {
+    open: 'bg-red-100 text-red-700',
+    acknowledged: 'bg-amber-100 text-amber-700',
+    resolved: 'bg-emerald-100 text-emerald-700'
+};
+
+function setupEscalationsPage() {
+    const statusFilter = document.getElementById('escalation-status-filter');
+    const tableBody = document.getElementById('escalation-table-body');
+    const modalOverlay = document.getElementById('escalation-modal-overlay');
+    const modal = document.getElementById('escalation-modal');
+    const noteInput = document.getElementById('escalation-note');
+    const acknowledgeBtn = document.getElementById('acknowledge-escalation-btn');
+    const resolveBtn = document.getElementById('resolve-escalation-btn');
+
+    let currentEscalation = null;
+
+    const sourcesOf = (escalation) => [...new Set(escalation.detections.map(d => ESCALATION_SOURCE_LABELS[d.source]))].join(', ');
+
+    const loadEscalations = async () => {
+        try {
+            const escalations = await apiRequest(`/escalations?status=${statusFilter.value}`);
+            tableBody.innerHTML = '';
+
+            if (escalations.length === 0) {
+                tableBody.innerHTML = `<tr><td colspan="6" class="text-center p-8 text-stone-500">No escalations to show.</td></tr>`;
+                return;
+            }
+
+            escalations.forEach(escalation => {
+                const row = document.createElement('tr');
+                row.className = 'border-b hover:bg-stone-50';
+                row.innerHTML = `
+                    <td class="p-4">${escalation.student ? escalation.student.name : 'Deleted account'}</td>
+                    <td class="p-4 font-semibold ${escalation.severity === 'high' ? 'text-red-600' : 'text-amber-600'}">${escalation.severity}</td>
+                    <td class="p-4">${sourcesOf(escalation)}</td>
+                    <td class="p-4"><span class="px-2 py-1 text-xs font-semibold rounded-full ${ESCALATION_STATUS_STYLES[escalation.status]}">${escalation.status}</span></td>
+                    <td class="p-4">${new Date(escalation.createdAt).toLocaleString()}</td>
+                    <td class="p-4">
+                        <button class="view-btn text-blue-500 hover:text-blue-700 font-semibold" data-id="${escalation._id}">View</button>
+                    </td>
+                `;
+                tableBody.appendChild(row);
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const renderEscalationDetail = (escalation) => {
+        currentEscalation = escalation;
+        const student = escalation.student;
+
+        document.getElementById('escalation-summary').innerHTML = `
+            <p><span class="font-semibold">Student:</span> ${student ? `${student.name} (${student.email})` : 'Deleted account'}</p>
+            <p><span class="font-semibold">Severity:</span> ${escalation.severity}</p>
+            <p><span class="font-semibold">Status:</span> ${escalation.status}</p>
+            <p><span class="font-semibold">Flagged in:</span> ${sourcesOf(escalation)}</p>
+        `;
+
+        const trail = document.getElementById('escalation-audit-trail');
+        trail.innerHTML = '';
+        escalation.auditTrail.slice().reverse().forEach(event => {
+            const item = document.createElement('li');
+            const actor = event.actor ? event.actor.name : 'System';
+            item.textContent = `${new Date(event.at).toLocaleString()} - ${actor}: ${event.action}${event.note ? ` - ${event.note}` : ''}`;
+            trail.appendChild(item);
+        });
+
+        const isResolved = escalation.status === 'resolved';
+        document.getElementById('escalation-actions').classList.toggle('hidden', isResolved);
+        acknowledgeBtn.classList.toggle('hidden', escalation.status !== 'open');
+        resolveBtn.classList.toggle('hidden', isResolved);
+    };
+
+    const openEscalation = async (id) => {
+        try {
+            renderEscalationDetail(await apiRequest(`/escalations/${id}`));
+            noteInput.value = '';
+            modalOverlay.classList.remove('hidden');
+            modal.classList.remove('hidden');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const closeEscalationModal = () => {
+        modalOverlay.classList.add('hidden');
+        modal.classList.add('hidden');
+        currentEscalation = null;
+    };
+
+    // Runs an action on the open escalation and refreshes both the modal and the table
+    const updateEscalation = async (endpoint, method, successMessage) => {
+        try {
+            const updated = await apiRequest(`/escalations/${currentEscalation._id}/${endpoint}`, {
+                method,
+                body: { note: noteInput.value }
+            });
+            noteInput.value = '';
+            renderEscalationDetail(updated);
+            showNotification(successMessage, 'success');
+            loadEscalations();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    tableBody.addEventListener('click', (e) => {
+        if (e.target.classList.contains('view-btn')) {
+            openEscalation(e.target.dataset.id);
+        }
+    });
+
+    statusFilter.addEventListener('change', loadEscalations);
+    document.getElementById('close-escalation-modal-btn').addEventListener('click', closeEscalationModal);
+    modalOverlay.addEventListener('click', closeEscalationModal);
+    document.getElementById('add-escalation-note-btn').addEventListener('click', () => updateEscalation('notes', 'POST', 'Note added.'));
+    acknowledgeBtn.addEventListener('click', () => updateEscalation('acknowledge', 'PUT', 'Escalation acknowledged.'));
+    resolveBtn.addEventListener('click', () => updateEscalation('resolve', 'PUT', 'Escalation resolved.'));
+
+    loadEscalations();
+}
+
+// --- FEEDBACK INBOX PAGE FUNCTIONS ---
+
+const FEEDBACK_STATUS_STYLES = {
+    new: 'bg-blue-100 text-blue-700',
+    read: 'bg-amber-100 text-amber-700',
+    resolved: 'bg-emerald-100 text-emerald-700'
+};
+
+// Turns category slugs such as 'login-issue' into 'Login issue'
+const formatCategory = (category) => category.charAt(0).toUpperCase() + category.slice(1).replace(/-/g, ' ');
+
+function setupFeedbackInboxPage() {
+    const typeFilter = document.getElementById('feedback-type-filter');
+    const statusFilter = document.getElementById('feedback-status-filter');
+    const assigneeFilter = document.getElementById('feedback-assignee-filter');
+    const tableBody = document.getElementById('feedback-table-body');
+    const prevBtn = document.getElementById('feedback-prev-page');
+    const nextBtn = document.getElementById('feedback-next-page');
+    const modalOverlay = document.getElementById('feedback-modal-overlay');
+    const modal = document.getElementById('feedback-modal');
+    const statusSelect = document.getElementById('feedback-status');
+    const assigneeSelect = document.getElementById('feedback-assignee');
+    const noteInput = document.getElementById('feedback-note-input');
+
+    let page = 1;
+    let currentFeedback = null;
+
+    const loadFeedback = async () => {
+        const params = new URLSearchParams({
+            type: typeFilter.value,
+            status: statusFilter.value,
+            assignedTo: assigneeFilter.value,
+            page
+        });
+
+        try {
+            const result = await apiRequest(`/feedback?${params}`);
+            tableBody.innerHTML = '';
+
+            if (result.entries.length === 0) {
+                tableBody.innerHTML = `<tr><td colspan="6" class="text-center p-8 text-stone-500">No feedback matches these filters.</td></tr>`;
+            }
+
+            result.entries.forEach(feedback => {
+                const row = document.createElement('tr');
+                row.className = 'border-b hover:bg-stone-50 cursor-pointer';
+                row.dataset.id = feedback._id;
+                row.innerHTML = `
+                    <td class="p-4">${feedback.type === 'problem' ? 'Problem' : 'Feedback'}</td>
+                    <td class="p-4"></td>
+                    <td class="p-4">${feedback.user ? feedback.user.name : 'Deleted account'}</td>
+                    <td class="p-4">${feedback.assignedTo ? feedback.assignedTo.name : '<span class="text-stone-400">Unassigned</span>'}</td>
+                    <td class="p-4"><span class="px-2 py-1 text-xs font-semibold rounded-full ${FEEDBACK_STATUS_STYLES[feedback.status]}">${feedback.status}</span></td>
+                    <td class="p-4">${new Date(feedback.createdAt).toLocaleDateString()}</td>
+                `;
+                // Free text from students is never inserted as HTML
+                row.children[1].textContent = feedback.subject || feedback.message.slice(0, 80);
+                tableBody.appendChild(row);
+            });
+
+            page = result.page;
+            document.getElementById('feedback-page-info').textContent = `Page ${result.page} of ${Math.max(result.totalPages, 1)}`;
+            prevBtn.disabled = result.page <= 1;
+            nextBtn.disabled = result.page >= result.totalPages;
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const loadAssignees = async () => {
+        try {
+            const assignees = await apiRequest('/feedback/assignees');
+            assignees.forEach(assignee => {
+                const option = document.createElement('option');
+                option.value = assignee._id;
+                option.textContent = assignee.name;
+                assigneeSelect.appendChild(option);
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const renderFeedbackDetail = (feedback) => {
+        currentFeedback = feedback;
+        document.getElementById('feedback-modal-title').textContent = `${feedback.type === 'problem' ? 'Problem Report' : 'Feedback'}: ${formatCategory(feedback.category)}`;
+
+        const detail = document.getElementById('feedback-detail');
+        detail.innerHTML = '';
+        const addLine = (label, text) => {
+            if (!text) return;
+            const line = document.createElement('p');
+            line.className = 'whitespace-pre-line';
+            const strong = document.createElement('span');
+            strong.className = 'font-semibold';
+            strong.textContent = `${label}: `;
+            line.append(strong, document.createTextNode(text));
+            detail.appendChild(line);
+        };
+        addLine('From', feedback.user ? `${feedback.user.name} (${feedback.user.email})` : 'Deleted account');
+        addLine('Received', new Date(feedback.createdAt).toLocaleString());
+        addLine('Subject', feedback.subject);
+        addLine('Message', feedback.message);
+        addLine('Steps to reproduce', feedback.stepsToReproduce);
+
+        statusSelect.value = feedback.status;
+        assigneeSelect.value = feedback.assignedTo ? feedback.assignedTo._id : '';
+
+        const notes = document.getElementById('feedback-notes');
+        notes.innerHTML = '';
+        if (feedback.internalNotes.length === 0) {
+            notes.innerHTML = '<li class="text-stone-400">No notes yet.</li>';
+        }
+        feedback.internalNotes.forEach(note => {
+            const item = document.createElement('li');
+            item.textContent = `${new Date(note.createdAt).toLocaleString()} - ${note.author ? note.author.name : 'Former admin'}: ${note.text}`;
+            notes.appendChild(item);
+        });
+    };
+
+    const openFeedback = async (id) => {
+        try {
+            renderFeedbackDetail(await apiRequest(`/feedback/${id}`));
+            noteInput.value = '';
+            modalOverlay.classList.remove('hidden');
+            modal.classList.remove('hidden');
+            loadFeedback(); // Opening a new item marks it read
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const closeFeedbackModal = () => {
+        modalOverlay.classList.add('hidden');
+        modal.classList.add('hidden');
+        currentFeedback = null;
+    };
+
+    const updateFeedback = async (changes, successMessage) => {
+        try {
+            renderFeedbackDetail(await apiRequest(`/feedback/${currentFeedback._id}`, { method: 'PUT', body: changes }));
+            showNotification(successMessage, 'success');
+            loadFeedback();
+        } catch (error) {
+            showNotification(error.message, 'error');
+            renderFeedbackDetail(currentFeedback); // Put the selects back
+        }
+    };
+
+    [typeFilter, statusFilter, assigneeFilter].forEach(filter => filter.addEventListener('change', () => {
+        page = 1;
+        loadFeedback();
+    }));
+    prevBtn.addEventListener('click', () => { page -= 1; loadFeedback(); });
+    nextBtn.addEventListener('click', () => { page += 1; loadFeedback(); });
+
+    tableBody.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-id]');
+        if (row) openFeedback(row.dataset.id);
+    });
+
+    document.getElementById('close-feedback-modal-btn').addEventListener('click', closeFeedbackModal);
+    modalOverlay.addEventListener('click', closeFeedbackModal);
+    statusSelect.addEventListener('change', () => updateFeedback({ status: statusSelect.value }, 'Status updated.'));
+    assigneeSelect.addEventListener('change', () => updateFeedback({ assignedTo: assigneeSelect.value || null }, 'Assignment updated.'));
+
+    document.getElementById('add-feedback-note-btn').addEventListener('click', async () => {
+        if (!noteInput.value.trim()) return;
+        try {
+            renderFeedbackDetail(await apiRequest(`/feedback/${currentFeedback._id}/notes`, {
+                method: 'POST',
+                body: { text: noteInput.value }
+            }));
+            noteInput.value = '';
+            showNotification('Note added.', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    loadAssignees();
+    loadFeedback();
+}
+
+// --- INVITATIONS PAGE FUNCTIONS ---
+
+const ROLE_LABELS = {
+    student: 'Student',
+    counselor: 'Counselor',
+    'university-admin': 'University Admin',
+    admin: 'Platform Admin'
+};
+
+const INVITATION_STATUS_STYLES = {
+    active: 'bg-emerald-100 text-emerald-700',
+    used: 'bg-blue-100 text-blue-700',
+    expired: 'bg-stone-200 text-stone-600',
+    revoked: 'bg-red-100 text-red-700'
+};
+
+function setupInvitationsPage() {
+    const form = document.getElementById('invitation-form');
+    const roleSelect = document.getElementById('invitation-role');
+    const universitySelect = document.getElementById('invitation-university');
+    const statusFilter = document.getElementById('invitation-status-filter');
+    const tableBody = document.getElementById('invitation-table-body');
+
+    // Platform admins are not tied to one university
+    const syncUniversityField = () => {
+        universitySelect.disabled = roleSelect.value === 'admin';
+    };
+
+    const loadInvitations = async () => {
+        try {
+            const invitations = await apiRequest(`/invitations?status=${statusFilter.value}`);
+            tableBody.innerHTML = '';
+
+            if (invitations.length === 0) {
+                tableBody.innerHTML = `<tr><td colspan="7" class="text-center p-8 text-stone-500">No invitations to show.</td></tr>`;
+                return;
+            }
+
+            invitations.forEach(invitation => {
+                const row = document.createElement('tr');
+                row.className = 'border-b hover:bg-stone-50';
+                row.innerHTML = `
+                    <td class="p-4 font-mono">••••-••••-${invitation.codeHint}</td>
+                    <td class="p-4">${ROLE_LABELS[invitation.role]}</td>
+                    <td class="p-4">${invitation.university || 'All'}</td>
+                    <td class="p-4">${invitation.createdBy ? invitation.createdBy.name : 'Deleted account'}</td>
+                    <td class="p-4">${new Date(invitation.expiresAt).toLocaleString()}</td>
+                    <td class="p-4"><span class="px-2 py-1 text-xs font-semibold rounded-full ${INVITATION_STATUS_STYLES[invitation.status]}">${invitation.status}</span></td>
+                    <td class="p-4">
+                        ${invitation.status === 'active' ? `<button class="revoke-btn text-red-500 hover:text-red-700 font-semibold" data-id="${invitation._id}">Revoke</button>` : ''}
+                    </td>
+                `;
+                tableBody.appendChild(row);
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        try {
+            const invitation = await apiRequest('/invitations', {
+                method: 'POST',
+                body: {
+                    role: roleSelect.value,
+                    university: roleSelect.value === 'admin' ? undefined : universitySelect.value,
+                    expiresInDays: Number(document.getElementById('invitation-expiry').value)
+                }
+            });
+            document.getElementById('new-invitation-code').textContent = invitation.code;
+            document.getElementById('new-invitation').classList.remove('hidden');
+            showNotification('Invitation created.', 'success');
+            loadInvitations();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    tableBody.addEventListener('click', async (event) => {
+        const revokeBtn = event.target.closest('.revoke-btn');
+        if (!revokeBtn || !confirm('Revoke this invitation? It will no longer work at signup.')) return;
+
+        try {
+            await apiRequest(`/invitations/${revokeBtn.dataset.id}/revoke`, { method: 'PUT' });
+            showNotification('Invitation revoked.', 'success');
+            loadInvitations();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    roleSelect.addEventListener('change', syncUniversityField);
+    statusFilter.addEventListener('change', loadInvitations);
+    syncUniversityField();
+    loadInvitations();
+}
+
+// --- AUDIT LOG PAGE FUNCTIONS ---
+
+const AUDIT_ACTION_LABELS = {
+    'counselor.create': 'Created counselor',
+    'counselor.update': 'Updated counselor',
+    'counselor.delete': 'Deleted counselor',
+    'resource.create': 'Created resource',
+    'resource.update': 'Updated resource',
+    'resource.delete': 'Deleted resource',
+    'user.suspend': 'Suspended account',
+    'user.reactivate': 'Reactivated account',
+    'user.change-role': 'Changed role',
+    'invitation.create': 'Created invitation',
+    'invitation.revoke': 'Revoked invitation',
+    'settings.update': 'Changed settings',
+    'escalation.acknowledge': 'Acknowledged escalation',
+    'escalation.add-note': 'Added escalation note',
+    'escalation.resolve': 'Resolved escalation',
+    'feedback.update': 'Updated feedback',
+    'feedback.add-note': 'Added feedback note',
+    'session-note.create': 'Wrote session notes',
+    'session-note.update': 'Edited session notes',
+    'session-note.view': 'Read session notes',
+    'session-note.view-summary': 'Read session summary',
+    'session-note.publish-summary': 'Shared session summary',
+    'session-note.unpublish-summary': 'Withdrew session summary'
+};
+
+// One "field: old → new" line per changed field
+function describeAuditChanges(changes) {
+    const before = (changes && changes.before) || {};
+    const after = (changes && changes.after) || {};
+    const format = (value) => (value === undefined ? '–' : typeof value === 'string' ? value : JSON.stringify(value));
+
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .map(field => `${field}: ${format(before[field])} → ${format(after[field])}`);
+}
+
+function setupAuditLogPage() {
+    const filters = document.getElementById('audit-filters');
+    const searchInput = document.getElementById('audit-search');
+    const actionFilter = document.getElementById('audit-action-filter');
+    const fromInput = document.getElementById('audit-from');
+    const toInput = document.getElementById('audit-to');
+    const tableBody = document.getElementById('audit-table-body');
+    const prevBtn = document.getElementById('audit-prev-page');
+    const nextBtn = document.getElementById('audit-next-page');
+
+    let page = 1;
+    let searchTimer = null;
+
+    Object.entries(AUDIT_ACTION_LABELS).forEach(([action, label]) => {
+        actionFilter.add(new Option(label, action));
+    });
+
+    const filterParams = () => {
+        const params = new URLSearchParams();
+        if (searchInput.value.trim()) params.set('search', searchInput.value.trim());
+        if (actionFilter.value) params.set('action', actionFilter.value);
+        if (fromInput.value) params.set('from', fromInput.value);
+        if (toInput.value) params.set('to', toInput.value);
+        return params;
+    };
+
+    const renderEntries = async () => {
+        const params = filterParams();
+        params.set('page', page);
+
+        try {
+            const result = await apiRequest(`/audit?${params}`);
+            tableBody.innerHTML = '';
+
+            if (result.entries.length === 0) {
+                tableBody.innerHTML = `<tr><td colspan="7" class="text-center p-8 text-stone-500">No audit entries match these filters.</td></tr>`;
+            }
+
+            result.entries.forEach(entry => {
+                const row = document.createElement('tr');
+                row.className = 'border-b hover:bg-stone-50 align-top';
+                row.innerHTML = `
+                    <td class="p-4 text-stone-500">${entry.seq}</td>
+                    <td class="p-4 whitespace-nowrap">${new Date(entry.at).toLocaleString()}</td>
+                    <td class="p-4"></td>
+                    <td class="p-4">${AUDIT_ACTION_LABELS[entry.action] || entry.action}</td>
+                    <td class="p-4"></td>
+                    <td class="p-4"><ul class="text-sm text-stone-600 space-y-1"></ul></td>
+                    <td class="p-4 text-sm text-stone-500"></td>
+                `;
+                // Names, reasons and changed values are user-supplied, so they never go in as HTML
+                row.children[2].textContent = `${entry.actorName || 'Unknown'} (${ROLE_LABELS[entry.actorRole] || entry.actorRole})`;
+                row.children[4].textContent = entry.targetLabel || `${entry.targetType} ${entry.targetId || ''}`.trim();
+                if (entry.reason) {
+                    const reason = document.createElement('p');
+                    reason.className = 'text-sm text-stone-500 mt-1';
+                    reason.textContent = `Reason: ${entry.reason}`;
+                    row.children[4].appendChild(reason);
+                }
+                describeAuditChanges(entry.changes).forEach(line => {
+                    const item = document.createElement('li');
+                    item.className = 'break-all';
+                    item.textContent = line;
+                    row.children[5].firstElementChild.appendChild(item);
+                });
+                row.children[6].textContent = entry.ip || '–';
+                tableBody.appendChild(row);
+            });
+
+            page = result.page;
+            document.getElementById('audit-page-info').textContent = `Page ${result.page} of ${Math.max(result.totalPages, 1)} (${result.total} entries)`;
+            prevBtn.disabled = result.page <= 1;
+            nextBtn.disabled = result.page >= result.totalPages;
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    const applyFilters = () => {
+        page = 1;
+        renderEntries();
+    };
+
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyFilters, 300);
+    });
+    filters.addEventListener('submit', (event) => event.preventDefault());
+    [actionFilter, fromInput, toInput].forEach(input => input.addEventListener('change', applyFilters));
+    prevBtn.addEventListener('click', () => { page -= 1; renderEntries(); });
+    nextBtn.addEventListener('click', () => { page += 1; renderEntries(); });
+
+    document.getElementById('audit-export-btn').addEventListener('click', async () => {
+        try {
+            await downloadFile(`/audit/export?${filterParams()}`, `mindwell-audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    document.getElementById('audit-verify-btn').addEventListener('click', async () => {
+        const resultText = document.getElementById('audit-verify-result');
+        try {
+            const result = await apiRequest('/audit/verify');
+            if (result.valid) {
+                resultText.textContent = result.head
+                    ? `All ${result.checked} entries verified at ${new Date(result.verifiedAt).toLocaleString()}. Latest entry #${result.head.seq}, hash ${result.head.hash}.`
+                    : 'The audit log is empty.';
+                resultText.className = 'text-emerald-700 break-all';
+            } else {
+                resultText.textContent = `Tampering detected at entry #${result.brokenAt.seq}: ${result.brokenAt.reason}. The ${result.checked} entries before it are intact.`;
+                resultText.className = 'text-red-600 font-semibold';
+            }
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    renderEntries();
 }
 
+// --- MY SESSIONS PAGE FUNCTIONS ---
+
+const APPOINTMENT_STATUS_STYLES = {
+    pending: 'bg-amber-100 text-amber-700',
+    confirmed: 'bg-emerald-100 text-emerald-700',
+    declined: 'bg-stone-200 text-stone-600',
+    canceled: 'bg-red-100 text-red-700',
+    completed: 'bg-blue-100 text-blue-700',
+    'no-show': 'bg-red-100 text-red-700'
+};
+
+// The status changes a counselor can make, and what each one asks for
+const SESSION_ACTIONS = {
+    confirm: { label: 'Confirm', style: 'text-emerald-600 hover:text-emerald-800', done: 'Appointment confirmed.' },
+    decline: { label: 'Decline', style: 'text-stone-600 hover:text-stone-800', prompt: 'Optionally, tell the student why you are declining:', done: 'Request declined.' },
+    cancel: { label: 'Cancel', style: 'text-red-500 hover:text-red-700', prompt: 'Why are you canceling this session? The student will see your reason.', required: true, done: 'Appointment canceled.' },
+    'no-show': { label: 'Mark no-show', style: 'text-red-500 hover:text-red-700', prompt: 'Optionally, add a note about the missed session:', done: 'Session marked as a no-show.' }
+};
+
+function sessionActionsFor(appointment, now) {
+    const started = new Date(appointment.date) <= now;
+    if (appointment.status === 'pending') return started ? [] : ['confirm', 'decline', 'cancel'];
+    if (appointment.status === 'confirmed') return started ? ['no-show'] : ['cancel'];
+    if (appointment.status === 'completed') return ['no-show'];
+    return [];
+}
+
+// Notes can be written once the session has taken place, including missed ones
+const canWriteNotes = (appointment, now) => new Date(appointment.date) <= now
+    && ['confirmed', 'completed', 'no-show'].includes(appointment.status);
+
+/**
+ * Wires the session notes modal. The counselor who wrote a note edits it;
+ * their supervisor opens the same modal read-only.
+ * @returns {(appointmentId: string, sessionInfo: string, readOnly?: boolean) => Promise<void>} Opens the modal.
+ */
+function setupSessionNotesModal() {
+    const modalOverlay = document.getElementById('notes-modal-overlay');
+    const modal = document.getElementById('notes-modal');
+    const notesForm = document.getElementById('notes-form');
+    const summaryForm = document.getElementById('summary-form');
+    const summaryStatus = document.getElementById('summary-status');
+    const unpublishBtn = document.getElementById('unpublish-summary-btn');
+    const soapSections = ['subjective', 'objective', 'assessment', 'plan'];
+
+    let currentAppointmentId = null;
+
+    const renderNote = (note, readOnly) => {
+        soapSections.forEach(section => {
+            document.getElementById(`notes-${section}`).value = (note && note[section]) || '';
+        });
+        const summary = (note && note.studentSummary) || {};
+        const published = Boolean(summary.publishedAt);
+        document.getElementById('summary-text').value = summary.summary || '';
+        document.getElementById('summary-homework').value = (summary.homework || []).join('\n');
+        document.getElementById('summary-next-steps').value = summary.nextSteps || '';
+
+        summaryStatus.textContent = published ? `Shared ${new Date(summary.publishedAt).toLocaleDateString()}` : 'Not shared';
+        summaryStatus.className = `px-2 py-1 text-xs font-semibold rounded-full ${published ? 'bg-emerald-100 text-emerald-700' : 'bg-stone-200 text-stone-600'}`;
+        unpublishBtn.classList.toggle('hidden', !published);
+
+        modal.querySelectorAll('.notes-field').forEach(field => {
+            field.disabled = readOnly;
+        });
+        document.getElementById('notes-form-actions').classList.toggle('hidden', readOnly);
+        document.getElementById('summary-form-actions').classList.toggle('hidden', readOnly);
+    };
+
+    const closeNotesModal = () => {
+        modalOverlay.classList.add('hidden');
+        modal.classList.add('hidden');
+        currentAppointmentId = null;
+    };
+
+    // Sends one change to the open note and shows the saved result
+    const updateNote = async (endpoint, options, successMessage) => {
+        try {
+            renderNote(await apiRequest(`/session-notes/${currentAppointmentId}${endpoint}`, options), false);
+            showNotification(successMessage, 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    notesForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const body = {};
+        soapSections.forEach(section => {
+            body[section] = document.getElementById(`notes-${section}`).value;
+        });
+        updateNote('', { method: 'PUT', body }, 'Notes saved.');
+    });
+
+    summaryForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        updateNote('/summary', {
+            method: 'PUT',
+            body: {
+                summary: document.getElementById('summary-text').value,
+                homework: document.getElementById('summary-homework').value.split('\n').map(task => task.trim()).filter(Boolean),
+                nextSteps: document.getElementById('summary-next-steps').value
+            }
+        }, 'Summary shared with the student.');
+    });
+
+    unpublishBtn.addEventListener('click', () => {
+        if (!confirm('Stop showing this summary to the student? You can share it again later.')) return;
+        updateNote('/summary', { method: 'DELETE' }, 'The student can no longer see this summary.');
+    });
+
+    document.getElementById('close-notes-modal-btn').addEventListener('click', closeNotesModal);
+    modalOverlay.addEventListener('click', closeNotesModal);
+
+    return async (appointmentId, sessionInfo, readOnly = false) => {
+        let note = null;
+        try {
+            note = await apiRequest(`/session-notes/${appointmentId}`);
+        } catch (error) {
+            // A session without notes yet opens an empty form
+            if (error.code !== 'NOTE_NOT_FOUND') {
+                showNotification(error.message, 'error');
+                return;
+            }
+        }
+        currentAppointmentId = appointmentId;
+        document.getElementById('notes-session-info').textContent = sessionInfo;
+        renderNote(note, readOnly);
+        modalOverlay.classList.remove('hidden');
+        modal.classList.remove('hidden');
+    };
+}
+
+function setupCounselorSessionsPage() {
+    const scopeFilter = document.getElementById('sessions-scope-filter');
+    const tableBody = document.getElementById('sessions-table-body');
+    const supervisedBody = document.getElementById('supervised-notes-table-body');
+    const openNotes = setupSessionNotesModal();
+
+    const describeSession = (studentName, date) => `${studentName || 'Deleted account'} · ${new Date(date).toLocaleString()}`;
+
+    const loadSessions = async () => {
+        try {
+            const appointments = await apiRequest(`/appointments?scope=${scopeFilter.value}`);
+            const now = new Date();
+            tableBody.innerHTML = '';
+
+            if (appointments.length === 0) {
+                tableBody.innerHTML = `<tr><td colspan="5" class="text-center p-8 text-stone-500">No appointments to show.</td></tr>`;
+                return;
+            }
+
+            appointments.forEach(appointment => {
+                const row = document.createElement('tr');
+                row.className = 'border-b hover:bg-stone-50';
+                row.innerHTML = `
+                    <td class="p-4">${appointment.student ? appointment.student.name : 'Deleted account'}</td>
+                    <td class="p-4">${new Date(appointment.date).toLocaleString()}</td>
+                    <td class="p-4">${appointment.sessionType}</td>
+                    <td class="p-4 session-status">
+                        <span class="px-2 py-1 text-xs font-semibold rounded-full ${APPOINTMENT_STATUS_STYLES[appointment.status]}">${appointment.status}</span>
+                        ${appointment.lateCancellation ? '<span class="ml-1 text-xs font-semibold text-red-600">late</span>' : ''}
+                    </td>
+                    <td class="p-4 space-x-3">
+                        ${canWriteNotes(appointment, now) ? `<button class="session-notes-btn text-blue-500 hover:text-blue-700 font-semibold" data-id="${appointment._id}">Notes</button>` : ''}
+                        ${sessionActionsFor(appointment, now).map(action => `<button class="session-action-btn ${SESSION_ACTIONS[action].style} font-semibold" data-action="${action}" data-id="${appointment._id}">${SESSION_ACTIONS[action].label}</button>`).join('')}
+                    </td>
+                `;
+                row.dataset.session = describeSession(appointment.student && appointment.student.name, appointment.date);
+                // Reasons are free text from either participant
+                if (appointment.cancellationReason) {
+                    const reason = document.createElement('p');
+                    reason.className = 'mt-1 text-xs text-stone-500';
+                    reason.textContent = `${appointment.canceledBy ? appointment.canceledBy.name : 'Canceled'}: ${appointment.cancellationReason}`;
+                    row.querySelector('.session-status').appendChild(reason);
+                }
+                tableBody.appendChild(row);
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    // Only counselors who supervise someone with notes see this section
+    const loadSupervisedNotes = async () => {
+        try {
+            const notes = await apiRequest('/session-notes?scope=supervised');
+            document.getElementById('supervised-notes-card').classList.toggle('hidden', notes.length === 0);
+            supervisedBody.innerHTML = '';
+
+            notes.forEach(note => {
+                const row = document.createElement('tr');
+                row.className = 'border-b hover:bg-stone-50';
+                row.innerHTML = `
+                    <td class="p-4">${note.counselor.name}</td>
+                    <td class="p-4">${note.student ? note.student.name : 'Deleted account'}</td>
+                    <td class="p-4">${new Date(note.appointment.date).toLocaleString()}</td>
+                    <td class="p-4">${new Date(note.updatedAt).toLocaleString()}</td>
+                    <td class="p-4">
+                        <button class="view-note-btn text-blue-500 hover:text-blue-700 font-semibold" data-id="${note.appointment._id}">View</button>
+                    </td>
+                `;
+                row.dataset.session = `${note.counselor.name} with ${describeSession(note.student && note.student.name, note.appointment.date)}`;
+                supervisedBody.appendChild(row);
+            });
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    };
+
+    supervisedBody.addEventListener('click', (event) => {
+        const viewBtn = event.target.closest('.view-note-btn');
+        if (viewBtn) openNotes(viewBtn.dataset.id, viewBtn.closest('tr').dataset.session, true);
+    });
+
+    tableBody.addEventListener('click', async (event) => {
+        const notesBtn = event.target.closest('.session-notes-btn');
+        if (notesBtn) {
+            openNotes(notesBtn.dataset.id, notesBtn.closest('tr').dataset.session);
+            return;
+        }
+
+        const actionBtn = event.target.closest('.session-action-btn');
+        if (!actionBtn) return;
+        const action = SESSION_ACTIONS[actionBtn.dataset.action];
+
+        let reason;
+        if (action.prompt) {
+            reason = prompt(action.prompt);
+            if (reason === null) return;
+            reason = reason.trim();
+            if (action.required && !reason) {
+                showNotification('Please give a reason.', 'error');
+                return;
+            }
+        }
+
+        try {
+            await apiRequest(`/appointments/${actionBtn.dataset.id}/${actionBtn.dataset.action}`, {
+                method: 'PUT',
+                body: reason ? { reason } : {}
+            });
+            showNotification(action.done, 'success');
+            loadSessions();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    scopeFilter.addEventListener('change', loadSessions);
+    loadSessions();
+    loadSupervisedNotes();
+}
 
 // --- MANAGE USERS PAGE FUNCTIONS ---
 
+const USER_ACTIONS = {
+    suspend: { title: 'Suspend Account', button: 'Suspend', endpoint: 'suspend', done: 'Account suspended.' },
+    reactivate: { title: 'Reactivate Account', button: 'Reactivate', endpoint: 'reactivate', done: 'Account reactivated.' },
+    role: { title: 'Change Role', button: 'Change Role', endpoint: 'role', done: 'Role updated.' }
+};
+
+const MODERATION_LABELS = {
+    suspended: 'Suspended',
+    reactivated: 'Reactivated',
+    'role-changed': 'Role changed'
+};
+
 function setupManageUsersPage() {
     const searchInput = document.getElementById('user-search');
     const universityFilter = document.getElementById('university-filter');
-    
-    const allUsers = [
-        { name: 'Alex Doe', email: 'alex.doe@university.edu', university: 'SRM-AP', joined: '2025-07-15', regNumber: 'AP21110010101' },
-        { name: 'Jamie Smith', email: 'jamie.s@university.edu', university: 'Other', joined: '2025-07-20', regNumber: null },
-        { name: 'Casey Lee', email: 'casey.lee@srmap.edu.in', university: 'SRM-AP', joined: '2025-06-01', regNumber: 'AP21110010202' },
-        { name: 'Jordan Miller', email: 'j.miller@university.edu', university: 'Other', joined: '2025-05-10', regNumber: null },
-    ];
-
-    const renderUsers = () => {
-        const searchTerm = searchInput.value.toLowerCase();
-        const selectedUniversity = universityFilter.value;
-        const userTableBody = document.getElementById('user-table-body');
-        userTableBody.innerHTML = '';
-
-        const filteredUsers = allUsers.filter(user => {
-            const matchesSearch = 
-                user.name.toLowerCase().includes(searchTerm) ||
-                user.email.toLowerCase().includes(searchTerm) ||
-                (user.regNumber && user.regNumber.toLowerCase().includes(searchTerm));
-            
-            const matchesFilter = 
-                selectedUniversity === 'all' || 
-                user.university.toLowerCase().replace('-', '') === selectedUniversity;
-
-            return matchesSearch && matchesFilter;
+    const statusFilter = document.getElementById('user-status-filter');
+    const userTableBody = document.getElementById('user-table-body');
+    const prevBtn = document.getElementById('users-prev-page');
+    const nextBtn = document.getElementById('users-next-page');
+    const modalOverlay = document.getElementById('user-action-modal-overlay');
+    const modal = document.getElementById('user-action-modal');
+    const actionForm = document.getElementById('user-action-form');
+    const reasonInput = document.getElementById('user-action-reason');
+    const roleSelect = document.getElementById('user-new-role');
+
+    let page = 1;
+    let searchTimer = null;
+    let pendingAction = null;
+
+    const renderUsers = async () => {
+        const params = new URLSearchParams({
+            search: searchInput.value.trim(),
+            university: universityFilter.value,
+            status: statusFilter.value,
+            page
         });
 
-        if (filteredUsers.length === 0) {
-            userTableBody.innerHTML = `<tr><td colspan="5" class="text-center p-8 text-stone-500">No users found.</td></tr>`;
-            return;
+        try {
+            const result = await apiRequest(`/users?${params}`);
+            userTableBody.innerHTML = '';
+
+            if (result.entries.length === 0) {
+                userTableBody.innerHTML = `<tr><td colspan="7" class="text-center p-8 text-stone-500">No users found.</td></tr>`;
+            }
+
+            result.entries.forEach(user => {
+                const row = document.createElement('tr');
+                row.className = 'border-b hover:bg-stone-50';
+                row.innerHTML = `
+                    <td class="p-4"></td>
+                    <td class="p-4"></td>
+                    <td class="p-4">${ROLE_LABELS[user.role] || user.role}</td>
+                    <td class="p-4"></td>
+                    <td class="p-4">${new Date(user.createdAt).toLocaleDateString()}</td>
+                    <td class="p-4"><span class="px-2 py-1 text-xs font-semibold rounded-full ${user.suspended ? 'bg-red-100 text-red-700' : 'bg-emerald-100 text-emerald-700'}">${user.suspended ? 'Suspended' : 'Active'}</span></td>
+                    <td class="p-4 space-x-2 whitespace-nowrap">
+                        ${user.suspended
+                            ? `<button class="user-action-btn text-emerald-600 hover:text-emerald-800 font-semibold" data-action="reactivate" data-id="${user._id}">Reactivate</button>`
+                            : `<button class="user-action-btn text-red-500 hover:text-red-700 font-semibold" data-action="suspend" data-id="${user._id}">Suspend</button>`}
+                        <button class="user-action-btn text-blue-500 hover:text-blue-700 font-semibold" data-action="role" data-id="${user._id}">Change Role</button>
+                    </td>
+                `;
+                // Names and registration numbers are user-supplied, so they never go in as HTML
+                row.children[0].textContent = user.registrationNumber ? `${user.name} (${user.registrationNumber})` : user.name;
+                row.children[1].textContent = user.email;
+                row.children[3].textContent = user.university || '–';
+                userTableBody.appendChild(row);
+            });
+
+            page = result.page;
+            document.getElementById('users-page-info').textContent = `Page ${result.page} of ${Math.max(result.totalPages, 1)} (${result.total} users)`;
+            prevBtn.disabled = result.page <= 1;
+            nextBtn.disabled = result.page >= result.totalPages;
+        } catch (error) {
+            showNotification(error.message, 'error');
         }
+    };
 
-        filteredUsers.forEach(user => {
-            const row = document.createElement('tr');
-            row.className = 'border-b hover:bg-stone-50';
-            row.innerHTML = `
-                <td class="p-4">${user.name}</td>
-                <td class="p-4">${user.email}</td>
-                <td class="p-4">${user.university}</td>
-                <td class="p-4">${new Date(user.joined).toLocaleDateString()}</td>
-                <td class="p-4">
-                    <button class="text-red-500 hover:text-red-700 font-semibold">Suspend</button>
-                </td>
-            `;
-            userTableBody.appendChild(row);
-        });
+    const closeModal = () => {
+        modal.classList.add('hidden');
+        modalOverlay.classList.add('hidden');
+        pendingAction = null;
+    };
+
+    const openModal = async (action, userId) => {
+        try {
+            const user = await apiRequest(`/users/${userId}`);
+            const config = USER_ACTIONS[action];
+            pendingAction = { action, user };
+
+            document.getElementById('user-action-title').textContent = `${config.title}: ${user.name}`;
+            document.getElementById('user-action-submit').textContent = config.button;
+            document.getElementById('user-role-field').classList.toggle('hidden', action !== 'role');
+            roleSelect.value = user.role === 'counselor' ? 'student' : user.role;
+            reasonInput.value = '';
+
+            const history = document.getElementById('user-moderation-history');
+            history.innerHTML = '';
+            if (user.moderationHistory.length === 0) {
+                history.innerHTML = '<li class="text-stone-400">No previous actions.</li>';
+            }
+            user.moderationHistory.slice().reverse().forEach(event => {
+                const item = document.createElement('li');
+                const roles = event.action === 'role-changed' ? ` (${ROLE_LABELS[event.fromRole] || event.fromRole} → ${ROLE_LABELS[event.toRole] || event.toRole})` : '';
+                item.textContent = `${new Date(event.at).toLocaleString()} · ${MODERATION_LABELS[event.action]}${roles} by ${event.actor ? event.actor.name : 'a deleted account'}: ${event.reason}`;
+                history.appendChild(item);
+            });
+
+            modal.classList.remove('hidden');
+            modalOverlay.classList.remove('hidden');
+            reasonInput.focus();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
     };
 
-    searchInput.addEventListener('input', renderUsers);
-    universityFilter.addEventListener('change', renderUsers);
+    actionForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (!pendingAction) return;
+        const { action, user } = pendingAction;
+        const config = USER_ACTIONS[action];
+
+        try {
+            await apiRequest(`/users/${user._id}/${config.endpoint}`, {
+                method: 'PUT',
+                body: { reason: reasonInput.value, ...(action === 'role' && { role: roleSelect.value }) }
+            });
+            showNotification(config.done, 'success');
+            closeModal();
+            renderUsers();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    userTableBody.addEventListener('click', (event) => {
+        const button = event.target.closest('.user-action-btn');
+        if (button) openModal(button.dataset.action, button.dataset.id);
+    });
+
+    const applyFilters = () => {
+        page = 1;
+        renderUsers();
+    };
+
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyFilters, 300);
+    });
+    universityFilter.addEventListener('change', applyFilters);
+    statusFilter.addEventListener('change', applyFilters);
+    prevBtn.addEventListener('click', () => { page -= 1; renderUsers(); });
+    nextBtn.addEventListener('click', () => { page += 1; renderUsers(); });
+    document.getElementById('close-user-action-btn').addEventListener('click', closeModal);
+    modalOverlay.addEventListener('click', closeModal);
 
     renderUsers();
 }
 
+async function setupSignupPolicyForm() {
+    const form = document.getElementById('signup-policy-form');
+    const restrictInput = document.getElementById('restrict-signups');
+    const domainsInput = document.getElementById('allowed-domains');
+
+    const fillForm = (policy) => {
+        restrictInput.checked = policy.restrictToDomains;
+        domainsInput.value = policy.allowedDomains.join(', ');
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            fillForm(await apiRequest('/auth/signup-policy', {
+                method: 'PUT',
+                body: { restrictToDomains: restrictInput.checked, allowedDomains: domainsInput.value }
+            }));
+            showNotification('Signup restrictions saved.', 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+
+    try {
+        fillForm(await apiRequest('/auth/signup-policy'));
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
 
 // --- MAIN DASHBOARD PAGE FUNCTIONS ---
 
@@ -504,62 +1504,140 @@ function updateTimestamp() {
     }
 }
 
-function updateStatCards() {
-    const mockData = {
-        totalStudents: 1250,
-        activeCounselors: 3,
-        appointmentsThisWeek: 42,
-        averageMood: 3.8
-    };
+// Builds ?from=&to=&university= from an analytics filter object, skipping empty values
+function toAnalyticsQuery(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+const INSUFFICIENT_DATA = 'Insufficient data';
 
-    document.getElementById('total-students').textContent = mockData.totalStudents.toLocaleString();
-    document.getElementById('active-counselors').textContent = mockData.activeCounselors;
-    document.getElementById('appointments-week').textContent = mockData.appointmentsThisWeek;
-    document.getElementById('avg-mood').textContent = `${mockData.averageMood} / 5`;
+// Suppressed buckets get a second label line instead of a misleading zero or gap
+const withPrivacyLabel = (label, bucket) => (bucket.suppressed ? [label, `(${INSUFFICIENT_DATA.toLowerCase()})`] : label);
+
+// Charts are redrawn whenever filters change, so the previous one has to go first
+function replaceChart(canvas, config) {
+    const existing = Chart.getChart(canvas);
+    if (existing) existing.destroy();
+    return new Chart(canvas.getContext('2d'), config);
 }
 
-function renderSignupsChart(canvas) {
-    const ctx = canvas.getContext('2d');
-    new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: ['January', 'February', 'March', 'April', 'May', 'June'],
-            datasets: [{
-                label: 'New Student Signups',
-                data: [65, 59, 80, 81, 56, 55],
-                backgroundColor: 'rgba(234, 88, 12, 0.6)',
-                borderColor: 'rgba(234, 88, 12, 1)',
-                borderWidth: 1,
-                borderRadius: 5
-            }]
-        },
-        options: {
-            scales: { y: { beginAtZero: true } },
-            responsive: true,
-            maintainAspectRatio: false
+async function updateStatCards(filters = {}) {
+    try {
+        const stats = await apiRequest(`/analytics/overview${toAnalyticsQuery(filters)}`);
+
+        // Numbers covering too few students are withheld by the server
+        const showStat = (id, field, format) => {
+            const el = document.getElementById(id);
+            const suppressed = stats.suppressed.includes(field);
+            el.classList.toggle('text-stone-400', suppressed);
+            el.title = suppressed ? `Hidden because fewer than ${stats.privacy.minCohortSize} students are covered` : '';
+            el.textContent = suppressed ? INSUFFICIENT_DATA : format(stats[field]);
+        };
+
+        showStat('total-students', 'totalStudents', value => value.toLocaleString());
+        document.getElementById('active-counselors').textContent = stats.activeCounselors;
+        showStat('appointments-week', 'appointments', value => value);
+        showStat('avg-mood', 'averageMood', value => (value === null ? '– / 5' : `${value} / 5`));
+
+        const privacyNote = document.getElementById('privacy-note');
+        if (privacyNote) {
+            privacyNote.textContent = `To protect student privacy, figures covering fewer than ${stats.privacy.minCohortSize} students show as "${INSUFFICIENT_DATA}"${stats.privacy.noise ? ' and released figures include small random noise' : ''}.`;
         }
-    });
+    } catch (error) {
+        showNotification(`Could not load statistics: ${error.message}`, 'error');
+    }
 }
 
-function renderMoodTrendsChart(canvas) {
-    const ctx = canvas.getContext('2d');
-    new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: ['Week 1', 'Week 2', 'Week 3', 'Week 4', 'Week 5', 'Week 6'],
-            datasets: [{
-                label: 'Average Mood Rating',
-                data: [3.5, 3.2, 2.9, 3.8, 4.1, 4.0],
-                backgroundColor: 'rgba(13, 148, 136, 0.2)',
-                borderColor: 'rgba(13, 148, 136, 1)',
-                borderWidth: 2,
-                tension: 0.4
-            }]
-        },
-        options: {
-            scales: { y: { beginAtZero: false, min: 1, max: 5 } },
-            responsive: true,
-            maintainAspectRatio: false
-        }
+async function renderSignupsChart(canvas, filters = {}) {
+    try {
+        const { months } = await apiRequest(`/analytics/signups${toAnalyticsQuery(filters)}`);
+        replaceChart(canvas, {
+            type: 'bar',
+            data: {
+                labels: months.map(bucket => withPrivacyLabel(
+                    new Date(`${bucket.month}-01T00:00:00Z`).toLocaleString('default', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+                    bucket
+                )),
+                datasets: [{
+                    label: 'New Student Signups',
+                    data: months.map(({ count }) => count),
+                    backgroundColor: 'rgba(234, 88, 12, 0.6)',
+                    borderColor: 'rgba(234, 88, 12, 1)',
+                    borderWidth: 1,
+                    borderRadius: 5
+                }]
+            },
+            options: {
+                scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+                responsive: true,
+                maintainAspectRatio: false
+            }
+        });
+    } catch (error) {
+        showNotification(`Could not load signups: ${error.message}`, 'error');
+    }
+}
+
+async function renderMoodTrendsChart(canvas, filters = {}) {
+    try {
+        const { weeks } = await apiRequest(`/analytics/mood-trends${toAnalyticsQuery(filters)}`);
+        replaceChart(canvas, {
+            type: 'line',
+            data: {
+                labels: weeks.map(bucket => withPrivacyLabel(
+                    `Week of ${new Date(`${bucket.weekStart}T00:00:00Z`).toLocaleDateString('default', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`,
+                    bucket
+                )),
+                datasets: [{
+                    label: 'Average Mood Rating',
+                    data: weeks.map(({ average }) => average),
+                    backgroundColor: 'rgba(13, 148, 136, 0.2)',
+                    borderColor: 'rgba(13, 148, 136, 1)',
+                    borderWidth: 2,
+                    tension: 0.4,
+                    spanGaps: true
+                }]
+            },
+            options: {
+                scales: { y: { beginAtZero: false, min: 1, max: 5 } },
+                responsive: true,
+                maintainAspectRatio: false
+            }
+        });
+    } catch (error) {
+        showNotification(`Could not load mood trends: ${error.message}`, 'error');
+    }
+}
+
+// --- ANALYTICS PAGE FUNCTIONS ---
+
+function setupAnalyticsPage() {
+    const form = document.getElementById('analytics-filters');
+
+    const readFilters = () => ({
+        from: document.getElementById('analytics-from').value,
+        // Include the whole end day
+        to: document.getElementById('analytics-to').value ? `${document.getElementById('analytics-to').value}T23:59:59.999Z` : '',
+        university: document.getElementById('analytics-university').value
+    });
+
+    const refresh = () => {
+        const filters = readFilters();
+        updateStatCards(filters);
+        renderSignupsChart(document.getElementById('analyticsSignupsChart'), filters);
+        renderMoodTrendsChart(document.getElementById('analyticsMoodChart'), filters);
+    };
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        refresh();
     });
+    form.addEventListener('reset', () => setTimeout(refresh));
+
+    refresh();
 }
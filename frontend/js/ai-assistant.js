@@ -1,30 +1,80 @@
 /**
  * MindWell - ai-assistant.js
  * --------------------------
- * This file will handle all the logic for the AI Assistant chat interface.
+ * This file handles all the logic for the AI Assistant chat interface.
  * This includes:
  * - Capturing user input from the form.
  * - Displaying user messages in the chat window.
- * - Sending the user's message to an AI service (like the Gemini API).
+ * - Sending the user's message to the MindWell API, which relays it to the AI provider.
  * - Displaying the AI's response in the chat window.
+ * Requests go through the shared apiRequest() in api.js.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
     const chatForm = document.getElementById('chat-form');
     const chatInput = document.getElementById('chat-input');
     const chatWindow = document.getElementById('chat-window');
+    const sendButton = chatForm.querySelector('button[type="submit"]');
 
-    chatForm.addEventListener('submit', (event) => {
+    // --- Message Rendering ---
+
+    function appendMessage(text, sender) {
+        const el = document.createElement('div');
+        el.className = sender === 'user' ? 'flex justify-end' : 'flex';
+        const bubble = document.createElement('div');
+        bubble.className = {
+            user: 'bg-orange-500 text-white p-3 rounded-lg max-w-xs',
+            // Crisis replies carry helpline numbers and must stand out from ordinary chat
+            crisis: 'bg-red-50 border border-red-300 text-red-800 p-3 rounded-lg max-w-sm',
+        }[sender] || 'bg-stone-200 text-stone-800 p-3 rounded-lg max-w-xs';
+        const p = document.createElement('p');
+        p.className = 'whitespace-pre-line';
+        p.textContent = text;
+        bubble.appendChild(p);
+        el.appendChild(bubble);
+        chatWindow.appendChild(el);
+        chatWindow.scrollTop = chatWindow.scrollHeight;
+        return el;
+    }
+
+    // --- API ---
+
+    async function loadHistory() {
+        try {
+            const history = await apiRequest('/ai/history');
+            history.forEach(message => appendMessage(message.text, message.role));
+        } catch (error) {
+            console.error('Failed to load conversation:', error);
+        }
+    }
+
+    // --- Event Listeners ---
+
+    chatForm.addEventListener('submit', async (event) => {
         event.preventDefault();
         const userMessage = chatInput.value.trim();
+        if (!userMessage) return;
 
-        if (userMessage) {
-            // 1. Display the user's message
-            // 2. Send the message to the AI
-            // 3. Display the AI's response
+        appendMessage(userMessage, 'user');
+        chatInput.value = '';
+        sendButton.disabled = true;
+        const typingIndicator = appendMessage('Typing...', 'assistant');
 
-            console.log("User message:", userMessage);
-            chatInput.value = ''; // Clear the input
+        try {
+            const result = await apiRequest('/ai/chat', {
+                method: 'POST',
+                body: { message: userMessage }
+            });
+            typingIndicator.remove();
+            appendMessage(result.reply, result.crisis ? 'crisis' : 'assistant');
+        } catch (error) {
+            typingIndicator.remove();
+            appendMessage(error.message || "I'm sorry, something went wrong. Please try again.", 'assistant');
+        } finally {
+            sendButton.disabled = false;
+            chatInput.focus();
         }
     });
+
+    loadHistory();
 });
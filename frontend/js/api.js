@@ -0,0 +1,146 @@
+/**
+ * MindWell - api.js
+ * -----------------
+ * Shared helpers for talking to the MindWell API, loaded before every page script.
+ * This includes:
+ * - Sending authenticated requests and renewing the short-lived access token.
+ * - Downloading files the API serves to signed-in users.
+ * - Ending the session on logout.
+ */
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+let pendingRefresh = null;
+
+/**
+ * Renews the short-lived access token with the stored refresh token.
+ * Concurrent callers share one request, since each refresh token works only once.
+ * @param {string} expiredToken - The access token that was rejected.
+ * @returns {Promise<boolean>} Whether a usable access token is now stored.
+ */
+async function refreshSession(expiredToken) {
+    // Another request or tab may already have renewed it
+    if (localStorage.getItem('token') !== expiredToken) return true;
+
+    if (!pendingRefresh) {
+        pendingRefresh = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+
+            const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!response.ok) {
+                return localStorage.getItem('refreshToken') !== refreshToken;
+            }
+
+            const tokens = await response.json();
+            localStorage.setItem('token', tokens.token);
+            localStorage.setItem('refreshToken', tokens.refreshToken);
+            return true;
+        })().catch(() => false).finally(() => { pendingRefresh = null; });
+    }
+    return pendingRefresh;
+}
+
+function endLocalSession() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+}
+
+/**
+ * Sends an authenticated JSON request to the MindWell API from a dashboard page.
+ * @param {string} endpoint - Path relative to /api, e.g. '/mood/history'.
+ * @param {object} options - Standard fetch options; objects in `body` are JSON-encoded, FormData is sent as-is.
+ * @param {boolean} [retried] - Set internally after the access token has been renewed once.
+ * @returns {Promise<any>} The parsed JSON response.
+ */
+async function apiRequest(endpoint, options = {}, retried = false) {
+    const token = localStorage.getItem('token');
+    const isFormData = options.body instanceof FormData;
+    const config = {
+        ...options,
+        headers: {
+            // The browser sets the multipart boundary itself for FormData bodies
+            ...(!isFormData && { 'Content-Type': 'application/json' }),
+            ...(token && { 'x-auth-token': token }),
+            ...options.headers
+        }
+    };
+
+    if (config.body && typeof config.body !== 'string' && !isFormData) {
+        config.body = JSON.stringify(config.body);
+    }
+
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401 && token && !retried) {
+        if (await refreshSession(token)) return apiRequest(endpoint, options, true);
+        endLocalSession();
+        window.location.href = '../login.html';
+    }
+    if (response.status === 403 && data.code === 'ACCOUNT_SUSPENDED') {
+        endLocalSession();
+        alert(data.message);
+        window.location.href = '../login.html';
+    }
+    if (response.status === 403 && data.code === 'EMAIL_NOT_VERIFIED') {
+        window.location.href = '../verify-email.html';
+    }
+    if (!response.ok) {
+        const error = new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+        error.code = data.code;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Downloads a non-JSON API response, such as a CSV or data export, as a file.
+ * @param {string} endpoint - Path relative to /api.
+ * @param {string} fileName - Suggested name for the saved file.
+ * @param {boolean} [retried] - Set internally after the access token has been renewed once.
+ */
+async function downloadFile(endpoint, fileName, retried = false) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        headers: { ...(token && { 'x-auth-token': token }) }
+    });
+
+    if (response.status === 401 && token && !retried && await refreshSession(token)) {
+        return downloadFile(endpoint, fileName, true);
+    }
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Logout links end the session on the server before leaving the page
+function setupLogoutLinks() {
+    document.querySelectorAll('[data-logout]').forEach(link => {
+        link.addEventListener('click', async (event) => {
+            event.preventDefault();
+            try {
+                await apiRequest('/auth/logout', { method: 'POST' });
+            } catch (error) {
+                console.error('Failed to end session:', error);
+            }
+            endLocalSession();
+            window.location.href = link.href;
+        });
+    });
+}
@@ -5,21 +5,66 @@
  * - User Registration (Sign Up)
  * - User Login
  * - Password Reset
+ * - Unlocking an account after too many failed logins
  * It also includes UI logic like password visibility toggling and role switching.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
     // Attach event listeners to forms if they exist on the current page.
     const signupForm = document.getElementById('signup-form');
-    if (signupForm) signupForm.addEventListener('submit', handleSignup);
+    if (signupForm) {
+        signupForm.addEventListener('submit', handleSignup);
+        showSignupDomainHint();
+    }
 
     const loginForm = document.getElementById('login-form');
     if (loginForm) loginForm.addEventListener('submit', handleLogin);
 
     const forgotPasswordForm = document.getElementById('forgot-password-form');
     if (forgotPasswordForm) forgotPasswordForm.addEventListener('submit', handleForgotPassword);
+
+    const resetPasswordForm = document.getElementById('reset-password-form');
+    if (resetPasswordForm) {
+        resetPasswordForm.addEventListener('submit', handleResetPassword);
+        document.getElementById('reset-password').addEventListener('input', updatePasswordRules);
+    }
+
+    if (document.getElementById('verify-email-card')) setupVerifyEmailPage();
+    if (document.getElementById('unlock-account-card')) setupUnlockAccountPage();
 });
 
+// --- API HELPERS ---
+
+/**
+ * Posts JSON to the MindWell API.
+ * @param {string} endpoint - Path relative to /api, e.g. '/auth/login'.
+ * @param {object} body - The request payload.
+ * @param {boolean} [retried] - Set internally after the access token has been renewed once.
+ * @returns {Promise<any>} The parsed JSON response.
+ */
+async function postJson(endpoint, body, retried = false) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'x-auth-token': token })
+        },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    // Access tokens are short-lived; renew once with the refresh token and try again
+    if (data.code === 'SESSION_EXPIRED' && token && !retried && await refreshSession(token)) {
+        return postJson(endpoint, body, true);
+    }
+    if (!response.ok) {
+        throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return data;
+}
+
 // --- NOTIFICATION FUNCTION ---
 
 /**
@@ -43,31 +88,211 @@ function showNotification(message, type) {
 
 // --- Form Handlers ---
 
-function handleSignup(event) {
+async function handleSignup(event) {
+    event.preventDefault();
+    const isAdmin = !document.getElementById('admin-code-field').classList.contains('hidden');
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        const result = await postJson('/auth/register', {
+            name: document.getElementById('signup-name').value,
+            email: document.getElementById('signup-email').value,
+            password: document.getElementById('signup-password').value,
+            // The server grants whichever role the invitation was issued for
+            role: isAdmin ? 'admin' : 'student',
+            invitationCode: isAdmin ? document.getElementById('admin-code').value.trim() : undefined
+        });
+        localStorage.setItem('token', result.token);
+        localStorage.setItem('refreshToken', result.refreshToken);
+        showNotification(result.message, 'success');
+        setTimeout(() => {
+            window.location.href = `verify-email.html?email=${encodeURIComponent(result.email)}`;
+        }, 1500);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        submitBtn.disabled = false;
+    }
+}
+
+// Tells students up front when only university addresses are accepted
+async function showSignupDomainHint() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/signup-policy`);
+        const policy = await response.json();
+        if (!policy.restrictToDomains) return;
+
+        const hint = document.createElement('p');
+        hint.className = 'text-sm text-stone-500 mt-1';
+        hint.textContent = `Use your university email (${policy.allowedDomains.map(domain => `@${domain}`).join(', ')}).`;
+        document.getElementById('signup-email').insertAdjacentElement('afterend', hint);
+    } catch (error) {
+        console.error('Failed to load signup policy:', error);
+    }
+}
+
+/**
+ * Verifies the address when opened from an emailed link (?token=), otherwise
+ * shows the "check your inbox" state with a resend button.
+ */
+async function setupVerifyEmailPage() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    const title = document.getElementById('verify-title');
+    const message = document.getElementById('verify-message');
+    const resendBtn = document.getElementById('resend-verification-btn');
+
+    resendBtn.addEventListener('click', async () => {
+        resendBtn.disabled = true;
+        try {
+            const result = await postJson('/auth/resend-verification', {});
+            showNotification(result.message, 'success');
+        } catch (error) {
+            showNotification(localStorage.getItem('token') ? error.message : 'Please log in to request a new link.', 'error');
+        } finally {
+            resendBtn.disabled = false;
+        }
+    });
+
+    if (!token) {
+        const email = params.get('email');
+        message.textContent = `We sent a verification link to ${email || 'your email address'}. Open it to unlock your journal, mood tracker and appointments.`;
+        return;
+    }
+
+    try {
+        const result = await postJson('/auth/verify-email', { token });
+        title.textContent = 'Email Verified';
+        message.textContent = result.message;
+        resendBtn.classList.add('hidden');
+        document.getElementById('verify-continue-link').classList.remove('hidden');
+    } catch (error) {
+        title.textContent = 'Link Not Valid';
+        message.textContent = error.message;
+    }
+}
+
+/**
+ * Lifts a login lockout with the token from the "account locked" email.
+ */
+async function setupUnlockAccountPage() {
+    const token = new URLSearchParams(window.location.search).get('token');
+    const title = document.getElementById('unlock-title');
+    const message = document.getElementById('unlock-message');
+
+    if (!token) {
+        title.textContent = 'Link Not Valid';
+        message.textContent = 'Open the link from your "account locked" email to unlock your account.';
+        return;
+    }
+
+    try {
+        const result = await postJson('/auth/unlock', { token });
+        title.textContent = 'Account Unlocked';
+        message.textContent = result.message;
+        document.getElementById('unlock-login-link').classList.remove('hidden');
+    } catch (error) {
+        title.textContent = 'Link Not Valid';
+        message.textContent = error.message;
+    }
+}
+
+// Where each role lands after logging in; counselors start on their own appointments
+const HOME_PAGES = {
+    admin: 'admin/dashboard.html',
+    'university-admin': 'admin/dashboard.html',
+    counselor: 'admin/sessions.html',
+    student: 'student/dashboard.html'
+};
+
+async function handleLogin(event) {
     event.preventDefault();
-    const name = document.getElementById('signup-name').value;
-    const email = document.getElementById('signup-email').value;
-    // In a real app, this data would be sent to the backend for processing.
-    console.log("Signup form submitted with:", { name, email });
-    showNotification('Thank you for signing up! Please check your email to verify your account.', 'success');
-    event.target.reset();
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        const result = await postJson('/auth/login', {
+            email: document.getElementById('login-email').value,
+            password: document.getElementById('login-password').value
+        });
+        localStorage.setItem('token', result.token);
+        localStorage.setItem('refreshToken', result.refreshToken);
+
+        window.location.href = result.emailVerified
+            ? HOME_PAGES[result.role] || HOME_PAGES.student
+            : `verify-email.html?email=${encodeURIComponent(result.email)}`;
+    } catch (error) {
+        showNotification(error.message, 'error');
+        submitBtn.disabled = false;
+    }
 }
 
-function handleLogin(event) {
+async function handleForgotPassword(event) {
     event.preventDefault();
-    const email = document.getElementById('login-email').value;
-    
-    // In a real app, you would send credentials to your backend for validation.
-    console.log('Login attempt with:', email);
-    showNotification('Checking your credentials...', 'success');
-    // The page will no longer redirect automatically.
-    // A backend response would determine the next step.
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        const result = await postJson('/auth/forgot-password', {
+            email: document.getElementById('forgot-email').value
+        });
+        showNotification(result.message, 'success');
+        document.getElementById('forgot-subtitle').textContent = 'Check your inbox for a link to reset your password. It expires in 30 minutes.';
+        event.target.reset();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Mirrors the server's password rules (backend/src/utils/passwordPolicy.js)
+const PASSWORD_RULES = {
+    length: (password) => password.length >= 8,
+    case: (password) => /[a-z]/.test(password) && /[A-Z]/.test(password),
+    number: (password) => /[0-9]/.test(password)
+};
+
+function updatePasswordRules() {
+    const password = document.getElementById('reset-password').value;
+    document.querySelectorAll('#password-rules li').forEach(rule => {
+        const passed = PASSWORD_RULES[rule.dataset.rule](password);
+        rule.classList.toggle('text-green-600', passed);
+        rule.classList.toggle('text-stone-500', !passed);
+    });
 }
 
-function handleForgotPassword(event) {
+async function handleResetPassword(event) {
     event.preventDefault();
-    showNotification("If this email exists, a reset link has been sent.", "success");
-    console.log("Password reset requested.");
+    const password = document.getElementById('reset-password').value;
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (!token) {
+        showNotification('This reset link is incomplete. Please request a new one.', 'error');
+        return;
+    }
+    if (password !== document.getElementById('reset-password-confirm').value) {
+        showNotification('Passwords do not match.', 'error');
+        return;
+    }
+    if (!Object.values(PASSWORD_RULES).every(rule => rule(password))) {
+        showNotification('Please choose a stronger password.', 'error');
+        return;
+    }
+
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        const result = await postJson('/auth/reset-password', { token, password });
+        // Any session stored in this browser was revoked along with the old password
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        showNotification(result.message, 'success');
+        setTimeout(() => { window.location.href = 'login.html'; }, 2000);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        submitBtn.disabled = false;
+    }
 }
 
 // --- UI Helper Functions (GLOBAL SCOPE) ---
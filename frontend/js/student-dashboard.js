@@ -19,10 +19,18 @@ document.addEventListener('DOMContentLoaded', () => {
         setupMoodTracker();
     }
 
+    if (document.getElementById('past-entries-list')) { // Journal page
+        setupJournalPage();
+    }
+
     if (document.getElementById('upcoming-appointments-list')) { // Appointments page
         renderFullAppointmentLists();
     }
 
+    if (document.getElementById('resource-grid')) { // Resources page
+        setupResourcesPage();
+    }
+
     if (document.getElementById('counselor-list')) { // Booking page
         setupBookingPage();
     }
@@ -42,25 +50,124 @@ document.addEventListener('DOMContentLoaded', () => {
     if (document.getElementById('profile-form')) { // Profile page
         setupProfilePage();
     }
+
+    if (document.getElementById('session-list')) { // Profile page
+        const refreshSessions = setupActiveSessions();
+        setupChangePassword(refreshSessions);
+    }
+
+    if (document.getElementById('export-list')) { // Profile page
+        setupDataExport();
+    }
+
+    if (document.getElementById('instrument-list')) { // Check-ins page
+        setupScreeningPage();
+    }
     
     // --- Functions that run on all dashboard pages ---
     setupDropdowns();
     setupMobileMenu();
+    setupLogoutLinks();
     setupChatWidget();
 });
 
+// --- CRISIS SUPPORT ---
+
+/**
+ * Shows crisis helplines in a modal over the current page.
+ * Called whenever the API flags something the student wrote.
+ * @param {{message: string, resources: Array<{name: string, contact: string, tel: string, available: string}>}} crisis
+ */
+function showCrisisResources(crisis) {
+    if (!crisis || document.getElementById('crisis-overlay')) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'crisis-overlay';
+    overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.setAttribute('aria-modal', 'true');
+
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded-xl shadow-2xl max-w-md w-full p-6';
+
+    const heading = document.createElement('h2');
+    heading.className = 'text-xl font-bold text-stone-800 mb-2';
+    heading.textContent = 'You are not alone';
+
+    const message = document.createElement('p');
+    message.className = 'text-stone-600 mb-4';
+    message.textContent = crisis.message;
+
+    const list = document.createElement('ul');
+    list.className = 'space-y-2 mb-6';
+    crisis.resources.forEach(resource => {
+        const item = document.createElement('li');
+        item.className = 'flex justify-between items-center bg-orange-50 rounded-lg p-3';
+        const name = document.createElement('span');
+        name.className = 'text-stone-700 font-medium';
+        name.textContent = resource.name;
+        const link = document.createElement('a');
+        link.className = 'text-orange-600 font-bold whitespace-nowrap ml-3';
+        link.href = `tel:${resource.tel}`;
+        link.textContent = resource.contact;
+        item.append(name, link);
+        list.appendChild(item);
+    });
+
+    const note = document.createElement('p');
+    note.className = 'text-sm text-stone-500 mb-4';
+    note.textContent = 'A MindWell counselor has also been notified and may reach out to you.';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'w-full bg-orange-500 text-white font-semibold py-2 rounded-lg hover:bg-orange-600';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => overlay.remove());
+
+    card.append(heading, message, list, note, closeBtn);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+    closeBtn.focus();
+}
+
 // --- RESOURCES PAGE FUNCTIONS ---
 
-function setupResourcesPage() {
-    // The breathing exercise is now a static, featured element in the HTML.
-    // This array now only contains the filterable resources.
-    const allResources = [
-        { id: 2, title: 'Understanding Anxiety', type: 'article', topic: 'anxiety', link: '#', img: 'https://placehold.co/600x400/ffc09f/FFFFFF?text=Article' },
-        { id: 3, title: 'Tips for Better Sleep', type: 'video', topic: 'sleep', link: '#', img: 'https://placehold.co/600x400/fcf5c7/FFFFFF?text=Video' },
-        { id: 4, title: 'Mindful Focus Techniques', type: 'article', topic: 'focus', link: '#', img: 'https://placehold.co/600x400/a0c4ff/FFFFFF?text=Article' },
-        { id: 5, title: 'Calming Music for Studying', type: 'music', topic: 'focus', link: '#', img: 'https://placehold.co/600x400/9bf6ff/FFFFFF?text=Music' },
-        { id: 6, title: 'Managing Exam Stress', type: 'video', topic: 'stress', link: '#', img: 'https://placehold.co/600x400/bdb2ff/FFFFFF?text=Video' },
-    ];
+const RESOURCE_PLACEHOLDER_IMG = 'https://placehold.co/600x400/ffc09f/FFFFFF?text=MindWell';
+
+// Only http(s) addresses and relative paths are followed; anything else (javascript:, data:) is dropped
+const isWebAddress = (url) => /^(https?:\/\/|[^:/?#]*([/?#]|$))/i.test(url);
+
+function buildResourceCard(resource) {
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded-lg shadow-md overflow-hidden';
+
+    const target = resource.link || resource.videoUrl;
+    const link = document.createElement('a');
+    link.href = target && isWebAddress(target) ? target : '#';
+    link.className = 'block hover:opacity-90';
+    const image = document.createElement('img');
+    image.src = resource.thumbnail && isWebAddress(resource.thumbnail) ? resource.thumbnail : RESOURCE_PLACEHOLDER_IMG;
+    image.alt = resource.title;
+    image.className = 'w-full h-48 object-cover';
+    link.appendChild(image);
+
+    const body = document.createElement('div');
+    body.className = 'p-6';
+    const title = document.createElement('h4');
+    title.className = 'font-bold text-xl mb-2';
+    title.textContent = resource.title;
+    const topic = document.createElement('span');
+    topic.className = 'text-xs font-semibold uppercase px-2 py-1 rounded-full bg-amber-100 text-amber-700';
+    topic.textContent = resource.topic;
+    body.append(title, topic);
+
+    card.append(link, body);
+    return card;
+}
+
+async function setupResourcesPage() {
+    // The breathing exercise is a static, featured element in the HTML.
+    // Everything else comes from the shared resource catalogue.
+    let allResources = [];
 
     const resourceGrid = document.getElementById('resource-grid');
     const searchInput = document.getElementById('resource-search');
@@ -85,20 +192,7 @@ function setupResourcesPage() {
             noResults.classList.add('hidden');
         }
 
-        filteredResources.forEach(resource => {
-            const card = document.createElement('div');
-            card.className = 'bg-white rounded-lg shadow-md overflow-hidden';
-            card.innerHTML = `
-                <a href="${resource.link}" class="block hover:opacity-90">
-                    <img src="${resource.img}" alt="${resource.title}" class="w-full h-48 object-cover">
-                </a>
-                <div class="p-6">
-                    <h4 class="font-bold text-xl mb-2">${resource.title}</h4>
-                    <span class="text-xs font-semibold uppercase px-2 py-1 rounded-full bg-amber-100 text-amber-700">${resource.topic}</span>
-                </div>
-            `;
-            resourceGrid.appendChild(card);
-        });
+        filteredResources.forEach(resource => resourceGrid.appendChild(buildResourceCard(resource)));
     };
 
     topicFilters.addEventListener('click', (e) => {
@@ -116,6 +210,12 @@ function setupResourcesPage() {
     
     searchInput.addEventListener('input', renderResources);
 
+    try {
+        allResources = (await apiRequest('/resources')).filter(resource => resource.type !== 'meditation');
+    } catch (error) {
+        console.error('Failed to load resources:', error);
+    }
+
     // Initial render
     renderResources();
 }
@@ -133,19 +233,52 @@ function setupProfilePage() {
     const uploadButton = document.getElementById('upload-button');
     const imageUploadInput = document.getElementById('profile-image-upload');
     const profilePreviewImg = document.getElementById('profile-preview-img');
+    const deletePhotoBtn = document.getElementById('delete-photo-btn');
+    const photoHint = document.getElementById('photo-hint');
     const deleteBtn = document.getElementById('delete-account-btn');
+    const deletePasswordInput = document.getElementById('delete-account-password');
+    const cancelDeletionBtn = document.getElementById('cancel-deletion-btn');
 
     if (!editBtn) return;
 
     const originalValues = {};
-    profileFields.forEach(field => {
-        originalValues[field.id] = field.value;
-    });
+    let profile = null;
+    let pendingAvatar = null;
+
+    const avatarSrcFor = (user) => user.avatarUrl
+        || `https://placehold.co/128x128/ffedd5/b45309?text=${encodeURIComponent((user.name || '?').charAt(0).toUpperCase())}`;
+
+    const fillProfile = (user) => {
+        profile = user;
+        document.getElementById('profile-name').value = user.name || '';
+        document.getElementById('profile-email').value = user.email || '';
+        universitySelect.value = user.university || '';
+        document.getElementById('profile-reg-number').value = user.registrationNumber || '';
+        profilePreviewImg.src = avatarSrcFor(user);
+        profileFields.forEach(field => {
+            originalValues[field.id] = field.value;
+        });
+        handleUniversityChange();
+        renderDeletionStatus(user);
+    };
+
+    // A pending deletion can be cancelled until the grace period runs out
+    const renderDeletionStatus = (user) => {
+        const pending = Boolean(user.deletionScheduledFor);
+        document.getElementById('deletion-request').classList.toggle('hidden', pending || user.role !== 'student');
+        document.getElementById('deletion-pending').classList.toggle('hidden', !pending);
+        if (pending) {
+            document.getElementById('deletion-date').textContent =
+                `Everything will be permanently erased on ${new Date(user.deletionScheduledFor).toLocaleString()}. Until then you can keep your account.`;
+        }
+    };
 
     const enterEditMode = () => {
         editBtn.classList.add('hidden');
         formActions.classList.remove('hidden');
         uploadButton.classList.remove('hidden');
+        photoHint.classList.remove('hidden');
+        deletePhotoBtn.classList.toggle('hidden', !(profile && profile.avatarUrl));
         profileFields.forEach(field => {
             field.readOnly = false;
             field.disabled = false;
@@ -157,6 +290,8 @@ function setupProfilePage() {
         editBtn.classList.remove('hidden');
         formActions.classList.add('hidden');
         uploadButton.classList.add('hidden');
+        photoHint.classList.add('hidden');
+        deletePhotoBtn.classList.add('hidden');
         profileFields.forEach(field => {
             field.readOnly = true;
             field.disabled = true;
@@ -164,6 +299,9 @@ function setupProfilePage() {
             field.value = originalValues[field.id]; // Revert changes
         });
         universitySelect.value = originalValues['profile-university'];
+        pendingAvatar = null;
+        imageUploadInput.value = '';
+        if (profile) profilePreviewImg.src = avatarSrcFor(profile);
         handleUniversityChange();
     };
 
@@ -182,6 +320,12 @@ function setupProfilePage() {
     imageUploadInput.addEventListener('change', (event) => {
         const file = event.target.files[0];
         if (file) {
+            if (file.size > 2 * 1024 * 1024) {
+                alert('Please choose an image smaller than 2 MB.');
+                imageUploadInput.value = '';
+                return;
+            }
+            pendingAvatar = file;
             const reader = new FileReader();
             reader.onload = (e) => {
                 profilePreviewImg.src = e.target.result;
@@ -190,30 +334,261 @@ function setupProfilePage() {
         }
     });
 
-    deleteBtn.addEventListener('click', () => {
-        if (confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
-            alert('Account deleted.');
-            // In a real app, this would trigger a backend request and then redirect.
-            window.location.href = '../index.html';
+    deletePhotoBtn.addEventListener('click', async () => {
+        if (!confirm('Remove your profile photo?')) return;
+        try {
+            const user = await apiRequest('/users/profile/avatar', { method: 'DELETE' });
+            profile = user;
+            pendingAvatar = null;
+            imageUploadInput.value = '';
+            profilePreviewImg.src = avatarSrcFor(user);
+            deletePhotoBtn.classList.add('hidden');
+        } catch (error) {
+            alert(`Could not remove your photo: ${error.message}`);
+        }
+    });
+
+    deleteBtn.addEventListener('click', async () => {
+        if (!deletePasswordInput.value) {
+            alert('Please enter your password to confirm.');
+            return;
+        }
+        if (!confirm('Delete your account? Once the grace period ends, your data is erased and cannot be recovered.')) return;
+
+        try {
+            const user = await apiRequest('/users/profile/deletion', {
+                method: 'POST',
+                body: { password: deletePasswordInput.value }
+            });
+            deletePasswordInput.value = '';
+            profile = user;
+            renderDeletionStatus(user);
+        } catch (error) {
+            alert(`Could not delete your account: ${error.message}`);
+        }
+    });
+
+    cancelDeletionBtn.addEventListener('click', async () => {
+        try {
+            const user = await apiRequest('/users/profile/deletion', { method: 'DELETE' });
+            profile = user;
+            renderDeletionStatus(user);
+            alert('Your account will not be deleted.');
+        } catch (error) {
+            alert(`Could not cancel the deletion: ${error.message}`);
         }
     });
 
-    document.getElementById('profile-form').addEventListener('submit', (event) => {
+    document.getElementById('profile-form').addEventListener('submit', async (event) => {
         event.preventDefault();
-        const newPassword = document.getElementById('new-password').value;
-        const confirmPassword = document.getElementById('confirm-password').value;
 
-        if (newPassword && newPassword !== confirmPassword) {
-            alert("New passwords do not match.");
+        const body = {
+            name: document.getElementById('profile-name').value.trim(),
+            university: universitySelect.value,
+        };
+        if (universitySelect.value === 'srm-ap') {
+            body.registrationNumber = document.getElementById('profile-reg-number').value.trim();
+        }
+
+        try {
+            let user = await apiRequest('/users/profile', { method: 'PUT', body });
+            if (pendingAvatar) {
+                const formData = new FormData();
+                formData.append('avatar', pendingAvatar);
+                user = await apiRequest('/users/profile/avatar', { method: 'PUT', body: formData });
+            }
+            pendingAvatar = null;
+            fillProfile(user);
+            exitEditMode();
+            alert('Profile saved successfully!');
+        } catch (error) {
+            alert(`Could not save your profile: ${error.message}`);
+        }
+    });
+
+    apiRequest('/users/profile')
+        .then(fillProfile)
+        .catch(error => alert(`Could not load your profile: ${error.message}`));
+}
+
+// Changing the password signs out every other device, so the session list is refreshed too
+function setupChangePassword(refreshSessions) {
+    const currentInput = document.getElementById('current-password');
+    const newInput = document.getElementById('new-password');
+    const confirmInput = document.getElementById('confirm-password');
+
+    document.getElementById('change-password-btn').addEventListener('click', async () => {
+        if (!currentInput.value || !newInput.value) {
+            alert('Please enter your current password and a new password.');
             return;
         }
-        
-        alert('Profile saved successfully!');
-        profileFields.forEach(field => {
-            originalValues[field.id] = field.value;
+        if (newInput.value !== confirmInput.value) {
+            alert('New passwords do not match.');
+            return;
+        }
+
+        try {
+            const data = await apiRequest('/auth/change-password', {
+                method: 'POST',
+                body: { currentPassword: currentInput.value, newPassword: newInput.value }
+            });
+            // The old access token stopped working the moment the password changed
+            localStorage.setItem('token', data.token);
+            [currentInput, newInput, confirmInput].forEach(input => { input.value = ''; });
+            alert(data.message);
+            refreshSessions();
+        } catch (error) {
+            alert(`Could not change your password: ${error.message}`);
+        }
+    });
+}
+
+const EXPORT_STATUS_LABELS = {
+    pending: 'Queued',
+    processing: 'Preparing...',
+    ready: 'Ready',
+    failed: 'Failed',
+    expired: 'Expired'
+};
+
+// Exports are built in the background, so the list is polled until none is in progress
+function setupDataExport() {
+    const list = document.getElementById('export-list');
+    const requestBtn = document.getElementById('request-export-btn');
+    let pollTimer = null;
+
+    const renderExports = async () => {
+        let exports;
+        try {
+            exports = await apiRequest('/exports');
+        } catch (error) {
+            list.innerHTML = '<li class="py-3 text-red-500">Could not load your downloads.</li>';
+            return;
+        }
+
+        list.innerHTML = '';
+        if (exports.length === 0) {
+            list.innerHTML = '<li class="py-3 text-stone-500">You have not requested a download yet.</li>';
+        }
+        exports.forEach(job => {
+            const item = document.createElement('li');
+            item.className = 'py-3 flex items-center justify-between';
+
+            const details = document.createElement('div');
+            const title = document.createElement('p');
+            title.className = 'font-semibold text-stone-800';
+            title.textContent = `Requested ${new Date(job.createdAt).toLocaleString()}`;
+            const meta = document.createElement('p');
+            meta.className = 'text-sm text-stone-500';
+            meta.textContent = job.status === 'ready'
+                ? `${EXPORT_STATUS_LABELS.ready} · ${Math.ceil(job.fileSize / 1024)} KB · expires ${new Date(job.expiresAt).toLocaleString()}`
+                : EXPORT_STATUS_LABELS[job.status];
+            details.append(title, meta);
+            item.appendChild(details);
+
+            if (job.downloadUrl) {
+                const downloadBtn = document.createElement('button');
+                downloadBtn.type = 'button';
+                downloadBtn.className = 'text-sm text-amber-600 font-semibold hover:text-amber-700';
+                downloadBtn.textContent = 'Download';
+                downloadBtn.addEventListener('click', async () => {
+                    try {
+                        await downloadFile(job.downloadUrl, `mindwell-data-${job.completedAt.slice(0, 10)}.zip`);
+                    } catch (error) {
+                        alert(`Could not download your data: ${error.message}`);
+                        renderExports();
+                    }
+                });
+                item.appendChild(downloadBtn);
+            }
+            list.appendChild(item);
         });
-        exitEditMode();
+
+        const inProgress = exports.some(job => job.status === 'pending' || job.status === 'processing');
+        requestBtn.disabled = inProgress;
+        requestBtn.classList.toggle('opacity-50', inProgress);
+        clearTimeout(pollTimer);
+        if (inProgress) pollTimer = setTimeout(renderExports, 3000);
+    };
+
+    requestBtn.addEventListener('click', async () => {
+        try {
+            await apiRequest('/exports', { method: 'POST' });
+            renderExports();
+        } catch (error) {
+            alert(`Could not start your download: ${error.message}`);
+        }
     });
+
+    renderExports();
+}
+
+// Lists the devices signed in to the account, each of which can be signed out
+function setupActiveSessions() {
+    const list = document.getElementById('session-list');
+
+    const renderSessions = async () => {
+        let sessions;
+        try {
+            sessions = await apiRequest('/auth/sessions');
+        } catch (error) {
+            list.innerHTML = '<li class="py-3 text-red-500">Could not load your sessions.</li>';
+            return;
+        }
+
+        list.innerHTML = '';
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'py-3 flex items-center justify-between';
+
+            const details = document.createElement('div');
+            const device = document.createElement('p');
+            device.className = 'font-semibold text-stone-800';
+            device.textContent = session.device;
+            if (session.current) {
+                const badge = document.createElement('span');
+                badge.className = 'ml-2 text-xs font-semibold text-green-700 bg-green-100 px-2 py-0.5 rounded-full';
+                badge.textContent = 'This device';
+                device.appendChild(badge);
+            }
+            const meta = document.createElement('p');
+            meta.className = 'text-sm text-stone-500';
+            meta.textContent = `Last active ${new Date(session.lastSeenAt).toLocaleString()}${session.ip ? ` · ${session.ip}` : ''}`;
+            details.append(device, meta);
+            item.appendChild(details);
+
+            if (!session.current) {
+                const signOutBtn = document.createElement('button');
+                signOutBtn.type = 'button';
+                signOutBtn.className = 'text-sm text-stone-600 font-semibold hover:text-red-600';
+                signOutBtn.textContent = 'Sign out';
+                signOutBtn.addEventListener('click', async () => {
+                    try {
+                        await apiRequest(`/auth/sessions/${session._id}`, { method: 'DELETE' });
+                        renderSessions();
+                    } catch (error) {
+                        alert(`Could not sign out that device: ${error.message}`);
+                    }
+                });
+                item.appendChild(signOutBtn);
+            }
+            list.appendChild(item);
+        });
+    };
+
+    document.getElementById('logout-all-btn').addEventListener('click', async () => {
+        if (!confirm('Log out of MindWell on every device, including this one?')) return;
+        try {
+            await apiRequest('/auth/logout-all', { method: 'POST' });
+            endLocalSession();
+            window.location.href = '../login.html';
+        } catch (error) {
+            alert(`Could not log out all devices: ${error.message}`);
+        }
+    });
+
+    renderSessions();
+    return renderSessions;
 }
 
 function setupMoodTracker() {
@@ -228,6 +603,9 @@ function setupMoodTracker() {
 
     let selectedMood = null;
 
+    // Maps the mood buttons' data-mood names to the 1-5 scale stored by the API
+    const moodValues = { awful: 1, bad: 2, okay: 3, good: 4, great: 5 };
+
     const moodPrompts = {
         1: "It's okay to feel this way. What's on your mind?",
         2: "Sorry to hear that. What seems to be the trouble?",
@@ -247,12 +625,13 @@ function setupMoodTracker() {
     moodOptions.forEach(button => {
         button.addEventListener('click', () => {
             selectedMood = button.dataset.mood;
+            const moodValue = moodValues[selectedMood];
             moodOptions.forEach(btn => btn.classList.remove('bg-gray-200', 'scale-110'));
             button.classList.add('bg-gray-200', 'scale-110');
             Object.values(moodColors).forEach(color => moodTrackerCard.classList.remove(color));
-            moodTrackerCard.classList.add(moodColors[selectedMood]);
+            moodTrackerCard.classList.add(moodColors[moodValue]);
             moodDetailsSection.classList.remove('hidden');
-            moodNotes.placeholder = moodPrompts[selectedMood];
+            moodNotes.placeholder = moodPrompts[moodValue];
             logMoodBtn.disabled = false;
         });
     });
@@ -281,26 +660,148 @@ function setupMoodTracker() {
     }
 
     if(logMoodBtn) {
-        logMoodBtn.addEventListener('click', () => {
-            const moodLog = JSON.parse(localStorage.getItem('mindwellMoodLog')) || [];
-            const today = new Date().toISOString().split('T')[0];
-            
+        logMoodBtn.addEventListener('click', async () => {
             const newEntry = {
-                date: today,
-                mood: parseInt(selectedMood),
+                mood: selectedMood,
+                value: moodValues[selectedMood],
                 notes: moodNotes.value,
-                tags: Array.from(document.querySelectorAll('.mood-tag.bg-amber-500')).map(tag => tag.textContent)
+                tags: Array.from(document.querySelectorAll('.mood-tag.bg-amber-500')).map(tag => tag.textContent),
+                timestamp: new Date().toISOString(),
+                clientInfo: { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }
             };
 
-            const updatedLog = moodLog.filter(entry => entry.date !== today);
-            updatedLog.push(newEntry);
-            
-            localStorage.setItem('mindwellMoodLog', JSON.stringify(updatedLog));
+            logMoodBtn.disabled = true;
+            try {
+                const saved = await apiRequest('/mood', { method: 'POST', body: newEntry });
+                document.getElementById('mood-form').classList.add('hidden');
+                document.getElementById('confirmation-message').classList.remove('hidden');
+                showCrisisResources(saved.crisis);
+            } catch (error) {
+                console.error('Mood logging failed:', error);
+                alert('We could not save your mood right now. Please try again.');
+                logMoodBtn.disabled = false;
+            }
+        });
+    }
+}
 
-            document.getElementById('mood-form').classList.add('hidden');
-            document.getElementById('confirmation-message').classList.remove('hidden');
+function setupJournalPage() {
+    const titleInput = document.getElementById('journal-title');
+    const entryInput = document.getElementById('journal-entry');
+    const saveBtn = document.getElementById('save-journal-btn');
+    const entriesList = document.getElementById('past-entries-list');
+
+    let entries = [];
+    let currentPage = 0;
+    let totalPages = 1;
+    let editingId = null;
+
+    const resetEditor = () => {
+        editingId = null;
+        titleInput.value = '';
+        entryInput.value = '';
+        saveBtn.textContent = 'Save Entry';
+    };
+
+    const renderEntries = () => {
+        entriesList.innerHTML = '';
+        if (entries.length === 0) {
+            entriesList.innerHTML = `<p class="text-stone-500">You have no saved entries yet.</p>`;
+            return;
+        }
+
+        entries.forEach(entry => {
+            const el = document.createElement('div');
+            el.className = 'p-4 border rounded-lg bg-stone-50';
+            el.innerHTML = `
+                <button class="open-entry-btn text-left w-full" data-id="${entry._id}">
+                    <p class="font-semibold text-stone-800"></p>
+                    <p class="text-sm text-stone-500">${new Date(entry.createdAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}</p>
+                </button>
+                <button class="delete-entry-btn text-xs text-red-500 hover:text-red-700 font-semibold mt-2" data-id="${entry._id}">Delete</button>
+            `;
+            // Set as text so journal content is never interpreted as HTML
+            el.querySelector('.open-entry-btn p').textContent = entry.title;
+            entriesList.appendChild(el);
         });
+
+        if (currentPage < totalPages) {
+            const loadMoreBtn = document.createElement('button');
+            loadMoreBtn.className = 'w-full text-sm text-amber-600 hover:underline font-semibold';
+            loadMoreBtn.textContent = 'Load older entries';
+            loadMoreBtn.addEventListener('click', loadNextPage);
+            entriesList.appendChild(loadMoreBtn);
+        }
+    };
+
+    async function loadNextPage() {
+        try {
+            const data = await apiRequest(`/journal?page=${currentPage + 1}`);
+            entries = entries.concat(data.entries);
+            currentPage = data.page;
+            totalPages = data.totalPages;
+            renderEntries();
+        } catch (error) {
+            console.error('Failed to load journal entries:', error);
+            entriesList.innerHTML = `<p class="text-stone-500">We couldn't load your entries. Please try again later.</p>`;
+        }
     }
+
+    entriesList.addEventListener('click', async (e) => {
+        const openBtn = e.target.closest('.open-entry-btn');
+        if (openBtn) {
+            const entry = entries.find(item => item._id === openBtn.dataset.id);
+            if (entry) {
+                editingId = entry._id;
+                titleInput.value = entry.title;
+                entryInput.value = entry.body;
+                saveBtn.textContent = 'Update Entry';
+            }
+        }
+
+        if (e.target.classList.contains('delete-entry-btn')) {
+            if (!confirm('Delete this journal entry? This cannot be undone.')) return;
+            const id = e.target.dataset.id;
+            try {
+                await apiRequest(`/journal/${id}`, { method: 'DELETE' });
+                entries = entries.filter(item => item._id !== id);
+                if (editingId === id) resetEditor();
+                renderEntries();
+            } catch (error) {
+                alert('We could not delete this entry. Please try again.');
+            }
+        }
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        const payload = { title: titleInput.value, body: entryInput.value };
+        if (!payload.body.trim()) {
+            alert('Please write something before saving.');
+            return;
+        }
+
+        saveBtn.disabled = true;
+        try {
+            let saved;
+            if (editingId) {
+                saved = await apiRequest(`/journal/${editingId}`, { method: 'PUT', body: payload });
+                entries = entries.map(item => item._id === saved._id ? saved : item);
+            } else {
+                saved = await apiRequest('/journal', { method: 'POST', body: payload });
+                entries.unshift(saved);
+            }
+            resetEditor();
+            renderEntries();
+            showCrisisResources(saved.crisis);
+        } catch (error) {
+            console.error('Failed to save journal entry:', error);
+            alert('We could not save your entry. Please try again.');
+        } finally {
+            saveBtn.disabled = false;
+        }
+    });
+
+    loadNextPage();
 }
 
 function setupFaqAccordion() {
@@ -315,15 +816,85 @@ function setupFaqAccordion() {
     });
 }
 
+const FEEDBACK_STATUS_LABELS = {
+    new: { text: 'Received', style: 'bg-stone-100 text-stone-700' },
+    read: { text: 'In review', style: 'bg-amber-100 text-amber-700' },
+    resolved: { text: 'Resolved', style: 'bg-emerald-100 text-emerald-700' }
+};
+
+/**
+ * Lists the student's earlier submissions of one type with their current status.
+ */
+async function renderMyReports() {
+    const list = document.getElementById('my-reports-list');
+    if (!list) return;
+
+    let reports = [];
+    try {
+        reports = (await apiRequest('/feedback/mine')).filter(report => report.type === list.dataset.type);
+    } catch (error) {
+        console.error('Failed to load your reports:', error);
+    }
+
+    list.innerHTML = '';
+    if (reports.length === 0) {
+        list.innerHTML = '<li class="py-3 text-stone-500">Nothing submitted yet.</li>';
+        return;
+    }
+
+    reports.forEach(report => {
+        const status = FEEDBACK_STATUS_LABELS[report.status];
+        const item = document.createElement('li');
+        item.className = 'py-3 flex justify-between items-center gap-4';
+        const summary = document.createElement('div');
+        const title = document.createElement('p');
+        title.className = 'font-semibold text-stone-800';
+        title.textContent = report.subject || report.message.slice(0, 80);
+        const date = document.createElement('p');
+        date.className = 'text-sm text-stone-500';
+        date.textContent = new Date(report.createdAt).toLocaleDateString();
+        summary.append(title, date);
+        const badge = document.createElement('span');
+        badge.className = `px-2 py-1 text-xs font-semibold rounded-full whitespace-nowrap ${status.style}`;
+        badge.textContent = status.text;
+        item.append(summary, badge);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Submits the feedback or problem-report form and swaps in its confirmation.
+ */
+async function submitFeedback(form, payload, formContentId, confirmationId) {
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        const saved = await apiRequest('/feedback', { method: 'POST', body: payload });
+        document.getElementById(formContentId).classList.add('hidden');
+        document.getElementById(confirmationId).classList.remove('hidden');
+        showCrisisResources(saved.crisis);
+        renderMyReports();
+    } catch (error) {
+        alert(error.message);
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
 function setupFeedbackForm() {
     const form = document.getElementById('feedback-form');
     if (!form) return;
 
     form.addEventListener('submit', (e) => {
         e.preventDefault();
-        document.getElementById('feedback-form-content').classList.add('hidden');
-        document.getElementById('feedback-confirmation').classList.remove('hidden');
+        submitFeedback(form, {
+            type: 'feedback',
+            category: document.getElementById('feedback-category').value,
+            subject: document.getElementById('feedback-subject').value,
+            message: document.getElementById('feedback-message').value
+        }, 'feedback-form-content', 'feedback-confirmation');
     });
+    renderMyReports();
 }
 
 function setupReportProblemForm() {
@@ -332,12 +903,62 @@ function setupReportProblemForm() {
 
     form.addEventListener('submit', (e) => {
         e.preventDefault();
-        document.getElementById('report-form-content').classList.add('hidden');
-        document.getElementById('report-confirmation').classList.remove('hidden');
+        submitFeedback(form, {
+            type: 'problem',
+            category: document.getElementById('problem-category').value,
+            message: document.getElementById('problem-description').value,
+            stepsToReproduce: document.getElementById('problem-steps').value
+        }, 'report-form-content', 'report-confirmation');
     });
+    renderMyReports();
+}
+
+/**
+ * Combines a calendar day with a slot label such as '02:00 PM' into a Date.
+ * @param {Date} day - The selected calendar day (local time).
+ * @param {string} time - The slot label.
+ * @returns {Date} The slot's start time.
+ */
+function slotToDate(day, time) {
+    const [, hours, minutes, period] = time.match(/(\d+):(\d+) (AM|PM)/);
+    const slot = new Date(day);
+    slot.setHours((parseInt(hours) % 12) + (period === 'PM' ? 12 : 0), parseInt(minutes), 0, 0);
+    return slot;
 }
 
-function setupBookingPage() {
+function formatAppointmentTime(date) {
+    return new Date(date).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+}
+
+async function renderCounselorOptions(counselorList) {
+    let counselors = [];
+    try {
+        counselors = await apiRequest('/counselors');
+    } catch (error) {
+        console.error('Failed to load counselors:', error);
+    }
+
+    counselorList.innerHTML = '';
+    if (counselors.length === 0) {
+        counselorList.innerHTML = `<p class="text-stone-500">No counselors are available right now. Please check back later.</p>`;
+        return;
+    }
+
+    counselors.forEach(counselor => {
+        const button = document.createElement('button');
+        button.className = 'counselor-option text-left p-4 border rounded-lg hover:border-amber-500 hover:bg-amber-50 transition';
+        button.dataset.counselor = counselor._id;
+        button.innerHTML = `<p class="font-bold text-stone-800">${counselor.name}</p><p class="text-sm text-stone-600">${counselor.specialty}</p>`;
+        if (counselor.languages.length > 0) {
+            button.innerHTML += `<p class="text-xs text-stone-500 mt-1">${counselor.languages.join(', ')}</p>`;
+        }
+        counselorList.appendChild(button);
+    });
+}
+
+async function setupBookingPage() {
+    await renderCounselorOptions(document.getElementById('counselor-list'));
+
     const counselorOptions = document.querySelectorAll('.counselor-option');
     const bookingFlow = document.getElementById('booking-flow');
     const calendarDays = document.getElementById('calendar-days');
@@ -359,17 +980,12 @@ function setupBookingPage() {
 
     const urlParams = new URLSearchParams(window.location.search);
     const counselorFromUrl = urlParams.get('counselor');
-    if (counselorFromUrl) {
-        counselorOptions.forEach(btn => {
-            if (btn.dataset.counselor === counselorFromUrl) {
-                btn.click();
-            }
-        });
-    }
+    // When set, confirming moves this existing appointment instead of booking a new one
+    const rescheduleId = urlParams.get('reschedule');
 
     counselorOptions.forEach(button => {
         button.addEventListener('click', () => {
-            selectedCounselor = button.dataset.counselor;
+            selectedCounselor = { id: button.dataset.counselor, name: button.querySelector('p').textContent };
             counselorOptions.forEach(btn => btn.classList.remove('bg-amber-500', 'text-white', 'border-amber-500'));
             button.classList.add('bg-amber-500', 'text-white', 'border-amber-500');
             bookingFlow.classList.remove('hidden');
@@ -377,6 +993,14 @@ function setupBookingPage() {
         });
     });
 
+    if (counselorFromUrl) {
+        counselorOptions.forEach(btn => {
+            if (btn.dataset.counselor === counselorFromUrl) {
+                btn.click();
+            }
+        });
+    }
+
     prevMonthBtn.addEventListener('click', () => {
         currentDate.setMonth(currentDate.getMonth() - 1);
         renderCalendar();
@@ -396,21 +1020,28 @@ function setupBookingPage() {
         });
     });
     
-    confirmBookingBtn.addEventListener('click', () => {
-        const appointments = JSON.parse(localStorage.getItem('mindwellAppointments')) || [];
-        const newAppointment = {
-            id: Date.now(),
-            counselor: selectedCounselor,
-            date: selectedDate.toISOString(),
-            time: selectedTime,
-            type: selectedSessionType,
-            status: 'Upcoming'
+    confirmBookingBtn.addEventListener('click', async () => {
+        const payload = {
+            counselorId: selectedCounselor.id,
+            date: slotToDate(selectedDate, selectedTime).toISOString(),
+            sessionType: selectedSessionType
         };
-        appointments.push(newAppointment);
-        localStorage.setItem('mindwellAppointments', JSON.stringify(appointments));
-        
-        alert(`Appointment with ${selectedCounselor} confirmed!`);
-        window.location.href = 'appointments.html';
+
+        confirmBookingBtn.disabled = true;
+        try {
+            if (rescheduleId) {
+                await apiRequest(`/appointments/${rescheduleId}/reschedule`, { method: 'PUT', body: payload });
+                alert(`Your appointment with ${selectedCounselor.name} has been rescheduled.`);
+            } else {
+                await apiRequest('/appointments', { method: 'POST', body: payload });
+                alert(`Appointment with ${selectedCounselor.name} requested!`);
+            }
+            window.location.href = 'appointments.html';
+        } catch (error) {
+            alert(error.message);
+            confirmBookingBtn.disabled = false;
+            renderTimeSlots(selectedDate);
+        }
     });
     
     function renderCalendar() {
@@ -450,22 +1081,46 @@ function setupBookingPage() {
         }
     }
 
-    function renderTimeSlots(date) {
+    async function renderTimeSlots(date) {
         timeSlotsContainer.innerHTML = '';
         sessionTypeSection.classList.add('hidden');
         confirmationSection.classList.add('hidden');
         selectedTime = null;
         const availableTimes = ['09:00 AM', '10:00 AM', '11:00 AM', '02:00 PM', '03:00 PM', '04:00 PM'];
+
+        const dayStart = new Date(date);
+        dayStart.setHours(0, 0, 0, 0);
+        const dayEnd = new Date(dayStart);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+
+        let bookedTimes = [];
+        let slotLength = 60 * 60 * 1000;
+        try {
+            const availability = await apiRequest(`/appointments/availability?counselor=${encodeURIComponent(selectedCounselor.id)}&from=${dayStart.toISOString()}&to=${dayEnd.toISOString()}`);
+            bookedTimes = availability.bookedSlots.map(slot => new Date(slot).getTime());
+            slotLength = availability.slotDurationMinutes * 60 * 1000;
+        } catch (error) {
+            console.error('Failed to load availability:', error);
+        }
+        // Bookings made from other time zones can start off the hour and still overlap
+        const overlapsBooking = slot => bookedTimes.some(booked => Math.abs(booked - slot.getTime()) < slotLength);
+
         availableTimes.forEach(time => {
             const timeBtn = document.createElement('button');
+            const slot = slotToDate(date, time);
             timeBtn.textContent = time;
             timeBtn.className = 'w-full text-center p-3 border rounded-lg hover:bg-stone-100 transition-colors';
-            timeBtn.addEventListener('click', () => {
-                selectedTime = time;
-                document.querySelectorAll('#time-slots button').forEach(btn => btn.classList.remove('bg-amber-500', 'text-white'));
-                timeBtn.classList.add('bg-amber-500', 'text-white');
-                sessionTypeSection.classList.remove('hidden');
-            });
+            if (slot <= new Date() || overlapsBooking(slot)) {
+                timeBtn.disabled = true;
+                timeBtn.classList.add('text-stone-300', 'cursor-not-allowed');
+            } else {
+                timeBtn.addEventListener('click', () => {
+                    selectedTime = time;
+                    document.querySelectorAll('#time-slots button').forEach(btn => btn.classList.remove('bg-amber-500', 'text-white'));
+                    timeBtn.classList.add('bg-amber-500', 'text-white');
+                    sessionTypeSection.classList.remove('hidden');
+                });
+            }
             timeSlotsContainer.appendChild(timeBtn);
         });
     }
@@ -473,7 +1128,7 @@ function setupBookingPage() {
     function showConfirmation() {
         if (selectedCounselor && selectedDate && selectedTime && selectedSessionType) {
             selectedAppointmentDetails.innerHTML = `
-                <p><span class="font-semibold">Counselor:</span> ${selectedCounselor}</p>
+                <p><span class="font-semibold">Counselor:</span> ${selectedCounselor.name}</p>
                 <p><span class="font-semibold">Date:</span> ${selectedDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}</p>
                 <p><span class="font-semibold">Time:</span> ${selectedTime}</p>
                 <p><span class="font-semibold">Type:</span> ${selectedSessionType}</p>
@@ -483,36 +1138,187 @@ function setupBookingPage() {
     }
 }
 
-function renderFullAppointmentLists() {
+const APPOINTMENT_STATUS_LABELS = {
+    pending: { text: 'Awaiting confirmation', style: 'bg-amber-100 text-amber-700' },
+    confirmed: { text: 'Confirmed', style: 'bg-emerald-100 text-emerald-700' },
+    declined: { text: 'Declined', style: 'bg-stone-200 text-stone-700' },
+    canceled: { text: 'Canceled', style: 'bg-red-100 text-red-700' },
+    completed: { text: 'Completed', style: 'bg-sky-100 text-sky-700' },
+    'no-show': { text: 'Missed', style: 'bg-red-100 text-red-700' }
+};
+
+const formatAppointmentDate = date => new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+// "Rescheduled by Sam Lee · Oct 3, 2:15 PM", one line of an appointment's history
+function describeStatusChange(change) {
+    let action = APPOINTMENT_STATUS_LABELS[change.to].text;
+    if (change.to === 'pending') {
+        action = change.from ? 'Rescheduled' : 'Requested';
+    }
+    const actor = change.by ? ` by ${change.by.name}` : ' automatically';
+    const when = new Date(change.at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    let text = `${action}${actor} · ${when}`;
+    if (change.previousDate) text += ` (was ${formatAppointmentDate(change.previousDate)} at ${formatAppointmentTime(change.previousDate)})`;
+    if (change.reason) text += ` — "${change.reason}"`;
+    return text;
+}
+
+/**
+ * Builds one appointment card: counselor, time, status badge, cancellation
+ * details and a collapsible history. Actions are appended by the caller.
+ */
+function buildAppointmentCard(appt) {
+    const status = APPOINTMENT_STATUS_LABELS[appt.status];
+    const card = document.createElement('div');
+    card.className = 'p-4 border rounded-lg bg-stone-50';
+
+    const row = document.createElement('div');
+    row.className = 'flex justify-between items-center gap-4';
+    const details = document.createElement('div');
+    const name = document.createElement('p');
+    name.className = 'font-bold text-stone-800';
+    name.textContent = appt.counselor ? appt.counselor.name : 'Former counselor';
+    const when = document.createElement('p');
+    when.className = 'text-sm text-stone-600';
+    when.textContent = `${formatAppointmentDate(appt.date)} at ${formatAppointmentTime(appt.date)} (${appt.sessionType})`;
+    const badge = document.createElement('span');
+    badge.className = `inline-block mt-1 px-2 py-0.5 text-xs font-semibold rounded-full ${status.style}`;
+    badge.textContent = status.text;
+    details.append(name, when, badge);
+
+    if (appt.status === 'canceled' && appt.cancellationReason) {
+        const reason = document.createElement('p');
+        reason.className = 'text-sm text-stone-500 mt-1';
+        const who = appt.canceledBy ? ` by ${appt.canceledBy.name}` : '';
+        reason.textContent = `Canceled${who}: ${appt.cancellationReason}${appt.lateCancellation ? ' (late cancellation)' : ''}`;
+        details.appendChild(reason);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2 shrink-0';
+    row.append(details, actions);
+    card.appendChild(row);
+
+    if (appt.statusHistory && appt.statusHistory.length > 0) {
+        const history = document.createElement('details');
+        history.className = 'mt-2 text-xs text-stone-500';
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer select-none';
+        summary.textContent = 'History';
+        const steps = document.createElement('ol');
+        steps.className = 'mt-1 ml-4 list-decimal space-y-1';
+        appt.statusHistory.forEach(change => {
+            const step = document.createElement('li');
+            step.textContent = describeStatusChange(change);
+            steps.appendChild(step);
+        });
+        history.append(summary, steps);
+        card.appendChild(history);
+    }
+
+    return { card, actions };
+}
+
+/**
+ * Shows what the counselor shared after a session: a summary, homework and next steps.
+ * @param {{counselor: string, date: string, summary: string, homework: string[], nextSteps?: string}} notes
+ */
+function showSessionSummary(notes) {
+    const overlay = document.createElement('div');
+    overlay.className = 'fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto';
+
+    const heading = document.createElement('h2');
+    heading.className = 'text-xl font-bold text-stone-800';
+    heading.textContent = 'Session Notes';
+    const meta = document.createElement('p');
+    meta.className = 'text-sm text-stone-500 mb-4';
+    meta.textContent = `${notes.counselor} · ${formatAppointmentDate(notes.date)}`;
+    card.append(heading, meta);
+
+    const addSection = (title, content) => {
+        const sectionTitle = document.createElement('h3');
+        sectionTitle.className = 'font-semibold text-stone-800 mt-4 mb-1';
+        sectionTitle.textContent = title;
+        card.append(sectionTitle, content);
+    };
+
+    const summary = document.createElement('p');
+    summary.className = 'text-stone-600 whitespace-pre-line';
+    summary.textContent = notes.summary;
+    addSection('Summary', summary);
+
+    if (notes.homework.length > 0) {
+        const tasks = document.createElement('ul');
+        tasks.className = 'list-disc ml-5 space-y-1 text-stone-600';
+        notes.homework.forEach(task => {
+            const item = document.createElement('li');
+            item.textContent = task;
+            tasks.appendChild(item);
+        });
+        addSection('Homework', tasks);
+    }
+
+    if (notes.nextSteps) {
+        const nextSteps = document.createElement('p');
+        nextSteps.className = 'text-stone-600 whitespace-pre-line';
+        nextSteps.textContent = notes.nextSteps;
+        addSection('Next Steps', nextSteps);
+    }
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'w-full mt-6 bg-orange-500 text-white font-semibold py-2 rounded-lg hover:bg-orange-600';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => overlay.remove());
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) overlay.remove();
+    });
+
+    card.appendChild(closeBtn);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+    closeBtn.focus();
+}
+
+async function renderFullAppointmentLists() {
     const upcomingList = document.getElementById('upcoming-appointments-list');
     const pastList = document.getElementById('past-appointments-list');
     if (!upcomingList || !pastList) return;
 
-    const allAppointments = JSON.parse(localStorage.getItem('mindwellAppointments')) || [];
+    let allAppointments = [];
+    let policy = null;
+    try {
+        [allAppointments, policy] = await Promise.all([
+            apiRequest('/appointments'),
+            apiRequest('/appointments/policy')
+        ]);
+    } catch (error) {
+        console.error('Failed to load appointments:', error);
+        upcomingList.innerHTML = `<p class="text-stone-500">We couldn't load your appointments. Please try again later.</p>`;
+        return;
+    }
     const now = new Date();
+    const isActive = appt => appt.status === 'pending' || appt.status === 'confirmed';
 
-    const upcomingAppointments = allAppointments.filter(appt => new Date(appt.date) >= now);
-    const pastAppointments = allAppointments.filter(appt => new Date(appt.date) < now);
+    const upcomingAppointments = allAppointments.filter(appt => new Date(appt.date) >= now && isActive(appt));
+    const pastAppointments = allAppointments.filter(appt => !upcomingAppointments.includes(appt)).reverse();
 
     upcomingList.innerHTML = '';
     if (upcomingAppointments.length === 0) {
         upcomingList.innerHTML = `<p class="text-stone-500">You have no upcoming appointments.</p>`;
     } else {
         upcomingAppointments.forEach(appt => {
-            const el = document.createElement('div');
-            el.className = 'p-4 border rounded-lg bg-stone-50 flex justify-between items-center';
-            const apptDate = new Date(appt.date);
-            el.innerHTML = `
-                <div>
-                    <p class="font-bold text-stone-800">${appt.counselor}</p>
-                    <p class="text-sm text-stone-600">${apptDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })} at ${appt.time} (${appt.type})</p>
-                </div>
-                <div class="flex gap-2">
-                    <button class="text-xs bg-green-500 text-white px-3 py-1 rounded-full hover:bg-green-600">Join Call</button>
-                    <a href="book-appointment.html?counselor=${encodeURIComponent(appt.counselor)}" class="reschedule-btn text-xs bg-stone-200 text-stone-700 px-3 py-1 rounded-full hover:bg-stone-300">Reschedule</a>
-                </div>
+            const { card, actions } = buildAppointmentCard(appt);
+            actions.innerHTML = `
+                ${appt.status === 'confirmed' ? '<button class="text-xs bg-green-500 text-white px-3 py-1 rounded-full hover:bg-green-600">Join Call</button>' : ''}
+                <a href="book-appointment.html?counselor=${encodeURIComponent(appt.counselor._id)}&reschedule=${appt._id}" class="reschedule-btn text-xs bg-stone-200 text-stone-700 px-3 py-1 rounded-full hover:bg-stone-300">Reschedule</a>
+                <button class="cancel-appointment-btn text-xs bg-red-100 text-red-700 px-3 py-1 rounded-full hover:bg-red-200" data-id="${appt._id}">Cancel</button>
             `;
-            upcomingList.appendChild(el);
+            upcomingList.appendChild(card);
         });
     }
 
@@ -521,19 +1327,44 @@ function renderFullAppointmentLists() {
         pastList.innerHTML = `<p class="text-stone-500">You have no past appointments.</p>`;
     } else {
         pastAppointments.forEach(appt => {
-            const el = document.createElement('div');
-            el.className = 'p-4 border rounded-lg bg-stone-50 flex justify-between items-center';
-            const apptDate = new Date(appt.date);
-            el.innerHTML = `
-                <div>
-                    <p class="font-semibold text-stone-700">${appt.counselor}</p>
-                    <p class="text-sm text-stone-500">${apptDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })} - Completed</p>
-                </div>
-                <button class="text-xs bg-stone-200 text-stone-700 px-3 py-1 rounded-full hover:bg-stone-300">View Notes</button>
-            `;
-            pastList.appendChild(el);
+            const { card, actions } = buildAppointmentCard(appt);
+            if (appt.status === 'completed') {
+                actions.innerHTML = `<button class="view-notes-btn text-xs bg-stone-200 text-stone-700 px-3 py-1 rounded-full hover:bg-stone-300" data-id="${appt._id}">View Notes</button>`;
+            }
+            pastList.appendChild(card);
         });
     }
+
+    pastList.onclick = async (e) => {
+        if (!e.target.classList.contains('view-notes-btn')) return;
+        try {
+            showSessionSummary(await apiRequest(`/session-notes/${e.target.dataset.id}`));
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    upcomingList.onclick = async (e) => {
+        if (!e.target.classList.contains('cancel-appointment-btn')) return;
+        const appt = upcomingAppointments.find(item => item._id === e.target.dataset.id);
+        const hoursLeft = (new Date(appt.date) - new Date()) / (60 * 60 * 1000);
+        const lateNotice = hoursLeft < policy.lateCancellationHours
+            ? `\n\nThis session starts in less than ${policy.lateCancellationHours} hours, so it will be recorded as a late cancellation.`
+            : '';
+
+        const reason = prompt(`Please tell your counselor why you're canceling.${lateNotice}`);
+        if (reason === null) return;
+        if (!reason.trim()) {
+            alert('A reason is needed to cancel an appointment.');
+            return;
+        }
+        try {
+            await apiRequest(`/appointments/${appt._id}/cancel`, { method: 'PUT', body: { reason: reason.trim() } });
+            renderFullAppointmentLists();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
 }
 
 
@@ -558,12 +1389,16 @@ function setCurrentDate() {
     dateElement.textContent = today.toLocaleDateString('en-US', options);
 }
 
-function renderDashboardAppointmentList() {
+async function renderDashboardAppointmentList() {
     const appointmentList = document.getElementById('appointment-list');
     if (!appointmentList) return;
-    const allAppointments = JSON.parse(localStorage.getItem('mindwellAppointments')) || [];
-    const now = new Date();
-    const upcomingAppointments = allAppointments.filter(appt => new Date(appt.date) >= now);
+    let upcomingAppointments = [];
+    try {
+        upcomingAppointments = (await apiRequest('/appointments?scope=upcoming'))
+            .filter(appt => appt.status === 'pending' || appt.status === 'confirmed');
+    } catch (error) {
+        console.error('Failed to load appointments:', error);
+    }
 
     appointmentList.innerHTML = '';
     if (upcomingAppointments.length === 0) {
@@ -571,17 +1406,23 @@ function renderDashboardAppointmentList() {
     } else {
         upcomingAppointments.slice(0, 2).forEach(appt => {
             const el = document.createElement('div');
-            el.innerHTML = `<p class="font-semibold text-stone-700">${appt.counselor}</p><p class="text-sm text-stone-500">${new Date(appt.date).toLocaleDateString()} at ${appt.time}</p>`;
+            el.innerHTML = `<p class="font-semibold text-stone-700">${appt.counselor.name}</p><p class="text-sm text-stone-500">${new Date(appt.date).toLocaleDateString()} at ${formatAppointmentTime(appt.date)}</p>`;
             appointmentList.appendChild(el);
         });
     }
 }
 
-function renderMoodChart() {
+async function renderMoodChart() {
     const canvas = document.getElementById('moodHistoryChart');
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
-    const moodLog = JSON.parse(localStorage.getItem('mindwellMoodLog')) || [];
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    let moodLog = [];
+    try {
+        moodLog = await apiRequest(`/mood/history?days=7&tz=${encodeURIComponent(timezone)}`);
+    } catch (error) {
+        console.error('Failed to fetch mood history:', error);
+    }
     
     const labels = [];
     const data = [];
@@ -594,7 +1435,7 @@ function renderMoodChart() {
         const dayStr = date.toLocaleDateString('en-US', { weekday: 'short' });
         labels.push(dayStr);
         const entryForDay = moodLog.find(entry => new Date(entry.date).setHours(0,0,0,0) === date.getTime());
-        data.push(entryForDay ? entryForDay.mood : null);
+        data.push(entryForDay ? entryForDay.value : null);
     }
     
     if (moodLog.length === 0 && ctx) {
@@ -630,6 +1471,170 @@ function renderMoodChart() {
 }
 
 
+// --- SCREENING PAGE FUNCTIONS ---
+
+async function setupScreeningPage() {
+    const instrumentList = document.getElementById('instrument-list');
+    const formCard = document.getElementById('screening-form-card');
+    const form = document.getElementById('screening-form');
+    const questionList = document.getElementById('screening-questions');
+    const resultCard = document.getElementById('screening-result');
+    const historySelect = document.getElementById('history-instrument');
+    const historyList = document.getElementById('screening-history-list');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    let currentInstrument = null;
+    let historyChart = null;
+
+    const startInstrument = async (code) => {
+        try {
+            currentInstrument = await apiRequest(`/screenings/instruments/${encodeURIComponent(code)}`);
+        } catch (error) {
+            alert('We could not load this check-in. Please try again.');
+            return;
+        }
+
+        document.getElementById('screening-title').textContent = currentInstrument.name;
+        document.getElementById('screening-instructions').textContent = currentInstrument.instructions;
+        questionList.innerHTML = '';
+        currentInstrument.questions.forEach((question, index) => {
+            const item = document.createElement('li');
+            item.className = 'text-stone-800 font-semibold';
+            item.appendChild(document.createTextNode(question.text));
+
+            const options = document.createElement('div');
+            options.className = 'flex flex-wrap gap-2 mt-3 font-normal';
+            question.options.forEach(option => {
+                const label = document.createElement('label');
+                label.className = 'flex items-center gap-2 px-3 py-2 border border-stone-200 rounded-lg cursor-pointer hover:bg-orange-50';
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = `question-${index}`;
+                input.value = option.value;
+                input.required = true;
+                input.className = 'accent-orange-500';
+                label.append(input, document.createTextNode(option.text));
+                options.appendChild(label);
+            });
+            item.appendChild(options);
+            questionList.appendChild(item);
+        });
+
+        resultCard.classList.add('hidden');
+        formCard.classList.remove('hidden');
+        formCard.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    const renderHistory = async () => {
+        const code = historySelect.value;
+        let submissions = [];
+        try {
+            submissions = await apiRequest(`/screenings/submissions?instrument=${encodeURIComponent(code)}`);
+        } catch (error) {
+            console.error('Failed to load check-in history:', error);
+        }
+
+        historyList.innerHTML = '';
+        if (historyChart) historyChart.destroy();
+
+        if (submissions.length === 0) {
+            historyList.innerHTML = '<li class="py-3 text-stone-500">You have not taken this check-in yet.</li>';
+            return;
+        }
+
+        submissions.slice().reverse().forEach(submission => {
+            const item = document.createElement('li');
+            item.className = 'py-3 flex justify-between text-stone-700';
+            item.innerHTML = `
+                <span>${new Date(submission.createdAt).toLocaleDateString()}</span>
+                <span class="font-semibold">${submission.label} (${submission.totalScore}/${submission.maxScore})</span>
+            `;
+            historyList.appendChild(item);
+        });
+
+        historyChart = new Chart(document.getElementById('screeningHistoryChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: submissions.map(submission => new Date(submission.createdAt).toLocaleDateString()),
+                datasets: [{
+                    label: 'Score',
+                    data: submissions.map(submission => submission.totalScore),
+                    backgroundColor: 'rgba(245, 158, 11, 0.2)',
+                    borderColor: 'rgba(245, 158, 11, 1)',
+                    borderWidth: 2,
+                    tension: 0.4,
+                    pointBackgroundColor: 'rgba(245, 158, 11, 1)',
+                    pointRadius: 5
+                }]
+            },
+            options: {
+                scales: { y: { min: 0, max: submissions[submissions.length - 1].maxScore } },
+                plugins: { legend: { display: false } },
+                responsive: true,
+                maintainAspectRatio: false
+            }
+        });
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const answers = currentInstrument.questions.map((question, index) => (
+            Number(form.querySelector(`input[name="question-${index}"]:checked`).value)
+        ));
+
+        submitBtn.disabled = true;
+        try {
+            const result = await apiRequest('/screenings/submissions', {
+                method: 'POST',
+                body: { instrumentId: currentInstrument._id, answers }
+            });
+            document.getElementById('result-label').textContent = result.label;
+            document.getElementById('result-score').textContent = `score ${result.totalScore} of ${result.maxScore}`;
+            document.getElementById('result-interpretation').textContent = result.interpretation;
+            document.getElementById('result-disclaimer').textContent = result.disclaimer;
+            formCard.classList.add('hidden');
+            resultCard.classList.remove('hidden');
+            resultCard.scrollIntoView({ behavior: 'smooth' });
+            showCrisisResources(result.crisis);
+
+            historySelect.value = result.instrumentCode;
+            renderHistory();
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+
+    historySelect.addEventListener('change', renderHistory);
+
+    let instruments = [];
+    try {
+        instruments = await apiRequest('/screenings/instruments');
+    } catch (error) {
+        instrumentList.innerHTML = '<p class="text-stone-500">Check-ins are unavailable right now. Please try again later.</p>';
+        return;
+    }
+
+    instruments.forEach(instrument => {
+        const card = document.createElement('button');
+        card.className = 'text-left p-4 border border-stone-200 rounded-lg hover:border-orange-400 hover:bg-orange-50 transition';
+        card.innerHTML = `
+            <h3 class="font-bold text-stone-800 mb-1">${instrument.name}</h3>
+            <p class="text-sm text-stone-600 mb-2">${instrument.description}</p>
+            <p class="text-xs text-stone-500">${instrument.questionCount} questions</p>
+        `;
+        card.addEventListener('click', () => startInstrument(instrument.code));
+        instrumentList.appendChild(card);
+
+        const option = document.createElement('option');
+        option.value = instrument.code;
+        option.textContent = instrument.name;
+        historySelect.appendChild(option);
+    });
+
+    if (instruments.length > 0) renderHistory();
+}
+
 // --- GLOBAL WIDGETS AND MENUS ---
 
 function setupDropdowns() {
@@ -726,31 +1731,12 @@ function setupChatWidget() {
 
     async function getAiResponse(userMessage) {
         showTypingIndicator();
-        const systemPrompt = "You are a supportive, empathetic AI assistant for students on a mental health platform. Your name is MindWell. Your primary goal is to be a good listener and provide a safe, non-judgmental space. Do NOT give medical advice or diagnoses. Instead, ask gentle, open-ended questions to help users explore their feelings. If a user mentions anything related to self-harm, crisis, or severe distress, your ONLY priority is to provide a crisis hotline number and strongly encourage them to seek professional help immediately. Keep your responses concise and warm.";
-        
-        let chatHistory = [
-            { role: "user", parts: [{ text: systemPrompt }] },
-            { role: "model", parts: [{ text: "Understood. I am ready to help." }] },
-            { role: "user", parts: [{ text: userMessage }] }
-        ];
-
-        const payload = { contents: chatHistory };
-        const apiKey = "";
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            const result = await response.json();
+            // The backend owns the system prompt, the conversation history and the provider credentials
+            const result = await apiRequest('/ai/chat', { method: 'POST', body: { message: userMessage } });
             removeTypingIndicator();
-            if (result.candidates && result.candidates[0].content.parts[0].text) {
-                appendAiMessage(result.candidates[0].content.parts[0].text);
-            } else {
-                appendAiMessage("I'm sorry, I'm having a little trouble thinking right now. Please try again in a moment.");
-            }
+            appendAiMessage(result.reply);
+            showCrisisResources(result.crisis);
         } catch (error) {
             removeTypingIndicator();
             console.error("Error fetching AI response:", error);